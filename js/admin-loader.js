@@ -0,0 +1,888 @@
+/*
+=========================================
+ AI News Hub - Admin Console Loader
+=========================================
+This file runs the admin console (admin.html): sign-in, ingestion
+and cache status, article counts, suggestion moderation, the review
+queue for AI-drafted posts and the maintenance actions the signed-in
+account's role allows. Sessions are cookies set by the
+server; actions send the session's CSRF token.
+*/
+document.addEventListener("DOMContentLoaded", () => {
+  const loginForm = document.getElementById("admin-login-form");
+  const dashboard = document.getElementById("admin-dashboard");
+  const userLabel = document.getElementById("admin-user");
+  const countsContainer = document.getElementById("admin-counts");
+  const categoriesTable = document.getElementById("admin-categories");
+  const cacheView = document.getElementById("admin-cache-view");
+  const jobsTable = document.getElementById("admin-jobs");
+  const articleSearch = document.getElementById("admin-article-search");
+  const articleQuery = document.getElementById("admin-article-q");
+  const articleCategory = document.getElementById("admin-article-category");
+  const articlesTable = document.getElementById("admin-articles");
+  const articlesPager = document.getElementById("admin-articles-pager");
+  const maintenance = document.getElementById("admin-maintenance");
+  const suggestionSearch = document.getElementById("admin-suggestion-search");
+  const suggestionQuery = document.getElementById("admin-suggestion-q");
+  const suggestionStatus = document.getElementById("admin-suggestion-status");
+  const suggestionsTable = document.getElementById("admin-suggestions");
+  const suggestionsPager = document.getElementById("admin-suggestions-pager");
+  const postFilter = document.getElementById("admin-post-filter");
+  const postStatus = document.getElementById("admin-post-status");
+  const postsTable = document.getElementById("admin-posts");
+  const postsPager = document.getElementById("admin-posts-pager");
+  const postEditor = document.getElementById("admin-post-editor");
+  const postInfo = document.getElementById("admin-post-info");
+  const postActions = document.getElementById("admin-post-actions");
+
+  let session = null; // { username, role, permissions, csrfToken }
+  let articlesPage = 1;
+  let suggestionsPage = 1;
+  let postsPage = 1;
+  let currentPost = null; // The post open in the editor
+  let categoryList = []; // [{ slug, label }] from the last status load
+
+  function can(permission) {
+    return Boolean(session && session.permissions.includes(permission));
+  }
+
+  function notify(text) {
+    if (window.showMessage) window.showMessage(text);
+  }
+
+  function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : "never";
+  }
+
+  /**
+   * Calls the admin API with the session cookie (and the CSRF token
+   * for actions). Shows the sign-in form if the session has ended.
+   */
+  async function api(path, options = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (session && options.method && options.method !== "GET") {
+      headers["X-CSRF-Token"] = session.csrfToken;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/admin${path}`, {
+      credentials: "same-origin",
+      ...options,
+      headers,
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 401 && path !== "/login") {
+      showLogin();
+    }
+    if (!response.ok) {
+      throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    return result;
+  }
+
+  function post(path, body = {}) {
+    return api(path, { method: "POST", body: JSON.stringify(body) });
+  }
+
+  // --- Sign-in ---
+
+  function showLogin() {
+    session = null;
+    dashboard.hidden = true;
+    loginForm.hidden = false;
+  }
+
+  function showDashboard(current) {
+    session = current;
+    loginForm.hidden = true;
+    dashboard.hidden = false;
+    userLabel.textContent = `Signed in as ${session.username} (${session.role})`;
+    maintenance.hidden = !can("cache:clear");
+    loadStatus();
+    loadSuggestions(1);
+    loadPosts(1);
+    loadArticles(1);
+  }
+
+  loginForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      showDashboard(
+        await post("/login", {
+          username: document.getElementById("admin-username").value,
+          password: document.getElementById("admin-password").value,
+        })
+      );
+      loginForm.reset();
+    } catch (error) {
+      notify(error.message);
+    }
+  });
+
+  document
+    .getElementById("admin-logout-btn")
+    .addEventListener("click", async () => {
+      await post("/logout").catch(() => {});
+      showLogin();
+    });
+
+  // --- Status ---
+
+  function describeStorage(storage) {
+    if (storage.backend === "mongo") return "MongoDB";
+    return storage.mongoConfigured ? "Memory (MongoDB down)" : "Memory";
+  }
+
+  function renderCounts(counts, aiUsage, storage) {
+    const items = [
+      ["Storage", describeStorage(storage)],
+      ["Articles", counts.articles],
+      ["Stories", counts.stories],
+      ["Scraped", counts.scraped],
+      ["Summarized", counts.summarized],
+      ["Entities", counts.entities],
+      ["Pending suggestions", counts.suggestions],
+      ["Posts in review", counts.postsInReview],
+      [
+        "AI tokens today",
+        `${aiUsage.tokens.toLocaleString()}${
+          aiUsage.quota ? ` / ${aiUsage.quota.toLocaleString()}` : ""
+        }`,
+      ],
+    ];
+    countsContainer.innerHTML = items
+      .map(
+        ([label, value]) => `
+          <div class="admin-count">
+            <strong>${escapeHTML(String(value))}</strong>
+            <span>${label}</span>
+          </div>
+        `
+      )
+      .join("");
+  }
+
+  function renderCategories(categories) {
+    categoryList = categories;
+    const rows = categories
+      .map((category) => {
+        const snapshot = category.snapshot;
+        let state = "Not ingested yet";
+        if (snapshot) {
+          state = snapshot.lastError
+            ? `<span class="admin-error">Last refresh failed: ${escapeHTML(
+                snapshot.lastError
+              )}</span>`
+            : snapshot.stale
+            ? "Stale"
+            : "Fresh";
+        }
+        if (category.refreshing) state = "Refreshing...";
+
+        return `
+          <tr>
+            <td>${escapeHTML(category.label)}</td>
+            <td>${snapshot ? snapshot.storyCount : "-"}</td>
+            <td>${category.articleCount}</td>
+            <td>${snapshot ? formatTime(snapshot.updatedAt) : "-"}</td>
+            <td>${state}</td>
+            <td class="admin-actions">
+              ${
+                snapshot
+                  ? `<button data-action="view-cache" data-slug="${category.slug}">View</button>`
+                  : ""
+              }
+              ${
+                can("categories:refresh")
+                  ? `<button data-action="refresh" data-slug="${category.slug}">Refresh</button>`
+                  : ""
+              }
+              ${
+                snapshot && can("cache:clear")
+                  ? `<button data-action="clear-cache" data-slug="${category.slug}">Clear</button>`
+                  : ""
+              }
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    categoriesTable.innerHTML = `
+      <thead>
+        <tr><th>Category</th><th>Stories</th><th>Articles</th><th>Updated</th><th>State</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    `;
+
+    // Keep the article filter's categories in step
+    const selected = articleCategory.value;
+    articleCategory.innerHTML =
+      '<option value="">All categories</option>' +
+      categories
+        .map(
+          (category) =>
+            `<option value="${category.slug}" ${
+              category.slug === selected ? "selected" : ""
+            }>${escapeHTML(category.label)}</option>`
+        )
+        .join("");
+  }
+
+  function renderJobs(jobs) {
+    const rows = jobs
+      .map(
+        (job) => `
+          <tr>
+            <td>${escapeHTML(job.name)}</td>
+            <td>${job.intervalMinutes} min</td>
+            <td>${job.running ? "Running" : formatTime(job.nextRunAt)}</td>
+            <td>${formatTime(job.lastSuccessAt)}</td>
+            <td>${
+              job.lastError
+                ? `<span class="admin-error">${escapeHTML(
+                    job.lastError
+                  )}</span>`
+                : "OK"
+            }</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    jobsTable.innerHTML = `
+      <thead>
+        <tr><th>Job</th><th>Every</th><th>Next run</th><th>Last success</th><th>Status</th></tr>
+      </thead>
+      <tbody>${
+        rows || '<tr><td colspan="5">No jobs scheduled.</td></tr>'
+      }</tbody>
+    `;
+  }
+
+  async function loadStatus() {
+    try {
+      // Response: { jobs, categories, counts, aiUsage, storage }
+      const status = await api("/status");
+      renderCounts(status.counts, status.aiUsage, status.storage);
+      renderCategories(status.categories);
+      renderJobs(status.jobs);
+    } catch (error) {
+      console.error(error);
+      notify(`Couldn't load status: ${error.message}`);
+    }
+  }
+
+  async function showCache(slug) {
+    try {
+      const cache = await api(`/cache/${encodeURIComponent(slug)}`);
+      const items = cache.stories
+        .map(
+          (story) => `
+            <li>
+              <a href="article-template.html?id=${encodeURIComponent(
+                story.id
+              )}">${escapeHTML(story.title)}</a>
+              <span>${escapeHTML(story.source || "")}${
+            story.coverageCount > 1 ? ` · ${story.coverageCount} outlets` : ""
+          }</span>
+            </li>
+          `
+        )
+        .join("");
+      cacheView.innerHTML = `
+        <h4 class="ask-sources-title">${escapeHTML(cache.key)} · ${
+        cache.stories.length
+      } stories · ${formatTime(cache.updatedAt)}</h4>
+        <ol class="ask-sources">${items}</ol>
+      `;
+    } catch (error) {
+      notify(error.message);
+    }
+  }
+
+  categoriesTable.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const { action, slug } = button.dataset;
+
+    if (action === "view-cache") return showCache(slug);
+    if (
+      action === "clear-cache" &&
+      !confirm(`Delete the stored snapshot of "${slug}"?`)
+    ) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const result =
+        action === "refresh"
+          ? await post(`/categories/${encodeURIComponent(slug)}/refresh`)
+          : await post("/cache/clear", { category: slug });
+      notify(result.message);
+    } catch (error) {
+      notify(error.message);
+    } finally {
+      button.disabled = false;
+      loadStatus();
+    }
+  });
+
+  // --- Suggestions ---
+
+  // Moderation buttons offered for a suggestion in each status
+  const MODERATION_ACTIONS = {
+    pending: ["approved", "covered", "rejected"],
+    approved: ["covered", "rejected", "pending"],
+    covered: ["approved", "pending"],
+    rejected: ["approved", "pending"],
+  };
+  const MODERATION_LABELS = {
+    approved: "Approve",
+    covered: "Covered",
+    rejected: "Reject",
+    pending: "Back to pending",
+  };
+
+  function renderDraftState(draft) {
+    if (!draft) return "";
+    if (draft.status === "failed") {
+      return `<br /><small class="admin-error">Draft failed: ${escapeHTML(
+        draft.error || "unknown error"
+      )}</small>`;
+    }
+    return draft.status === "done"
+      ? "<br /><small>Post drafted</small>"
+      : "<br /><small>Drafting...</small>";
+  }
+
+  function renderSuggestions(result) {
+    const rows = result.suggestions
+      .map((suggestion) => {
+        const covered = suggestion.coveredBy
+          ? `<br /><a href="article-template.html?id=${encodeURIComponent(
+              suggestion.coveredBy.id
+            )}">${escapeHTML(suggestion.coveredBy.title || "Article")}</a>`
+          : "";
+        let buttons = can("suggestions:moderate")
+          ? (MODERATION_ACTIONS[suggestion.status] || [])
+              .map(
+                (status) =>
+                  `<button data-status="${status}" data-id="${suggestion.id}">${MODERATION_LABELS[status]}</button>`
+              )
+              .join("")
+          : "";
+        const draft = suggestion.draft;
+        if (
+          suggestion.status === "approved" &&
+          can("posts:edit") &&
+          (!draft || draft.status === "failed")
+        ) {
+          buttons += `<button data-action="draft" data-id="${suggestion.id}">Draft post</button>`;
+        }
+        return `
+          <tr>
+            <td>
+              <strong>${escapeHTML(suggestion.title)}</strong>
+              ${
+                suggestion.details
+                  ? `<br /><small>${escapeHTML(suggestion.details)}</small>`
+                  : ""
+              }
+            </td>
+            <td>${suggestion.votes}</td>
+            <td>${formatTime(suggestion.createdAt)}</td>
+            <td>${escapeHTML(suggestion.status)}${
+          suggestion.moderatedBy
+            ? `<br /><small>by ${escapeHTML(suggestion.moderatedBy)}</small>`
+            : ""
+        }${covered}${renderDraftState(draft)}</td>
+            <td class="admin-actions">${buttons}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    suggestionsTable.innerHTML = `
+      <thead>
+        <tr><th>Suggestion</th><th>Votes</th><th>Sent</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>${
+        rows || '<tr><td colspan="5">No suggestions found.</td></tr>'
+      }</tbody>
+    `;
+    suggestionsPager.innerHTML = `
+      ${
+        result.page > 1
+          ? '<button data-page="prev" class="capsule white-capsule small-capsule">Previous</button>'
+          : ""
+      }
+      <span>Page ${result.page} · ${result.total} suggestions</span>
+      ${
+        result.hasMore
+          ? '<button data-page="next" class="capsule white-capsule small-capsule">Next</button>'
+          : ""
+      }
+    `;
+  }
+
+  async function loadSuggestions(page) {
+    const params = new URLSearchParams({ page });
+    if (suggestionQuery.value.trim()) {
+      params.set("q", suggestionQuery.value.trim());
+    }
+    if (suggestionStatus.value) params.set("status", suggestionStatus.value);
+
+    try {
+      const result = await api(`/suggestions?${params}`);
+      suggestionsPage = result.page;
+      renderSuggestions(result);
+    } catch (error) {
+      console.error(error);
+      notify(`Couldn't load suggestions: ${error.message}`);
+    }
+  }
+
+  suggestionSearch.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadSuggestions(1);
+  });
+
+  suggestionsPager.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-page]");
+    if (!button) return;
+    loadSuggestions(
+      suggestionsPage + (button.dataset.page === "next" ? 1 : -1)
+    );
+  });
+
+  suggestionsTable.addEventListener("click", async (e) => {
+    const draftButton = e.target.closest('button[data-action="draft"]');
+    if (draftButton) {
+      draftButton.disabled = true;
+      try {
+        const result = await post(
+          `/suggestions/${encodeURIComponent(draftButton.dataset.id)}/draft`
+        );
+        notify(`${result.message} It will appear under Posts.`);
+        loadSuggestions(suggestionsPage);
+      } catch (error) {
+        notify(error.message);
+        draftButton.disabled = false;
+      }
+      return;
+    }
+
+    const button = e.target.closest("button[data-status]");
+    if (!button) return;
+    const { status, id } = button.dataset;
+
+    let articleId;
+    if (status === "covered") {
+      // Article URLs are listed under Articles below
+      articleId = prompt("URL of the article that covers this topic:");
+      if (!articleId) return;
+    }
+
+    button.disabled = true;
+    try {
+      await post(`/suggestions/${encodeURIComponent(id)}/moderate`, {
+        status,
+        articleId: articleId && articleId.trim(),
+      });
+      notify(
+        status === "approved"
+          ? "Suggestion approved. A post is being drafted for it."
+          : `Suggestion marked ${status}.`
+      );
+      loadSuggestions(suggestionsPage);
+      loadStatus();
+    } catch (error) {
+      notify(error.message);
+      button.disabled = false;
+    }
+  });
+
+  // --- Posts ---
+
+  const POST_STATUS_LABELS = {
+    draft: "Draft",
+    review: "In review",
+    published: "Published",
+  };
+  // Status buttons offered in the editor for a post in each status
+  const POST_ACTIONS = {
+    draft: [["review", "Send to review"]],
+    review: [
+      ["published", "Publish"],
+      ["draft", "Back to draft"],
+    ],
+    published: [["draft", "Unpublish"]],
+  };
+
+  function renderPosts(result) {
+    const rows = result.posts
+      .map(
+        (item) => `
+          <tr>
+            <td>
+              <strong>${escapeHTML(item.title)}</strong>
+              <br /><small>Suggested: ${escapeHTML(item.topic || "")}</small>
+            </td>
+            <td>${escapeHTML(item.category)}</td>
+            <td>${POST_STATUS_LABELS[item.status] || item.status}${
+          item.grounded
+            ? ""
+            : '<br /><small class="admin-error">Cites no sources</small>'
+        }</td>
+            <td>${item.sourceCount}</td>
+            <td>${formatTime(item.updatedAt)}${
+          item.updatedBy
+            ? `<br /><small>${escapeHTML(item.updatedBy)}</small>`
+            : ""
+        }</td>
+            <td class="admin-actions">
+              <button data-id="${escapeHTML(item.id)}">${
+          can("posts:edit") ? "Edit" : "View"
+        }</button>
+            </td>
+          </tr>
+        `
+      )
+      .join("");
+
+    postsTable.innerHTML = `
+      <thead>
+        <tr><th>Post</th><th>Category</th><th>Status</th><th>Sources</th><th>Updated</th><th></th></tr>
+      </thead>
+      <tbody>${rows || '<tr><td colspan="6">No posts yet.</td></tr>'}</tbody>
+    `;
+    postsPager.innerHTML = `
+      ${
+        result.page > 1
+          ? '<button data-page="prev" class="capsule white-capsule small-capsule">Previous</button>'
+          : ""
+      }
+      <span>Page ${result.page} · ${result.total} posts</span>
+      ${
+        result.hasMore
+          ? '<button data-page="next" class="capsule white-capsule small-capsule">Next</button>'
+          : ""
+      }
+    `;
+  }
+
+  async function loadPosts(page) {
+    const params = new URLSearchParams({ page });
+    if (postStatus.value) params.set("status", postStatus.value);
+
+    try {
+      const result = await api(`/posts?${params}`);
+      postsPage = result.page;
+      renderPosts(result);
+    } catch (error) {
+      console.error(error);
+      notify(`Couldn't load posts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fills the editor with a post: its fields, sources, history and the
+   * status changes it allows
+   */
+  function showPost(current) {
+    currentPost = current;
+    const editable = can("posts:edit");
+
+    document.getElementById("admin-post-title").value = current.title;
+    document.getElementById("admin-post-dek").value = current.dek || "";
+    document.getElementById("admin-post-body").value = current.body;
+    const categorySelect = document.getElementById("admin-post-category");
+    categorySelect.innerHTML = categoryList
+      .map(
+        (category) =>
+          `<option value="${category.slug}" ${
+            category.slug === current.category ? "selected" : ""
+          }>${escapeHTML(category.label)}</option>`
+      )
+      .join("");
+    postEditor
+      .querySelectorAll("input, textarea, select")
+      .forEach((field) => (field.disabled = !editable));
+
+    const sources = current.sources
+      .map(
+        (source) => `
+          <li>
+            <a href="article-template.html?id=${encodeURIComponent(
+              source.id
+            )}" target="_blank">${escapeHTML(source.title)}</a>
+            <span>${escapeHTML(source.source || "")}</span>
+          </li>
+        `
+      )
+      .join("");
+    const history = current.history
+      .map(
+        (entry) =>
+          `${POST_STATUS_LABELS[entry.status] || entry.status} by ${escapeHTML(
+            entry.by
+          )}, ${formatTime(entry.at)}`
+      )
+      .join(" · ");
+    postInfo.innerHTML = `
+      <p class="search-summary">
+        ${POST_STATUS_LABELS[current.status]} · written by ${escapeHTML(
+      current.model || "AI"
+    )}${
+      current.grounded
+        ? ""
+        : ' · <span class="admin-error">the body cites none of its sources</span>'
+    }${
+      current.url
+        ? ` · <a href="article-template.html?id=${encodeURIComponent(
+            current.url
+          )}" target="_blank">View published post</a>`
+        : ""
+    }
+      </p>
+      <h4 class="ask-sources-title">Sources</h4>
+      <ol class="ask-sources">${sources}</ol>
+      <p class="search-summary">${history}</p>
+    `;
+
+    postActions.innerHTML = editable
+      ? `<button type="submit">Save changes</button>${(
+          POST_ACTIONS[current.status] || []
+        )
+          .map(
+            ([status, label]) =>
+              `<button type="button" data-status="${status}">${label}</button>`
+          )
+          .join("")}`
+      : "";
+    postEditor.hidden = false;
+    postEditor.scrollIntoView({ behavior: "smooth" });
+  }
+
+  function readPostForm() {
+    return {
+      title: document.getElementById("admin-post-title").value,
+      dek: document.getElementById("admin-post-dek").value,
+      // The category list may not have loaded yet
+      category:
+        document.getElementById("admin-post-category").value ||
+        currentPost.category,
+      body: document.getElementById("admin-post-body").value,
+    };
+  }
+
+  postFilter.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadPosts(1);
+  });
+
+  postsPager.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-page]");
+    if (!button) return;
+    loadPosts(postsPage + (button.dataset.page === "next" ? 1 : -1));
+  });
+
+  postsTable.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-id]");
+    if (!button) return;
+    try {
+      showPost(await api(`/posts/${encodeURIComponent(button.dataset.id)}`));
+    } catch (error) {
+      notify(error.message);
+    }
+  });
+
+  postEditor.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      showPost(
+        await post(
+          `/posts/${encodeURIComponent(currentPost.id)}`,
+          readPostForm()
+        )
+      );
+      notify("Post saved.");
+      loadPosts(postsPage);
+    } catch (error) {
+      notify(error.message);
+    }
+  });
+
+  postActions.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-status]");
+    if (!button) return;
+    const { status } = button.dataset;
+    if (status === "published" && !confirm("Publish this post now?")) return;
+
+    button.disabled = true;
+    try {
+      // Unsaved edits go along with the status change
+      const path = `/posts/${encodeURIComponent(currentPost.id)}`;
+      await post(path, readPostForm());
+      showPost(await post(`${path}/status`, { status }));
+      notify(`Post moved to ${POST_STATUS_LABELS[status].toLowerCase()}.`);
+      loadPosts(postsPage);
+      loadStatus();
+    } catch (error) {
+      notify(error.message);
+      button.disabled = false;
+    }
+  });
+
+  // --- Articles ---
+
+  function renderArticles(result) {
+    const rows = result.articles
+      .map((article) => {
+        const scraped =
+          article.extractionConfidence !== undefined
+            ? `Scraped (${article.extractionConfidence})`
+            : article.lastScrapeAttemptAt
+            ? "Scrape failed"
+            : "Not scraped";
+        return `
+          <tr>
+            <td>
+              <a href="article-template.html?id=${encodeURIComponent(
+                article.url
+              )}">${escapeHTML(article.title)}</a>
+              ${article.isPrimary === false ? " <em>(duplicate)</em>" : ""}
+            </td>
+            <td>${escapeHTML(article.source || "")}</td>
+            <td>${escapeHTML(article.publishedAt || "")}</td>
+            <td>${scraped}</td>
+            <td class="admin-actions">
+              ${
+                can("articles:rescrape")
+                  ? `<button data-action="rescrape" data-url="${escapeHTML(
+                      article.url
+                    )}">Re-scrape</button>`
+                  : ""
+              }
+              ${
+                can("articles:delete")
+                  ? `<button data-action="delete" data-url="${escapeHTML(
+                      article.url
+                    )}">Delete</button>`
+                  : ""
+              }
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    articlesTable.innerHTML = `
+      <thead>
+        <tr><th>Title</th><th>Source</th><th>Published</th><th>Content</th><th></th></tr>
+      </thead>
+      <tbody>${
+        rows || '<tr><td colspan="5">No articles found.</td></tr>'
+      }</tbody>
+    `;
+    articlesPager.innerHTML = `
+      ${
+        result.page > 1
+          ? '<button data-page="prev" class="capsule white-capsule small-capsule">Previous</button>'
+          : ""
+      }
+      <span>Page ${result.page} · ${result.total} articles</span>
+      ${
+        result.hasMore
+          ? '<button data-page="next" class="capsule white-capsule small-capsule">Next</button>'
+          : ""
+      }
+    `;
+  }
+
+  async function loadArticles(page) {
+    const params = new URLSearchParams({ page });
+    if (articleQuery.value.trim()) params.set("q", articleQuery.value.trim());
+    if (articleCategory.value) params.set("category", articleCategory.value);
+
+    try {
+      const result = await api(`/articles?${params}`);
+      articlesPage = result.page;
+      renderArticles(result);
+    } catch (error) {
+      console.error(error);
+      notify(`Couldn't load articles: ${error.message}`);
+    }
+  }
+
+  articleSearch.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadArticles(1);
+  });
+
+  articlesPager.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-page]");
+    if (!button) return;
+    loadArticles(articlesPage + (button.dataset.page === "next" ? 1 : -1));
+  });
+
+  articlesTable.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const { action, url } = button.dataset;
+    if (action === "delete" && !confirm(`Delete this article?\n${url}`)) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const result = await post(`/articles/${action}`, { url });
+      notify(result.message);
+      loadArticles(articlesPage);
+    } catch (error) {
+      notify(error.message);
+      button.disabled = false;
+    }
+  });
+
+  // --- Maintenance ---
+
+  document
+    .getElementById("admin-clear-cache-btn")
+    .addEventListener("click", async () => {
+      if (!confirm("Delete every category's stored snapshot?")) return;
+      try {
+        const result = await post("/cache/clear");
+        notify(`${result.message} (${result.deletedCount} deleted)`);
+        loadStatus();
+      } catch (error) {
+        notify(error.message);
+      }
+    });
+
+  document
+    .getElementById("admin-clear-content-btn")
+    .addEventListener("click", async () => {
+      if (!confirm("Remove the scraped content of every article?")) return;
+      try {
+        const result = await post("/articles/clear-content");
+        notify(`${result.message} (${result.modifiedCount} articles)`);
+        loadStatus();
+      } catch (error) {
+        notify(error.message);
+      }
+    });
+
+  document.getElementById("admin-reload-btn").addEventListener("click", () => {
+    loadStatus();
+    loadSuggestions(suggestionsPage);
+    loadPosts(postsPage);
+    loadArticles(articlesPage);
+  });
+
+  // --- Run ---
+  api("/session")
+    .then(showDashboard)
+    .catch(() => showLogin());
+});
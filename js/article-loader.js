@@ -9,6 +9,11 @@ This file:
 document.addEventListener("DOMContentLoaded", () => {
   const placeholder = document.getElementById("article-content-placeholder");
   let currentArticle = null; // To store article data for chat
+  let showParagraphsUpTo = () => {}; // Set once the article is rendered
+
+  // Below this extraction confidence the scraped body is likely to be
+  // boilerplate or a fragment, so we show the summary instead
+  const MIN_EXTRACTION_CONFIDENCE = 0.4;
 
   // --- 1. Article Loading Logic ---
 
@@ -39,22 +44,30 @@ document.addEventListener("DOMContentLoaded", () => {
       // Update page title
       document.title = `AI News Hub - ${currentArticle.title}`;
 
-      // Use full scraped content if available, otherwise use formatted content
-      let articleBody = currentArticle.fullContent
+      // Use full scraped content if the extractor was confident about it,
+      // otherwise fall back to the summary content from the news source
+      // (the chat server picks the same body - see lib/chat-context.js -
+      // so paragraph citations match the blocks numbered below)
+      const hasReliableBody =
+        currentArticle.fullContent &&
+        (currentArticle.extractionConfidence === undefined ||
+          currentArticle.extractionConfidence >= MIN_EXTRACTION_CONFIDENCE);
+      let articleBody = hasReliableBody
         ? currentArticle.fullContent
-        : currentArticle.content;
+        : currentArticle.content || currentArticle.description || "";
 
       // Format text if it's plain text (no HTML tags)
       if (!articleBody.includes("<p>") && !articleBody.includes("<br>")) {
         articleBody = formatTextAsHtml(articleBody);
       }
 
-      // Highlight keywords from the title
+      // Link people, organizations, places and products to their
+      // topic pages, then highlight keywords from the title
+      articleBody = linkEntityMentions(articleBody, currentArticle.entities);
       articleBody = highlightKeywords(articleBody, currentArticle.title);
 
-      // Extract paragraphs
-      const paragraphRegex = /<p[^>]*>.*?<\/p>/gi;
-      const paragraphs = articleBody.match(paragraphRegex) || [];
+      // Extract top-level blocks (paragraphs, headings, lists, figures...)
+      const paragraphs = splitIntoBlocks(articleBody);
 
       console.log(`[ARTICLE] Found ${paragraphs.length} paragraphs`);
 
@@ -64,42 +77,75 @@ document.addEventListener("DOMContentLoaded", () => {
           <a href="javascript:history.back()" class="back-link" id="back-to-feed-btn">
             <i class="fa-solid fa-arrow-left"></i> Back
           </a>
-          <h1>${currentArticle.title}</h1>
+          <h1>${escapeHTML(currentArticle.title)}</h1>
           <div class="article-meta">
-            <span>By: <strong>${currentArticle.author}</strong></span>
-            <span>On: <strong>${currentArticle.publishedAt}</strong></span>
+            <span>By: <strong>${escapeHTML(
+              currentArticle.author
+            )}</strong></span>
+            <span>On: <strong>${escapeHTML(
+              currentArticle.publishedAt
+            )}</strong></span>
           </div>
-          <button class="capsule black-capsule btn-border" id="chat-with-article-btn">
+          ${createEntitiesHTML(currentArticle.entities)}
+          ${
+            currentArticle.chatAvailable === false
+              ? ""
+              : `<button class="capsule black-capsule btn-border" id="chat-with-article-btn">
             <i class="fa-solid fa-comments"></i> Chat with this Article
-          </button>
+          </button>`
+          }
         </div>
         
-        <div class="article-view-image" style="background-image: url('${
+        <div class="article-view-image" style="background-image: url('${escapeHTML(
           currentArticle.imageUrl
-        }')"></div>
+        )}')"></div>
         
+        <div id="article-summary-container">
+          ${createSummaryHTML(currentArticle)}
+        </div>
+
         <div class="article-view-body" id="article-paragraphs-container">
-          ${paragraphs.length > 0 ? paragraphs[0] : articleBody}
+          ${
+            paragraphs.length > 0
+              ? createParagraphHTML(paragraphs[0], 0)
+              : articleBody
+          }
           ${
             paragraphs.length > 1
               ? `<button class="view-more-btn" id="view-more-btn"><i class="fa-solid fa-chevron-down"></i> View More</button>`
               : ""
           }
-          <p style="margin-top: 2em; font-style: italic;">
-            <a href="${
+          ${
+            hasReliableBody
+              ? ""
+              : `<p class="extraction-note">We couldn't reliably extract the full text of this article, so you're seeing the publisher's summary.</p>`
+          }
+          ${
+            currentArticle.original
+              ? `<p class="original-note"><i class="fa-solid fa-pen-nib"></i> An original AI News Hub post, drafted with AI from ${currentArticle.sourceCount} stored news articles and reviewed by our editors before publishing.</p>`
+              : `<p style="margin-top: 2em; font-style: italic;">
+            <a href="${escapeHTML(
               currentArticle.url
-            }" target="_blank" rel="noopener noreferrer">
-              Read the full original article at ${currentArticle.source}
+            )}" target="_blank" rel="noopener noreferrer">
+              Read the full original article at ${escapeHTML(
+                currentArticle.source
+              )}
             </a>
-          </p>
+          </p>`
+          }
         </div>
 
+        ${createAlsoCoveredByHTML(currentArticle.alsoCoveredBy)}
+
         <div id="related-articles-container"></div>
       `;
 
       // --- 2. Setup Expandable Paragraphs ---
       setupParagraphExpansion(paragraphs);
 
+      // Summaries are generated after the first scrape, so may still be on the way
+      if (currentArticle.summaryStatus === "pending") loadSummary();
+
       // --- 3. Load Related Articles ---
       loadRelatedArticles();
 
@@ -111,31 +157,157 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  /**
+   * Builds the AI summary box (TL;DR + key points)
+   */
+  function createSummaryHTML(article) {
+    if (article.summaryStatus === "pending") {
+      return `
+        <div class="article-summary loading">
+          <h3><i class="fa-solid fa-wand-magic-sparkles"></i> TL;DR</h3>
+          <p><i class="fa-solid fa-spinner fa-spin"></i> Summarizing this article...</p>
+        </div>
+      `;
+    }
+    const summary = article.summary;
+    if (!summary) return "";
+
+    const points = summary.keyPoints
+      .map((point) => `<li>${escapeHTML(point)}</li>`)
+      .join("");
+    return `
+      <div class="article-summary">
+        <h3><i class="fa-solid fa-wand-magic-sparkles"></i> TL;DR</h3>
+        <p>${escapeHTML(summary.text)}</p>
+        <h4>Key points</h4>
+        <ul>${points}</ul>
+        <span class="summary-meta">AI-generated summary (${escapeHTML(
+          summary.model
+        )}). Check the full article for details.</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Fetches a summary that was still being generated when the page loaded
+   */
+  async function loadSummary() {
+    const container = document.getElementById("article-summary-container");
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/article/summary?id=${encodeURIComponent(
+          currentArticle.id
+        )}`
+      );
+      if (!response.ok) throw new Error("Summary not available");
+
+      const { summary } = await response.json();
+      currentArticle.summary = summary;
+      currentArticle.summaryStatus = "ready";
+      container.innerHTML = createSummaryHTML(currentArticle);
+    } catch (error) {
+      console.warn("[SUMMARY]", error.message);
+      container.innerHTML = "";
+    }
+  }
+
+  /**
+   * Lists who and what the article is about, linking to their topic pages
+   */
+  function createEntitiesHTML(entities) {
+    if (!entities || entities.length === 0) return "";
+    return `
+      <div class="article-entities" aria-label="Topics in this story">
+        ${entities.map(createEntityChipHTML).join("")}
+      </div>
+    `;
+  }
+
+  /**
+   * Lists the other outlets' versions of the same story
+   */
+  function createAlsoCoveredByHTML(versions) {
+    if (!versions || versions.length === 0) return "";
+
+    const items = versions
+      .map(
+        (version) => `
+          <li>
+            <a href="article-template.html?id=${encodeURIComponent(
+              version.id
+            )}">
+              <strong>${escapeHTML(version.source)}</strong>: ${escapeHTML(
+          version.title
+        )}
+            </a>
+          </li>
+        `
+      )
+      .join("");
+
+    return `
+      <div class="also-covered-section">
+        <h3><i class="fa-solid fa-layer-group"></i> Also covered by</h3>
+        <ul>${items}</ul>
+      </div>
+    `;
+  }
+
   // --- 2. Setup Expandable Paragraphs ---
 
+  /**
+   * Wraps a block so chat citations ([n]) can find it
+   */
+  function createParagraphHTML(block, index) {
+    return `<div class="article-paragraph" data-paragraph="${
+      index + 1
+    }">${block}</div>`;
+  }
+
   function setupParagraphExpansion(paragraphs) {
     if (paragraphs.length <= 1) return;
 
     let currentIndex = 1;
-    const container = document.getElementById("article-paragraphs-container");
     const viewMoreBtn = document.getElementById("view-more-btn");
 
     if (!viewMoreBtn) return;
 
-    viewMoreBtn.addEventListener("click", () => {
-      if (currentIndex < paragraphs.length) {
+    // Reveals paragraphs until paragraph 'number' (1-based) is shown
+    showParagraphsUpTo = (number) => {
+      while (currentIndex < Math.min(number, paragraphs.length)) {
         // Add next paragraph before the button
-        const nextParagraph = document.createElement("div");
-        nextParagraph.innerHTML = paragraphs[currentIndex];
-        viewMoreBtn.parentNode.insertBefore(nextParagraph, viewMoreBtn);
+        viewMoreBtn.insertAdjacentHTML(
+          "beforebegin",
+          createParagraphHTML(paragraphs[currentIndex], currentIndex)
+        );
         currentIndex++;
+      }
 
-        // Hide button if all paragraphs are shown
-        if (currentIndex >= paragraphs.length) {
-          viewMoreBtn.style.display = "none";
-        }
+      // Hide button if all paragraphs are shown
+      if (currentIndex >= paragraphs.length) {
+        viewMoreBtn.style.display = "none";
       }
-    });
+    };
+
+    viewMoreBtn.addEventListener("click", () =>
+      showParagraphsUpTo(currentIndex + 1)
+    );
+  }
+
+  /**
+   * Scrolls to a paragraph cited by the chat and highlights it briefly
+   */
+  function highlightParagraph(number) {
+    showParagraphsUpTo(number);
+    const paragraph = document.querySelector(
+      `.article-paragraph[data-paragraph="${number}"]`
+    );
+    if (!paragraph) return;
+
+    paragraph.scrollIntoView({ behavior: "smooth", block: "center" });
+    paragraph.classList.remove("citation-highlight");
+    void paragraph.offsetWidth; // Restart the animation on repeat clicks
+    paragraph.classList.add("citation-highlight");
   }
 
   // --- 3. Load Related Articles ---
@@ -201,12 +373,23 @@ document.addEventListener("DOMContentLoaded", () => {
           <a href="article-template.html?id=${encodeURIComponent(
             article.url || article.id
           )}" class="related-article-card">
-            <div class="related-article-image" style="background-image: url('${imageUrl}')"></div>
+            <div class="related-article-image" style="background-image: url('${escapeHTML(
+              imageUrl
+            )}')"></div>
             <div class="related-article-content">
-              <h3>${article.title || "Article " + (index + 1)}</h3>
-              <p>${description}</p>
+              <h3>${escapeHTML(article.title || "Article " + (index + 1))}</h3>
+              <p>${escapeHTML(description)}</p>
+              ${
+                article.reason
+                  ? `<span class="related-reason"><i class="fa-solid fa-link"></i> ${escapeHTML(
+                      article.reason
+                    )}</span>`
+                  : ""
+              }
               <div class="related-article-meta">
-                <span class="category-tag">${article.category || "News"}</span>
+                <span class="category-tag">${escapeHTML(
+                  article.category || "News"
+                )}</span>
               </div>
             </div>
           </a>
@@ -235,29 +418,99 @@ document.addEventListener("DOMContentLoaded", () => {
       "chat-messages-container"
     );
     const chatButton = document.getElementById("chat-with-article-btn");
+    const chatNewBtn = document.getElementById("chat-new-btn");
+    const chatSendBtn = document.getElementById("chat-send-btn");
+    const chatCancelBtn = document.getElementById("chat-cancel-btn");
 
     if (!chatButton) return;
 
+    // The conversation for this article survives closing the modal and
+    // reloading the page; the server keeps the history
+    const conversationKey = `chat-conversation:${currentArticle.id}`;
+    let conversationId = localStorage.getItem(conversationKey);
+
     chatButton.addEventListener("click", openChatModal);
 
-    function openChatModal() {
-      chatModal.style.display = "flex";
+    function showGreeting() {
       chatMessagesContainer.innerHTML = `
         <div class="chat-message system">
-          I am an AI assistant. Ask me anything about "${currentArticle.title}"!
+          I am an AI assistant. Ask me anything about "${escapeHTML(
+            currentArticle.title
+          )}"!
         </div>
       `;
+    }
+
+    async function openChatModal() {
+      chatModal.style.display = "flex";
       chatInput.focus();
+      if (chatMessagesContainer.children.length > 0) return; // Already shown
+
+      showGreeting();
+      if (conversationId) await loadConversation();
     }
 
+    /**
+     * Shows the earlier exchange of a stored conversation
+     */
+    async function loadConversation() {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/chat/session?id=${encodeURIComponent(
+            conversationId
+          )}&article=${encodeURIComponent(currentArticle.id)}`
+        );
+        if (response.status === 404) {
+          // Expired or unknown - start afresh
+          startNewConversation();
+          return;
+        }
+        if (!response.ok) return;
+
+        const session = await response.json();
+        session.messages.forEach((message) =>
+          addChatMessage(message.text, message.role === "user" ? "user" : "ai")
+        );
+      } catch (error) {
+        console.error("Error loading conversation:", error);
+      }
+    }
+
+    function startNewConversation() {
+      conversationId = null;
+      localStorage.removeItem(conversationKey);
+      showGreeting();
+    }
+
+    chatNewBtn.addEventListener("click", () => {
+      startNewConversation();
+      chatInput.focus();
+    });
+
     chatCloseBtn.addEventListener("click", () => {
       chatModal.style.display = "none";
     });
 
+    // Clicking a citation shows the paragraph it points at
+    chatMessagesContainer.addEventListener("click", (e) => {
+      const citation = e.target.closest(".citation");
+      if (!citation || citation.classList.contains("invalid")) return;
+
+      chatModal.style.display = "none";
+      highlightParagraph(Number(citation.dataset.index));
+    });
+
+    // Aborts the answer currently being streamed, if any
+    let activeRequest = null;
+
+    chatCancelBtn.addEventListener("click", () => {
+      if (activeRequest) activeRequest.abort();
+    });
+
     chatForm.addEventListener("submit", (e) => {
       e.preventDefault();
       const query = chatInput.value.trim();
-      if (!query) return;
+      if (!query || activeRequest) return;
 
       addChatMessage(query, "user");
       chatInput.value = "";
@@ -281,34 +534,144 @@ document.addEventListener("DOMContentLoaded", () => {
       return messageEl;
     }
 
+    /**
+     * Shows a finished answer with its [n] citations as links to the
+     * paragraphs. Citations the server couldn't verify are marked.
+     */
+    function renderAnswer(bubble, answer, result) {
+      const supported = new Map(
+        (result.citations || []).map((c) => [c.index, c.supported])
+      );
+
+      bubble.innerHTML = escapeHTML(answer).replace(
+        /\[(\d+(?:\s*,\s*\d+)*)\]/g,
+        (match, list) =>
+          list
+            .split(",")
+            .map((value) => {
+              const index = parseInt(value, 10);
+              if (!supported.has(index)) {
+                return `<span class="citation invalid" title="This paragraph doesn't exist">[${index}]</span>`;
+              }
+              const className = supported.get(index)
+                ? "citation"
+                : "citation unsupported";
+              const title = supported.get(index)
+                ? `Show paragraph ${index}`
+                : `Paragraph ${index} may not support this`;
+              return `<button type="button" class="${className}" data-index="${index}" title="${title}">[${index}]</button>`;
+            })
+            .join("")
+      );
+
+      if (result.grounded === false) {
+        bubble.insertAdjacentHTML(
+          "beforeend",
+          `<span class="chat-ungrounded"><i class="fa-solid fa-triangle-exclamation"></i> This answer doesn't cite the article, so it may not be based on it.</span>`
+        );
+      }
+    }
+
+    /**
+     * Turns the chat off once the daily AI quota is used up
+     */
+    function disableChat(message) {
+      chatInput.disabled = true;
+      chatSendBtn.disabled = true;
+      chatInput.placeholder = message;
+    }
+
+    function setStreaming(isStreaming) {
+      chatSendBtn.style.display = isStreaming ? "none" : "";
+      chatCancelBtn.style.display = isStreaming ? "" : "none";
+    }
+
+    /**
+     * Reads a Server-Sent Events stream, calling onEvent(name, data)
+     * for each event
+     */
+    async function readEventStream(response, onEvent) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split("\n\n");
+        buffer = events.pop();
+        events.forEach((block) => {
+          const name = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = (block.match(/^data: (.*)$/m) || [])[1];
+          if (name && data) onEvent(name, JSON.parse(data));
+        });
+      }
+    }
+
     async function fetchAiResponse(query) {
-      const loadingBubble = addChatMessage("", "ai", true);
+      const bubble = addChatMessage("", "ai", true);
+      activeRequest = new AbortController();
+      setStreaming(true);
+      let answer = "";
 
-      // Send the query AND the article content to our backend
+      // Send the query and the article's ID; the server loads the article
+      // itself and the answer streams back piece by piece
       try {
-        const response = await fetch(`${API_BASE_URL}/api/chat`, {
+        const response = await fetch(`${API_BASE_URL}/api/chat/stream`, {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
             userQuery: query,
-            // Use full content if available, otherwise use description
-            articleContent:
-              currentArticle.fullContent || currentArticle.description,
+            articleId: currentArticle.id,
+            conversationId,
           }),
+          signal: activeRequest.signal,
         });
 
         if (!response.ok) {
           const err = await response.json();
+          if (err.quotaExceeded) disableChat(err.error);
           throw new Error(err.error || "Failed to get AI response");
         }
 
-        const data = await response.json();
-        loadingBubble.textContent = data.response;
-        loadingBubble.id = ""; // Remove ID after loading
+        await readEventStream(response, (event, data) => {
+          if (event === "start" && data.conversationId) {
+            conversationId = data.conversationId;
+            localStorage.setItem(conversationKey, conversationId);
+          } else if (event === "token") {
+            answer += data.text;
+            bubble.textContent = answer;
+            bubble.id = ""; // No longer a loading bubble
+            chatMessagesContainer.scrollTop =
+              chatMessagesContainer.scrollHeight;
+          } else if (event === "done") {
+            renderAnswer(bubble, answer, data);
+          } else if (event === "error") {
+            if (data.quotaExceeded) disableChat(data.error);
+            throw new Error(data.error);
+          }
+        });
+
+        if (!answer) throw new Error("The AI model returned no answer");
       } catch (error) {
-        console.error("Error fetching AI response:", error);
-        loadingBubble.textContent = `Error: ${error.message}`;
-        loadingBubble.classList.add("system"); // Make it look like an error
+        if (error.name === "AbortError") {
+          bubble.id = "";
+          bubble.textContent = answer ? `${answer} …` : "";
+          addChatMessage("Answer stopped.", "system");
+        } else {
+          console.error("Error fetching AI response:", error);
+          bubble.id = "";
+          bubble.textContent = answer
+            ? `${answer}\n\nError: ${error.message}`
+            : `Error: ${error.message}`;
+          bubble.classList.add("system"); // Make it look like an error
+        }
+        if (!bubble.textContent) bubble.remove();
+      } finally {
+        activeRequest = null;
+        setStreaming(false);
       }
     }
   }
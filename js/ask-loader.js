@@ -0,0 +1,120 @@
+/*
+=========================================
+ AI News Hub - Ask the News Loader
+=========================================
+This file runs the "Ask the News" page (ask.html): questions are
+answered from every stored article, and each answer links to the
+stories it was drawn from. ?q=... in the URL asks straight away.
+*/
+document.addEventListener("DOMContentLoaded", () => {
+  const messagesContainer = document.getElementById("ask-messages-container");
+  const askForm = document.getElementById("ask-form");
+  const askInput = document.getElementById("ask-input-text");
+  const askSendBtn = document.getElementById("ask-send-btn");
+
+  let isAsking = false;
+
+  function articleLink(source) {
+    return `article-template.html?id=${encodeURIComponent(source.id)}`;
+  }
+
+  function addMessage(html, sender) {
+    const messageEl = document.createElement("div");
+    messageEl.classList.add("chat-message", sender);
+    messageEl.innerHTML = html;
+    messagesContainer.appendChild(messageEl);
+    messageEl.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    return messageEl;
+  }
+
+  /**
+   * Builds an answer with its [n] citations linking to the articles,
+   * followed by the list of sources
+   */
+  function createAnswerHTML(result) {
+    const answer = linkCitationsHTML(
+      result.answer,
+      result.sources,
+      result.citations
+    );
+
+    const sourceItems = result.sources
+      .map(
+        (source) => `
+          <li>
+            <a href="${articleLink(source)}">${escapeHTML(source.title)}</a>
+            <span>${escapeHTML(source.source || "")} · ${escapeHTML(
+          source.publishedAt || ""
+        )}</span>
+          </li>
+        `
+      )
+      .join("");
+
+    return `
+      <div class="ask-answer">${answer}</div>
+      ${
+        result.sources.length > 0 && !result.grounded
+          ? `<span class="chat-ungrounded"><i class="fa-solid fa-triangle-exclamation"></i> This answer doesn't cite the articles below, so it may not be based on them.</span>`
+          : ""
+      }
+      ${
+        sourceItems
+          ? `<h4 class="ask-sources-title">Sources</h4><ol class="ask-sources">${sourceItems}</ol>`
+          : ""
+      }
+    `;
+  }
+
+  async function ask(question) {
+    isAsking = true;
+    askSendBtn.disabled = true;
+    addMessage(escapeHTML(question), "user");
+    const bubble = addMessage(
+      '<i class="fa-solid fa-spinner fa-spin"></i> Searching the archive...',
+      "ai"
+    );
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/ask`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ question }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to get an answer");
+      }
+      bubble.innerHTML = createAnswerHTML(result);
+    } catch (error) {
+      console.error("Error asking the news:", error);
+      bubble.textContent = `Error: ${error.message}`;
+      bubble.classList.add("system"); // Make it look like an error
+    } finally {
+      isAsking = false;
+      askSendBtn.disabled = false;
+    }
+  }
+
+  askForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const question = askInput.value.trim();
+    if (!question || isAsking) return;
+
+    askInput.value = "";
+    ask(question);
+  });
+
+  // --- Run ---
+  addMessage(
+    "I answer questions from every story AI News Hub has collected. What would you like to know?",
+    "system"
+  );
+
+  const initialQuestion = new URLSearchParams(window.location.search).get("q");
+  if (initialQuestion && initialQuestion.trim()) {
+    ask(initialQuestion.trim());
+  } else {
+    askInput.focus();
+  }
+});
@@ -0,0 +1,122 @@
+/*
+=========================================
+ AI News Hub - Daily Briefing Loader
+=========================================
+This file runs the daily briefing page (briefing.html): one short
+AI-written overview per category of the day's top stories, with
+links to the articles. ?date=YYYY-MM-DD shows an archived day.
+*/
+document.addEventListener("DOMContentLoaded", () => {
+  const container = document.getElementById("briefings-container");
+  const summary = document.getElementById("briefing-summary");
+  const dateSelect = document.getElementById("briefing-date");
+
+  const params = new URLSearchParams(window.location.search);
+
+  function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  /**
+   * Builds one category's briefing: the narrative (with [n] links) and
+   * the stories it covers
+   */
+  function createBriefingHTML(briefing) {
+    const paragraphs = briefing.narrative
+      .split(/\n\s*\n/)
+      .filter((paragraph) => paragraph.trim())
+      .map(
+        (paragraph) =>
+          `<p>${linkCitationsHTML(
+            paragraph,
+            briefing.stories,
+            briefing.citations
+          )}</p>`
+      )
+      .join("");
+
+    const stories = briefing.stories
+      .map(
+        (story) => `
+          <li>
+            <a href="article-template.html?id=${encodeURIComponent(
+              story.id
+            )}">${escapeHTML(story.title)}</a>
+            <span>${escapeHTML(story.source || "")}${
+          story.coverageCount > 1
+            ? ` · covered by ${story.coverageCount} outlets`
+            : ""
+        }</span>
+          </li>
+        `
+      )
+      .join("");
+
+    return `
+      <section class="briefing" id="briefing-${briefing.category}">
+        <h3>${escapeHTML(briefing.label)}</h3>
+        <div class="briefing-narrative">${paragraphs}</div>
+        <h4 class="ask-sources-title">Stories</h4>
+        <ol class="ask-sources">${stories}</ol>
+        <span class="summary-meta">AI-written briefing (${escapeHTML(
+          briefing.model
+        )}). Follow the links for the full stories.</span>
+      </section>
+    `;
+  }
+
+  function renderArchive(dates, current) {
+    dateSelect.innerHTML = dates
+      .map(
+        (date) =>
+          `<option value="${date}" ${
+            date === current ? "selected" : ""
+          }>${formatDate(date)}</option>`
+      )
+      .join("");
+    dateSelect.disabled = dates.length === 0;
+  }
+
+  async function loadBriefings() {
+    try {
+      const query = new URLSearchParams();
+      if (params.get("date")) query.set("date", params.get("date"));
+
+      const response = await fetch(`${API_BASE_URL}/api/briefings?${query}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to load briefings");
+      }
+
+      // Response: { date, dates, briefings }
+      renderArchive(result.dates, result.date);
+      if (result.briefings.length === 0) {
+        summary.textContent = result.date
+          ? `No briefings for ${formatDate(result.date)}.`
+          : "The first daily briefing hasn't been written yet. Check back tomorrow morning.";
+        return;
+      }
+
+      document.title = `AI News Hub - Briefing for ${formatDate(result.date)}`;
+      summary.textContent = `Your briefing for ${formatDate(result.date)}`;
+      container.innerHTML = result.briefings.map(createBriefingHTML).join("");
+    } catch (error) {
+      console.error(error);
+      summary.textContent = `Error loading briefings: ${error.message}`;
+    }
+  }
+
+  // Picking a day from the archive loads that day's page
+  dateSelect.addEventListener("change", () => {
+    window.location.search = `?date=${encodeURIComponent(dateSelect.value)}`;
+  });
+
+  // --- Run ---
+  loadBriefings();
+});
@@ -3,15 +3,14 @@
  AI News Hub - Category Page Loader
 =========================================
 This file fetches news for all category pages
-(technology.html, politics.html, etc.)
+(technology.html, politics.html, category.html?category=..., etc.)
 */
 document.addEventListener("DOMContentLoaded", () => {
   const feedGrid = document.getElementById("blog-feed-grid");
+  const feedTitle = document.getElementById("feed-title");
 
-  // 1. Detect category from page URL
-  const path = window.location.pathname;
-  const pageName = path.split("/").pop(); // e.g., "technology.html"
-  const category = pageName.split(".")[0]; // e.g., "technology"
+  // 1. Detect category from page URL (?category=slug or e.g. "technology.html")
+  const category = getCurrentCategorySlug();
 
   if (!category) {
     feedGrid.innerHTML = "<h4>Could not determine category.</h4>";
@@ -21,18 +20,38 @@ document.addEventListener("DOMContentLoaded", () => {
   feedGrid.innerHTML = '<h4 id="loading-indicator">Loading articles...</h4>';
 
   /**
-   * Loads news from our backend
+   * Sets the page heading and title from the category registry
+   */
+  async function loadCategoryInfo() {
+    try {
+      const categories = await fetchCategories();
+      const info = categories.find((c) => c.slug === category);
+      if (!info) return;
+      feedTitle.textContent = info.label;
+      document.title = `AI News Hub - ${info.label}`;
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Appends a page of articles to the grid
+   */
+  function renderArticles(articles) {
+    feedGrid.insertAdjacentHTML(
+      "beforeend",
+      articles.map((article) => createArticleCardHTML(article)).join("")
+    );
+  }
+
+  /**
+   * Loads the first page of news from our backend, then keeps loading
+   * pages as the reader scrolls
    */
   async function loadNews() {
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/news?category=${category}`
-      );
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.error || "Failed to fetch news");
-      }
-      const articles = await response.json();
+      // Response: { articles, nextCursor, snapshot: { updatedAt, ... } }
+      const { articles, nextCursor } = await fetchNewsPage(category);
 
       // Clear loading indicator
       feedGrid.innerHTML = "";
@@ -43,9 +62,14 @@ document.addEventListener("DOMContentLoaded", () => {
       }
 
       // Build article grid
-      articles.forEach((article) => {
-        const cardHTML = createArticleCardHTML(article);
-        feedGrid.innerHTML += cardHTML;
+      renderArticles(articles);
+
+      let cursor = nextCursor;
+      setupInfiniteScroll(feedGrid, Boolean(cursor), async () => {
+        const page = await fetchNewsPage(category, cursor);
+        renderArticles(page.articles);
+        cursor = page.nextCursor;
+        return Boolean(cursor);
       });
     } catch (error) {
       console.error(error);
@@ -54,5 +78,6 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // --- Run ---
+  loadCategoryInfo();
   loadNews();
 });
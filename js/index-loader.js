@@ -21,14 +21,8 @@ document.addEventListener("DOMContentLoaded", () => {
    */
   async function loadNews() {
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/news?category=topstories`
-      );
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.error || "Failed to fetch news");
-      }
-      const articles = await response.json();
+      // Response: { articles, nextCursor, snapshot: { updatedAt, ... } }
+      const { articles, nextCursor } = await fetchNewsPage("topstories");
 
       // Clear loading indicator
       feedGrid.innerHTML = "";
@@ -57,6 +51,20 @@ document.addEventListener("DOMContentLoaded", () => {
         feedGrid.innerHTML += cardHTML;
       });
 
+      // Older stories are added to the grid as the reader scrolls
+      let cursor = nextCursor;
+      setupInfiniteScroll(feedGrid, Boolean(cursor), async () => {
+        const page = await fetchNewsPage("topstories", cursor);
+        feedGrid.insertAdjacentHTML(
+          "beforeend",
+          page.articles
+            .map((article) => createArticleCardHTML(article))
+            .join("")
+        );
+        cursor = page.nextCursor;
+        return Boolean(cursor);
+      });
+
       // --- 3. Initialize Slideshow ---
       // This logic was moved from script.js
       initializeSlideshow();
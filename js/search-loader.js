@@ -0,0 +1,111 @@
+/*
+=========================================
+ AI News Hub - Search Page Loader
+=========================================
+This file runs the search results page (search.html).
+The search filters live in the page URL (?q=...&category=...),
+so results can be bookmarked and shared.
+*/
+document.addEventListener("DOMContentLoaded", () => {
+  const feedGrid = document.getElementById("blog-feed-grid");
+  const filtersForm = document.getElementById("search-filters");
+  const summary = document.getElementById("search-summary");
+  const categorySelect = document.getElementById("search-category");
+
+  const params = new URLSearchParams(window.location.search);
+  const query = (params.get("q") || "").trim();
+
+  /**
+   * Fills the filter form from the URL
+   */
+  async function loadFilters() {
+    ["q", "from", "to", "sort"].forEach((name) => {
+      if (params.get(name)) filtersForm.elements[name].value = params.get(name);
+    });
+
+    // The nav search box on this page mirrors the query too
+    const navInput = document.querySelector(".nav-search input");
+    if (navInput) navInput.value = query;
+
+    try {
+      const categories = await fetchCategories();
+      categorySelect.innerHTML += categories
+        .map(
+          (category) =>
+            `<option value="${category.slug}">${category.label}</option>`
+        )
+        .join("");
+      categorySelect.value = params.get("category") || "";
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Fetches one page of search results
+   */
+  async function fetchResults(page) {
+    const searchParams = new URLSearchParams(params);
+    searchParams.set("page", page);
+
+    const response = await fetch(`${API_BASE_URL}/api/search?${searchParams}`);
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(err.error || "Search failed");
+    }
+    // Response: { query, results, total, page, hasMore }
+    return response.json();
+  }
+
+  /**
+   * Appends a page of results to the grid
+   */
+  function renderResults(results) {
+    feedGrid.insertAdjacentHTML(
+      "beforeend",
+      results.map((article) => createArticleCardHTML(article)).join("")
+    );
+  }
+
+  /**
+   * Runs the search from the URL and keeps loading pages on scroll
+   */
+  async function loadResults() {
+    if (!query) {
+      summary.textContent = "Type something to search every story.";
+      return;
+    }
+
+    document.title = `AI News Hub - Search: ${query}`;
+    summary.textContent = "Searching...";
+
+    try {
+      const { results, total, hasMore } = await fetchResults(1);
+
+      if (results.length === 0) {
+        summary.textContent = `No articles match "${query}".`;
+        return;
+      }
+
+      summary.textContent = `${total} result${
+        total === 1 ? "" : "s"
+      } for "${query}"`;
+      renderResults(results);
+
+      let page = 1;
+      setupInfiniteScroll(feedGrid, hasMore, async () => {
+        page++;
+        const next = await fetchResults(page);
+        renderResults(next.results);
+        return next.hasMore;
+      });
+    } catch (error) {
+      console.error(error);
+      summary.textContent = `Error searching articles: ${error.message}`;
+    }
+  }
+
+  // --- Run ---
+  loadFilters();
+  loadResults();
+});
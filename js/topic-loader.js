@@ -0,0 +1,111 @@
+/*
+=========================================
+ AI News Hub - Topic Page Loader
+=========================================
+This file runs the topic pages (topic.html?slug=...): every story
+that mentions a person, organization, place or product, newest
+first and grouped by month.
+*/
+document.addEventListener("DOMContentLoaded", () => {
+  const feedGrid = document.getElementById("blog-feed-grid");
+  const feedTitle = document.getElementById("feed-title");
+  const typeLabel = document.getElementById("topic-type");
+  const summary = document.getElementById("topic-summary");
+
+  const slug = new URLSearchParams(window.location.search).get("slug");
+  let lastMonth = null; // Month heading of the last rendered story
+
+  const TYPE_LABELS = {
+    person: "Person",
+    organization: "Organization",
+    place: "Place",
+    product: "Product",
+  };
+
+  function formatMonth(date) {
+    return new Date(date).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "long",
+    });
+  }
+
+  async function fetchTopicPage(cursor = null) {
+    const params = new URLSearchParams();
+    if (cursor) params.set("cursor", cursor);
+
+    const response = await fetch(
+      `${API_BASE_URL}/api/entities/${encodeURIComponent(slug)}?${params}`
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || "Failed to load topic");
+    }
+    return result;
+  }
+
+  /**
+   * Describes the entity above its stories
+   */
+  function renderEntity(entity) {
+    document.title = `AI News Hub - ${entity.name}`;
+    feedTitle.textContent = entity.name;
+    typeLabel.innerHTML = `<i class="fa-solid ${
+      ENTITY_TYPE_ICONS[entity.type] || "fa-tag"
+    }"></i> ${TYPE_LABELS[entity.type] || "Topic"}`;
+
+    const count = Math.max(0, entity.articleCount || 0);
+    summary.textContent = `${count} ${
+      count === 1 ? "article" : "articles"
+    } since ${new Date(entity.firstSeenAt).toLocaleDateString()}`;
+  }
+
+  /**
+   * Appends a page of stories, starting a new heading whenever the
+   * month changes
+   */
+  function renderArticles(articles) {
+    const html = articles
+      .map((article) => {
+        const month = formatMonth(article.publishedDate);
+        const heading =
+          month !== lastMonth ? `<h3 class="topic-month">${month}</h3>` : "";
+        lastMonth = month;
+        return heading + createArticleCardHTML(article);
+      })
+      .join("");
+    feedGrid.insertAdjacentHTML("beforeend", html);
+  }
+
+  async function loadTopic() {
+    try {
+      if (!slug) throw new Error("No topic given.");
+
+      // Response: { entity, articles, nextCursor }
+      const { entity, articles, nextCursor } = await fetchTopicPage();
+      renderEntity(entity);
+      feedGrid.innerHTML = "";
+
+      if (articles.length === 0) {
+        feedGrid.innerHTML = "<h4>No stories about this topic yet.</h4>";
+        return;
+      }
+      renderArticles(articles);
+
+      let cursor = nextCursor;
+      setupInfiniteScroll(feedGrid, Boolean(cursor), async () => {
+        const page = await fetchTopicPage(cursor);
+        renderArticles(page.articles);
+        cursor = page.nextCursor;
+        return Boolean(cursor);
+      });
+    } catch (error) {
+      console.error(error);
+      feedGrid.innerHTML = `<h4>Error loading topic: ${escapeHTML(
+        error.message
+      )}</h4>`;
+    }
+  }
+
+  // --- Run ---
+  loadTopic();
+});
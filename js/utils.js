@@ -22,6 +22,8 @@ const API_BASE_URL = (() => {
 /**
  * Creates an HTML string for an article card.
  * @param {object} article - The article object from our API
+ *   (search results carry a highlighted 'snippet' shown instead of the
+ *   description)
  * @returns {string} - HTML string for the article card
  */
 function createArticleCardHTML(article) {
@@ -30,19 +32,28 @@ function createArticleCardHTML(article) {
   const articleLink = `article-template.html?id=${encodeURIComponent(
     article.id
   )}`;
+  const coverage = createCoverageNoteHTML(article);
 
   return `
     <a href="${articleLink}" class="article-card">
-      <div class="article-card-image" style="background-image: url('${article.imageUrl}')"></div>
+      <div class="article-card-image" style="background-image: url('${escapeHTML(
+        article.imageUrl
+      )}')"></div>
       <div class="article-card-content">
-        <span class="article-category-tag">${article.category}</span>
-        <h3>${article.title}</h3>
-        <p>${article.description}</p>
+        <span class="article-category-tag">${escapeHTML(article.category)}${
+    article.original ? ' · <i class="fa-solid fa-pen-nib"></i> Original' : ""
+  }</span>
+        <h3>${escapeHTML(article.title)}</h3>
+        <p>${
+          // Search snippets are already escaped HTML, with <mark>ed terms
+          article.snippet || escapeHTML(article.description)
+        }</p>
+        ${coverage}
         <div class="article-card-meta">
-          <div class="author-avatar">${article.authorInitials}</div>
+          <div class="author-avatar">${escapeHTML(article.authorInitials)}</div>
           <div class="author-info">
-            <span class="author-name">${article.author}</span>
-            <span class="date">${article.publishedAt}</span>
+            <span class="author-name">${escapeHTML(article.author)}</span>
+            <span class="date">${escapeHTML(article.publishedAt)}</span>
           </div>
         </div>
       </div>
@@ -50,6 +61,21 @@ function createArticleCardHTML(article) {
   `;
 }
 
+/**
+ * Creates the "Also covered by ..." note for a clustered story.
+ * @param {object} article - The primary article of a story cluster
+ * @returns {string} - HTML string (empty if no other outlets covered it)
+ */
+function createCoverageNoteHTML(article) {
+  const others = article.alsoCoveredBy || [];
+  if (others.length === 0) return "";
+
+  const names = [...new Set(others.map((other) => other.source))];
+  const shown = escapeHTML(names.slice(0, 2).join(", "));
+  const more = names.length > 2 ? ` +${names.length - 2} more` : "";
+  return `<span class="coverage-note"><i class="fa-solid fa-layer-group"></i> Also covered by ${shown}${more}</span>`;
+}
+
 /**
  * Creates an HTML string for a featured slideshow slide.
  * @param {object} article - The article object from our API
@@ -63,11 +89,13 @@ function createSlideHTML(article, isActive = false) {
   const activeClass = isActive ? "active" : "";
 
   return `
-    <a href="${articleLink}" class="featured-article-hero ${activeClass}" style="background-image: url('${article.imageUrl}')">
+    <a href="${articleLink}" class="featured-article-hero ${activeClass}" style="background-image: url('${escapeHTML(
+    article.imageUrl
+  )}')">
       <div class="featured-article-hero-content">
         <h4>Featured</h4>
-        <h2>${article.title}</h2>
-        <p>${article.description}</p>
+        <h2>${escapeHTML(article.title)}</h2>
+        <p>${escapeHTML(article.description)}</p>
       </div>
     </a>
   `;
@@ -88,16 +116,106 @@ function highlightKeywords(text, title) {
 
   let highlightedText = text;
   keywords.forEach((keyword) => {
-    const regex = new RegExp(`\\b${keyword}\\b`, "gi");
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const regex = new RegExp(`\\b${escaped}\\b`, "gi");
+    // Only touch text between tags, never attributes like href or alt
     highlightedText = highlightedText.replace(
-      regex,
-      `<strong>${keyword}</strong>`
+      /(^|>)([^<]+)/g,
+      (match, tagEnd, segment) =>
+        tagEnd + segment.replace(regex, "<strong>$&</strong>")
     );
   });
 
   return highlightedText;
 }
 
+// Icons for the kinds of entity topic pages are about
+const ENTITY_TYPE_ICONS = {
+  person: "fa-user",
+  organization: "fa-building",
+  place: "fa-location-dot",
+  product: "fa-box",
+};
+
+/**
+ * Creates a link to an entity's topic page
+ * @param {object} entity - { slug, name, type } from our API
+ * @returns {string} - HTML string for the link
+ */
+function createEntityChipHTML(entity) {
+  return `
+    <a class="entity-chip" href="topic.html?slug=${encodeURIComponent(
+      entity.slug
+    )}">
+      <i class="fa-solid ${
+        ENTITY_TYPE_ICONS[entity.type] || "fa-tag"
+      }"></i> ${escapeHTML(entity.name)}
+    </a>
+  `;
+}
+
+/**
+ * Links the first mention of each entity in article HTML to its topic page
+ * @param {string} html - The article HTML
+ * @param {object[]} entities - [{ slug, name, forms }] from our API
+ *   ('forms' are the spellings found in the article)
+ * @returns {string} - HTML with mentions wrapped in <a class="entity-link">
+ */
+function linkEntityMentions(html, entities) {
+  if (!entities || entities.length === 0) return html;
+
+  const byForm = new Map();
+  entities.forEach((entity) =>
+    (entity.forms || [entity.name]).forEach((form) => byForm.set(form, entity))
+  );
+  // Longest first, so "Jane Doe" is linked rather than just "Doe"
+  const alternatives = [...byForm.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((form) => form.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const regex = new RegExp(
+    `(?<![\\p{L}\\d])(?:${alternatives.join("|")})(?![\\p{L}\\d])`,
+    "gu"
+  );
+
+  const linked = new Set();
+  let insideLink = false;
+  // Only touch text between tags, and never text that is already a link
+  return html
+    .split(/(<[^>]+>)/)
+    .map((part) => {
+      if (part.startsWith("<")) {
+        if (/^<a[\s>]/i.test(part)) insideLink = true;
+        if (/^<\/a>/i.test(part)) insideLink = false;
+        return part;
+      }
+      if (insideLink) return part;
+      return part.replace(regex, (mention) => {
+        const entity = byForm.get(mention);
+        if (!entity || linked.has(entity.slug)) return mention;
+        linked.add(entity.slug);
+        return `<a class="entity-link" href="topic.html?slug=${encodeURIComponent(
+          entity.slug
+        )}" title="All stories about ${escapeHTML(
+          entity.name
+        )}">${mention}</a>`;
+      });
+    })
+    .join("");
+}
+
+/**
+ * Splits an HTML string into its top-level blocks
+ * (paragraphs, headings, lists, figures...).
+ * @param {string} html - HTML content
+ * @returns {string[]} - Array of block HTML strings
+ */
+function splitIntoBlocks(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  const blocks = [...template.content.children].map((el) => el.outerHTML);
+  return blocks.length > 0 ? blocks : [html];
+}
+
 /**
  * Formats plain text into HTML paragraphs with proper spacing
  * @param {string} text - Plain text content
@@ -116,8 +234,213 @@ function formatTextAsHtml(text) {
     .split(/\n\n+/)
     .map((para) => para.trim())
     .filter((para) => para.length > 20)
-    .map((para) => `<p>${para}</p>`)
+    .map((para) => `<p>${escapeHTML(para)}</p>`)
     .join("");
 
   return paragraphs;
 }
+
+/**
+ * Escapes text for safe insertion into HTML (e.g. AI-generated text)
+ * @param {string} text - Plain text
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHTML(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes AI-written text and turns its [n] citations into links to the
+ * cited articles. Citations the server couldn't verify are marked.
+ * @param {string} text - Text with [n] / [n, m] citations
+ * @param {object[]} sources - [{ index, id, title }] the numbers refer to
+ * @param {object[]} citations - [{ index, supported }] from the server
+ * @returns {string} - HTML
+ */
+function linkCitationsHTML(text, sources, citations) {
+  const byIndex = new Map(sources.map((source) => [source.index, source]));
+  const supported = new Map(citations.map((c) => [c.index, c.supported]));
+
+  return escapeHTML(text).replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, list) =>
+    list
+      .split(",")
+      .map((value) => {
+        const source = byIndex.get(parseInt(value, 10));
+        if (!source) {
+          return `<span class="citation invalid" title="This source doesn't exist">[${value.trim()}]</span>`;
+        }
+        const className = supported.get(source.index)
+          ? "citation"
+          : "citation unsupported";
+        return `<a class="${className}" href="article-template.html?id=${encodeURIComponent(
+          source.id
+        )}" title="${escapeHTML(source.title)}">[${source.index}]</a>`;
+      })
+      .join("")
+  );
+}
+
+// --- Category Registry ---
+let categoriesPromise = null;
+
+/**
+ * Fetches the category registry from our backend (once per page).
+ * @returns {Promise<object[]>} - Array of { slug, label, href }
+ */
+function fetchCategories() {
+  if (!categoriesPromise) {
+    categoriesPromise = fetch(`${API_BASE_URL}/api/categories`)
+      .then((response) => {
+        if (!response.ok) throw new Error("Failed to fetch categories");
+        return response.json();
+      })
+      .catch((error) => {
+        categoriesPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+  }
+  return categoriesPromise;
+}
+
+/**
+ * Works out which category the current page shows.
+ * category.html uses ?category=slug, dedicated pages use their filename.
+ * @returns {string} - The category slug (may be empty)
+ */
+function getCurrentCategorySlug() {
+  const urlParams = new URLSearchParams(window.location.search);
+  if (urlParams.get("category")) return urlParams.get("category");
+
+  const pageName = window.location.pathname.split("/").pop() || "index.html";
+  return pageName === "index.html" ? "topstories" : pageName.split(".")[0];
+}
+
+/**
+ * Builds the category nav bar and footer quick links from the registry.
+ */
+async function renderCategoryNav() {
+  const nav = document.getElementById("blog-nav-categories");
+  const footerLinks = document.getElementById("footer-category-links");
+  if (!nav && !footerLinks) return;
+
+  try {
+    const categories = await fetchCategories();
+    const pageName = window.location.pathname.split("/").pop() || "index.html";
+    const isArticlePage = pageName === "article-template.html";
+    const activeSlug = isArticlePage ? null : getCurrentCategorySlug();
+
+    if (nav) {
+      nav.innerHTML = categories
+        .map(
+          (category) => `
+          <a
+            href="${category.href}"
+            class="blog-nav-link ${
+              category.slug === activeSlug ? "active" : ""
+            }"
+            data-category="${category.label}"
+            >${category.label}</a
+          >`
+        )
+        .join("");
+    }
+
+    if (footerLinks) {
+      footerLinks.innerHTML = categories
+        .map(
+          (category) => `
+          <li>
+            <a href="${category.href}" class="footer-category-link"
+              >${category.label}</a
+            >
+          </li>`
+        )
+        .join("");
+    }
+  } catch (error) {
+    console.error("Error loading categories:", error);
+  }
+}
+
+// --- Paginated Feeds ---
+
+/**
+ * Fetches one page of a category's news feed.
+ * @param {string} category - The category slug
+ * @param {string|null} cursor - nextCursor from the previous page
+ * @returns {Promise<object>} - { articles, nextCursor, snapshot }
+ */
+async function fetchNewsPage(category, cursor = null) {
+  const params = new URLSearchParams({ category });
+  if (cursor) params.set("cursor", cursor);
+
+  const response = await fetch(`${API_BASE_URL}/api/news?${params}`);
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || "Failed to fetch news");
+  }
+  return response.json();
+}
+
+/**
+ * Loads more articles whenever the reader scrolls near the end of a feed.
+ * A status line below the feed shows progress, errors (with a retry)
+ * and the end of the feed.
+ * @param {HTMLElement} feedGrid - The grid the articles are added to
+ * @param {boolean} hasMore - Whether the first page had a nextCursor
+ * @param {Function} loadMore - Async; adds the next page and resolves
+ *   to whether further pages remain
+ */
+function setupInfiniteScroll(feedGrid, hasMore, loadMore) {
+  const status = document.createElement("div");
+  status.className = "feed-status";
+  feedGrid.after(status);
+
+  const showEnd = () => {
+    status.classList.add("feed-end");
+    status.textContent = "You're all caught up.";
+  };
+
+  if (!hasMore || !("IntersectionObserver" in window)) {
+    if (!hasMore) showEnd();
+    return;
+  }
+
+  let loading = false;
+  const observer = new IntersectionObserver(
+    async (entries) => {
+      if (!entries[0].isIntersecting || loading) return;
+      loading = true;
+      status.textContent = "Loading more articles...";
+
+      try {
+        const more = await loadMore();
+        if (!more) {
+          observer.disconnect();
+          showEnd();
+          return;
+        }
+        status.textContent = "";
+        // Re-observe so a still-visible sentinel triggers the next page
+        observer.unobserve(status);
+        observer.observe(status);
+      } catch (error) {
+        console.error(error);
+        observer.unobserve(status);
+        status.innerHTML =
+          'Could not load more articles. <button type="button" class="feed-retry">Try again</button>';
+        status.querySelector(".feed-retry").onclick = () =>
+          observer.observe(status);
+      } finally {
+        loading = false;
+      }
+    },
+    { rootMargin: "400px 0px" }
+  );
+  observer.observe(status);
+}
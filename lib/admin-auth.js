@@ -0,0 +1,295 @@
+/*
+=========================================
+ AI News Hub - Admin Accounts & Sessions
+=========================================
+Accounts for the admin console (admin.html), in the 'admins'
+collection:
+  { _id: username, passwordHash, role, createdAt, lastLoginAt }
+Passwords are hashed with scrypt. Accounts are created with
+`npm run create-admin` (scripts/create-admin.js); there is no
+sign-up.
+
+Signing in creates a session in 'adminSessions':
+  { _id: sha256(token), username, csrfToken, createdAt, expiresAt }
+The token only ever lives in the reader's HttpOnly cookie. The role is
+read from the account on every request, so a changed role applies at
+once and a deleted account's sessions stop working. Requests
+that change anything must also send the session's CSRF token in the
+X-CSRF-Token header.
+
+Roles, each allowed everything the previous one is:
+  viewer - sees the console
+  editor - moderates suggestions, edits and publishes posts, re-scrapes
+           articles and refreshes categories
+  admin  - deletes articles and clears stored data
+*/
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { parseCookies, serializeCookie } = require("./cookies");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMIN_ROLES = ["viewer", "editor", "admin"];
+// The lowest role allowed each action
+const PERMISSIONS = {
+  "console:view": "viewer",
+  "suggestions:view": "viewer",
+  "suggestions:moderate": "editor",
+  "posts:view": "viewer",
+  "posts:edit": "editor",
+  "articles:rescrape": "editor",
+  "categories:refresh": "editor",
+  "articles:delete": "admin",
+  "articles:clear": "admin",
+  "cache:clear": "admin",
+};
+const SESSION_COOKIE = "admin_session";
+const SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 12;
+// scrypt cost parameters (N, r, p) and sizes
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Error for a bad username, password or role when creating an account
+ */
+class AdminAccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AdminAccountError";
+  }
+}
+
+/**
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "scrypt$N$r$p$salt$hash" (base64)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, { N, r, p });
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * @param {string} password - Plain-text password
+ * @param {string} stored - From hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(
+    String(password || ""),
+    Buffer.from(salt, "base64"),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) }
+  );
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Compared against when the username doesn't exist, so a failed
+// sign-in takes as long either way
+let dummyHash = null;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @param {string} role - The account's role
+ * @param {string} permission - e.g. "articles:delete"
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required) return false;
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+}
+
+/**
+ * @param {string} role - The account's role
+ * @returns {string[]} - Every permission the role has, for the console
+ */
+function listPermissions(role) {
+  return Object.keys(PERMISSIONS).filter((permission) =>
+    hasPermission(role, permission)
+  );
+}
+
+/**
+ * Creates the indexes accounts and sessions rely on.
+ * @param {object} sessionsCollection - MongoDB adminSessions collection
+ */
+async function ensureAdminIndexes(sessionsCollection) {
+  await sessionsCollection.createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+}
+
+/**
+ * Creates an account, or resets its password and role if it exists.
+ * @param {string} username - 3-32 letters, digits, ".", "_" or "-"
+ * @param {string} password - At least MIN_PASSWORD_LENGTH characters
+ * @param {string} role - One of ADMIN_ROLES
+ * @param {object} adminsCollection - MongoDB admins collection
+ * @returns {Promise<string>} - The (lowercased) username
+ * @throws {AdminAccountError}
+ */
+async function createAdmin(username, password, role, adminsCollection) {
+  const name = String(username || "").toLowerCase();
+  if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+    throw new AdminAccountError(
+      "Usernames are 3-32 letters, digits, '.', '_' or '-'."
+    );
+  }
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw new AdminAccountError(
+      `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`
+    );
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new AdminAccountError(
+      `Role must be one of: ${ADMIN_ROLES.join(", ")}.`
+    );
+  }
+
+  await adminsCollection.updateOne(
+    { _id: name },
+    {
+      $set: { passwordHash: await hashPassword(password), role },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+  return name;
+}
+
+// --- Sessions ---
+
+/**
+ * Checks a username and password and, if they match, starts a session.
+ * @param {string} username
+ * @param {string} password
+ * @param {object} collections - { admins, sessions } MongoDB collections
+ * @returns {Promise<object|null>} - { token, session } (with the
+ *   account's role) or null
+ */
+async function signIn(username, password, collections) {
+  const name = String(username || "").toLowerCase();
+  const account = await collections.admins.findOne({ _id: name });
+
+  if (!account) {
+    dummyHash = dummyHash || (await hashPassword("not-a-real-password"));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+  if (!(await verifyPassword(password, account.passwordHash))) return null;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const session = {
+    username: account._id,
+    csrfToken: crypto.randomBytes(32).toString("base64url"),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_HOURS * 60 * 60 * 1000),
+  };
+  await collections.sessions.insertOne({ _id: hashToken(token), ...session });
+  await collections.admins.updateOne(
+    { _id: account._id },
+    { $set: { lastLoginAt: now } }
+  );
+  return { token, session: { ...session, role: account.role } };
+}
+
+/**
+ * Finds the session a request's cookie belongs to.
+ * @param {object} req - Express request
+ * @param {object} collections - { admins, sessions } MongoDB collections
+ * @returns {Promise<object|null>} - The session with the account's
+ *   current role, or null if there is none, it has expired or the
+ *   account is gone
+ */
+async function getRequestSession(req, collections) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+
+  const session = await collections.sessions.findOne({ _id: hashToken(token) });
+  // The TTL monitor only runs once a minute
+  if (!session || new Date(session.expiresAt) <= new Date()) return null;
+
+  const account = await collections.admins.findOne(
+    { _id: session.username },
+    { projection: { role: 1 } }
+  );
+  if (!account) {
+    await collections.sessions.deleteOne({ _id: session._id });
+    return null;
+  }
+  return { ...session, role: account.role };
+}
+
+/**
+ * @param {object} req - Express request
+ * @param {object} session - From getRequestSession()
+ * @returns {boolean} - Whether the request carries the session's CSRF token
+ */
+function hasValidCsrfToken(req, session) {
+  return safeEqual(req.get("X-CSRF-Token"), session.csrfToken);
+}
+
+/**
+ * Ends the request's session, if any.
+ * @param {object} req - Express request
+ * @param {object} sessionsCollection - MongoDB adminSessions collection
+ */
+async function signOut(req, sessionsCollection) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) await sessionsCollection.deleteOne({ _id: hashToken(token) });
+}
+
+/**
+ * @param {object} req - Express request
+ * @param {string} token - Session token, or "" to clear the cookie
+ * @returns {string} - Set-Cookie header value
+ */
+function sessionCookie(req, token) {
+  return serializeCookie(req, SESSION_COOKIE, token, {
+    sameSite: "Strict",
+    maxAgeSeconds: token ? SESSION_HOURS * 60 * 60 : 0,
+  });
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  AdminAccountError,
+  hashPassword,
+  verifyPassword,
+  hasPermission,
+  listPermissions,
+  ensureAdminIndexes,
+  createAdmin,
+  signIn,
+  getRequestSession,
+  hasValidCsrfToken,
+  signOut,
+  sessionCookie,
+};
@@ -0,0 +1,78 @@
+/*
+=========================================
+ AI News Hub - Public Article Shapes
+=========================================
+What the API sends about a stored article. Stored documents also hold
+bookkeeping the pages never use (scrape validators, cluster and
+recommendation internals, extraction versions, the summary's content
+hash), so responses are built from allowed fields only:
+- toArticleCard():    feeds, search results and topic pages
+- toPublicArticle():  the article page (/api/article)
+*/
+
+/**
+ * @param {object} article - Stored article (optionally with
+ *   'alsoCoveredBy' from attachCoverage and a search 'snippet')
+ * @returns {object} - The fields article cards and slides use
+ */
+function toArticleCard(article) {
+  const card = {
+    id: article.id || article.url,
+    url: article.url,
+    title: article.title,
+    description: article.description,
+    imageUrl: article.imageUrl,
+    source: article.source,
+    author: article.author,
+    authorInitials: article.authorInitials,
+    publishedAt: article.publishedAt,
+    publishedDate: article.publishedDate,
+    category: article.category,
+    alsoCoveredBy: article.alsoCoveredBy || [],
+  };
+  if (article.original) card.original = true;
+  if (article.snippet !== undefined) card.snippet = article.snippet;
+  return card;
+}
+
+/**
+ * @param {object} article - Stored article, with the fields /api/article
+ *   adds (summaryStatus, alsoCoveredBy, chatAvailable)
+ * @returns {object} - The fields the article page uses
+ */
+function toPublicArticle(article) {
+  let summary;
+  if (article.summary) {
+    const { contentHash, ...publicSummary } = article.summary;
+    summary = publicSummary;
+  }
+  return {
+    id: article.id || article.url,
+    url: article.url,
+    title: article.title,
+    description: article.description,
+    content: article.content,
+    fullContent: article.fullContent,
+    extractionConfidence: article.extractionConfidence,
+    imageUrl: article.imageUrl,
+    source: article.source,
+    author: article.author,
+    authorInitials: article.authorInitials,
+    publishedAt: article.publishedAt,
+    category: article.category,
+    entities: (article.entities || []).map((entity) => ({
+      slug: entity.slug,
+      name: entity.name,
+      type: entity.type,
+      forms: entity.forms,
+    })),
+    summary,
+    summaryStatus: article.summaryStatus,
+    alsoCoveredBy: article.alsoCoveredBy,
+    chatAvailable: article.chatAvailable,
+    original: article.original,
+    sourceCount: article.sourceCount,
+  };
+}
+
+module.exports = { toArticleCard, toPublicArticle };
@@ -0,0 +1,99 @@
+/*
+=========================================
+ AI News Hub - Category Registry
+=========================================
+Loads config/categories.json, which defines every category
+the site shows and the sources each one pulls from.
+The frontend reads the public part of it via /api/categories.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const CATEGORIES_FILE =
+  process.env.CATEGORIES_FILE ||
+  path.join(__dirname, "..", "config", "categories.json");
+
+let registry = null;
+
+/**
+ * Reads and validates the registry file.
+ * Invalid entries are logged and skipped rather than crashing the server.
+ * @returns {object[]} - Array of category definitions
+ */
+function loadCategories() {
+  let entries = [];
+  try {
+    const config = JSON.parse(fs.readFileSync(CATEGORIES_FILE, "utf8"));
+    entries = config.categories || [];
+  } catch (error) {
+    console.error(
+      `Failed to load categories from ${CATEGORIES_FILE}:`,
+      error.message
+    );
+  }
+
+  const seen = new Set();
+  registry = entries.filter((category) => {
+    if (!category.slug || !/^[a-z0-9-]+$/.test(category.slug)) {
+      console.warn(
+        "[CATEGORIES] Skipping category with invalid slug:",
+        category
+      );
+      return false;
+    }
+    if (seen.has(category.slug)) {
+      console.warn(
+        `[CATEGORIES] Duplicate category "${category.slug}" skipped`
+      );
+      return false;
+    }
+    if (!Array.isArray(category.sources) || category.sources.length === 0) {
+      console.warn(`[CATEGORIES] "${category.slug}" has no sources, skipped`);
+      return false;
+    }
+    seen.add(category.slug);
+    return true;
+  });
+
+  console.log(
+    `[CATEGORIES] Loaded ${registry.length} categories: ${registry
+      .map((c) => c.slug)
+      .join(", ")}`
+  );
+  return registry;
+}
+
+/**
+ * @returns {object[]} - Every registered category, in nav order
+ */
+function listCategories() {
+  return registry || loadCategories();
+}
+
+/**
+ * @param {string} slug - Category slug, e.g. "politics"
+ * @returns {object|undefined} - The category definition, if registered
+ */
+function getCategory(slug) {
+  return listCategories().find((category) => category.slug === slug);
+}
+
+/**
+ * The part of a category that is safe and useful to send to the browser.
+ * Categories without a dedicated page use the generic category.html.
+ */
+function toPublicCategory(category) {
+  return {
+    slug: category.slug,
+    label: category.label || category.slug,
+    href: category.page || `category.html?category=${category.slug}`,
+  };
+}
+
+module.exports = {
+  loadCategories,
+  listCategories,
+  getCategory,
+  toPublicCategory,
+};
@@ -0,0 +1,153 @@
+/*
+=========================================
+ AI News Hub - Chat Sessions
+=========================================
+Stores "Chat with this Article" conversations in the 'chatSessions'
+collection so follow-up questions keep their context and a reader
+who reopens the chat sees the earlier exchange.
+
+Session document:
+  { _id: conversationId, articleUrl, messages: [{ role, text, createdAt }],
+    createdAt, updatedAt }
+'role' is "user" or "assistant" (sessions from before the LLM client
+used "model" for answers).
+*/
+
+const crypto = require("crypto");
+const { estimateTokens } = require("./text");
+
+// How much earlier conversation is sent along with a new question
+const HISTORY_TOKEN_BUDGET =
+  Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 2000;
+// Older messages are dropped from storage beyond this
+const MAX_STORED_MESSAGES = 40;
+// Sessions nobody has touched for this long are deleted (TTL index)
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Creates the indexes chat sessions rely on.
+ * @param {object} sessionsCollection - MongoDB chatSessions collection
+ */
+async function ensureSessionIndexes(sessionsCollection) {
+  await sessionsCollection.createIndex(
+    { updatedAt: 1 },
+    { expireAfterSeconds: SESSION_TTL_SECONDS }
+  );
+}
+
+/**
+ * @param {string} value - A client-supplied conversation ID
+ * @returns {boolean} - Whether it looks like one we issued
+ */
+function isValidConversationId(value) {
+  return (
+    typeof value === "string" &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    )
+  );
+}
+
+function createConversationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Loads a conversation. A session only belongs to the article it was
+ * started on, so an ID reused on another article starts afresh.
+ * @param {string} conversationId - From a previous /api/chat response
+ * @param {string} articleUrl - The article being discussed
+ * @param {object} sessionsCollection - MongoDB chatSessions collection
+ * @returns {Promise<object|null>} - The session document or null
+ */
+async function getSession(conversationId, articleUrl, sessionsCollection) {
+  if (!isValidConversationId(conversationId)) return null;
+  return sessionsCollection.findOne({ _id: conversationId, articleUrl });
+}
+
+/**
+ * Turns stored messages into LLM client messages, keeping the most
+ * recent turns that fit the token budget. The result always starts
+ * with a user turn, as model APIs expect.
+ * @param {object[]} messages - Stored messages, oldest first
+ * @param {number} [budget] - Token budget for the history
+ * @returns {object[]} - [{ role: "user" | "assistant", content }]
+ */
+function buildHistory(messages, budget = HISTORY_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].text);
+    if (used + cost > budget) break;
+    used += cost;
+    kept.unshift(messages[i]);
+  }
+  while (kept.length > 0 && kept[0].role !== "user") kept.shift();
+
+  return kept.map((message) => ({
+    role: message.role === "user" ? "user" : "assistant",
+    content: message.text,
+  }));
+}
+
+/**
+ * Appends a question and its answer to a conversation, creating the
+ * session on first use.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} articleUrl - The article being discussed
+ * @param {string} question - The reader's message
+ * @param {string} answer - The model's reply
+ * @param {object} sessionsCollection - MongoDB chatSessions collection
+ */
+async function appendExchange(
+  conversationId,
+  articleUrl,
+  question,
+  answer,
+  sessionsCollection
+) {
+  const now = new Date();
+  await sessionsCollection.updateOne(
+    { _id: conversationId },
+    {
+      $setOnInsert: { articleUrl, createdAt: now },
+      $set: { updatedAt: now },
+      $push: {
+        messages: {
+          $each: [
+            { role: "user", text: question, createdAt: now },
+            { role: "assistant", text: answer, createdAt: now },
+          ],
+          $slice: -MAX_STORED_MESSAGES,
+        },
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * @param {object} session - Session document
+ * @returns {object} - The session as returned to the browser
+ */
+function toPublicSession(session) {
+  return {
+    conversationId: session._id,
+    articleUrl: session.articleUrl,
+    messages: session.messages.map(({ role, text, createdAt }) => ({
+      role: role === "user" ? "user" : "assistant",
+      text,
+      createdAt,
+    })),
+  };
+}
+
+module.exports = {
+  ensureSessionIndexes,
+  isValidConversationId,
+  createConversationId,
+  getSession,
+  buildHistory,
+  appendExchange,
+  toPublicSession,
+};
@@ -0,0 +1,94 @@
+/*
+=========================================
+ AI News Hub - Chat Citations
+=========================================
+Grounds chat answers in the article: the article is split into the
+same numbered paragraphs the article page shows, the model is asked
+to cite them as [n], and every citation in the answer is checked:
+- it must point at an existing paragraph, and
+- the sentence citing it must share some wording with that paragraph.
+Answers that cite nothing are flagged as ungrounded.
+*/
+
+const cheerio = require("cheerio");
+const { tokenize } = require("./text");
+
+/**
+ * Splits article content into paragraphs, numbered the way the article
+ * page numbers them (top-level blocks of HTML, or blank-line separated
+ * paragraphs of plain text - see splitIntoBlocks/formatTextAsHtml in
+ * js/utils.js).
+ * @param {string} content - Article HTML or plain text
+ * @returns {string[]} - Plain text of each paragraph; paragraph n is [n - 1]
+ */
+function splitParagraphs(content) {
+  const text = String(content || "");
+  if (!text.includes("<p>") && !text.includes("<br>")) {
+    const paragraphs = text
+      .split(/\n\n+/)
+      .map((para) => para.trim())
+      .filter((para) => para.length > 20);
+    if (paragraphs.length > 0) return paragraphs;
+  }
+
+  const $ = cheerio.load(text, null, false);
+  const blocks = $.root()
+    .children()
+    .toArray()
+    .map((element) => $(element).text().replace(/\s+/g, " ").trim());
+  return blocks.length > 0 ? blocks : [$.root().text().trim()];
+}
+
+/**
+ * @param {string[]} paragraphs - From splitParagraphs()
+ * @returns {string} - "[1] First paragraph\n\n[2] Second paragraph..."
+ */
+function numberParagraphs(paragraphs) {
+  return paragraphs.map((text, index) => `[${index + 1}] ${text}`).join("\n\n");
+}
+
+/**
+ * Checks the [n] citations in an answer against the article.
+ * @param {string} answer - The model's answer
+ * @param {string[]} paragraphs - From splitParagraphs()
+ * @returns {object} - { citations: [{ index, supported }], invalid: [n],
+ *   grounded } where 'grounded' means at least one valid citation
+ */
+function validateCitations(answer, paragraphs) {
+  const paragraphTerms = paragraphs.map((text) => new Set(tokenize(text)));
+  const found = new Map();
+  const invalid = new Set();
+
+  // Each sentence (or bullet) is checked against the paragraphs it cites
+  const sentences = String(answer || "").match(/[^.!?\n]+[.!?\n]*/g) || [];
+  sentences.forEach((sentence) => {
+    const cited = [...sentence.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)]
+      .flatMap((match) => match[1].split(","))
+      .map((value) => parseInt(value, 10));
+    if (cited.length === 0) return;
+
+    const sentenceTerms = tokenize(sentence.replace(/\[[\d,\s]+\]/g, " "));
+    cited.forEach((index) => {
+      if (index < 1 || index > paragraphs.length) {
+        invalid.add(index);
+        return;
+      }
+      const supported = sentenceTerms.some((term) =>
+        paragraphTerms[index - 1].has(term)
+      );
+      // A paragraph counts as supported if any sentence backs it up
+      found.set(index, found.get(index) || supported);
+    });
+  });
+
+  const citations = [...found.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, supported]) => ({ index, supported }));
+  return {
+    citations,
+    invalid: [...invalid].sort((a, b) => a - b),
+    grounded: citations.length > 0,
+  };
+}
+
+module.exports = { splitParagraphs, numberParagraphs, validateCitations };
@@ -0,0 +1,205 @@
+/*
+=========================================
+ AI News Hub - Story Clustering
+=========================================
+Groups near-duplicate articles (the same story from several
+outlets) into clusters. Two articles belong together when they
+share a canonical URL or their titles/descriptions are similar
+enough. Each cluster gets a stable 'clusterId' that is stored on
+the article documents, so clusters survive across refreshes.
+*/
+
+const crypto = require("crypto");
+const { tokenize, jaccard } = require("./text");
+
+// Thresholds tuned on newsapi top-headlines: titles of the same story
+// across outlets typically share half their significant words.
+const TITLE_MATCH_THRESHOLD = 0.6;
+const TITLE_PARTIAL_THRESHOLD = 0.35;
+const TEXT_MATCH_THRESHOLD = 0.3;
+
+const TRACKING_PARAMS = /^(utm_|fbclid$|gclid$|ocid$|cmpid$|ref$|taid$)/i;
+
+/**
+ * Normalizes a URL so trivially different links to the same page match
+ * (protocol, "www.", tracking params, trailing slash, fragment).
+ * @param {string} url - Article URL
+ * @returns {string} - Canonical form (or the input if it isn't a valid URL)
+ */
+function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const pathname = parsed.pathname.replace(/\/+$/, "");
+    return `${host}${pathname}${query ? `?${query}` : ""}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function createClusterId(url) {
+  return crypto
+    .createHash("sha1")
+    .update(canonicalizeUrl(url))
+    .digest("hex")
+    .substring(0, 16);
+}
+
+/**
+ * Precomputes the token sets used for comparisons.
+ */
+function fingerprint(article) {
+  const titleTokens = new Set(tokenize(article.title));
+  const textTokens = new Set([
+    ...titleTokens,
+    ...tokenize(article.description),
+  ]);
+  return {
+    article,
+    canonicalUrl: canonicalizeUrl(article.url),
+    titleTokens,
+    textTokens,
+  };
+}
+
+/**
+ * @returns {boolean} - Whether two fingerprints describe the same story
+ */
+function isSameStory(a, b) {
+  if (a.canonicalUrl === b.canonicalUrl) return true;
+  // Very short titles ("Live updates") match too easily
+  if (a.titleTokens.size < 3 || b.titleTokens.size < 3) return false;
+
+  const titleSimilarity = jaccard(a.titleTokens, b.titleTokens);
+  if (titleSimilarity >= TITLE_MATCH_THRESHOLD) return true;
+  return (
+    titleSimilarity >= TITLE_PARTIAL_THRESHOLD &&
+    jaccard(a.textTokens, b.textTokens) >= TEXT_MATCH_THRESHOLD
+  );
+}
+
+/**
+ * Assigns a 'clusterId' to every new article (mutates them).
+ * New articles join the cluster of a matching stored article if there is
+ * one; otherwise matching new articles form a fresh cluster.
+ * @param {object[]} articles - Newly fetched articles
+ * @param {object[]} existing - Recently stored articles that have a clusterId
+ * @returns {object[]} - The same articles, now with clusterId set
+ */
+function assignClusters(articles, existing = []) {
+  const fresh = articles.map(fingerprint);
+  const stored = existing
+    .filter((article) => article.clusterId)
+    .map(fingerprint);
+
+  // Union-find over the new batch
+  const parent = fresh.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < fresh.length; i++) {
+    for (let j = i + 1; j < fresh.length; j++) {
+      if (isSameStory(fresh[i], fresh[j])) parent[find(j)] = find(i);
+    }
+  }
+
+  // Resolve each group to a stored cluster, or mint a new id
+  const groupIds = new Map();
+  fresh.forEach((item, index) => {
+    const root = find(index);
+    if (groupIds.has(root) && groupIds.get(root).fromStore) return;
+
+    const match = stored.find((candidate) => isSameStory(item, candidate));
+    if (match) {
+      groupIds.set(root, { id: match.article.clusterId, fromStore: true });
+    } else if (!groupIds.has(root)) {
+      groupIds.set(root, {
+        id: createClusterId(fresh[root].article.url),
+        fromStore: false,
+      });
+    }
+  });
+
+  fresh.forEach((item, index) => {
+    item.article.clusterId = groupIds.get(find(index)).id;
+  });
+  return articles;
+}
+
+/**
+ * Picks the article that best represents its cluster: one with a real
+ * image and the most descriptive summary. Ties keep the earlier article.
+ */
+function pickPrimary(members) {
+  const score = (article) =>
+    (article.imageUrl && !article.imageUrl.includes("placehold.co")
+      ? 1000
+      : 0) + (article.description || "").length;
+
+  return members.reduce((best, article) =>
+    score(article) > score(best) ? article : best
+  );
+}
+
+/**
+ * Short reference to another outlet's version of a story.
+ */
+function toCoverage(article) {
+  return {
+    id: article.id || article.url,
+    url: article.url,
+    title: article.title,
+    source: article.source,
+  };
+}
+
+/**
+ * Collapses clustered articles into one primary article per story.
+ * @param {object[]} articles - Articles with clusterId set, in display order
+ * @param {object[]} [related] - Other stored articles whose clusterId may match
+ * @returns {object[]} - Primary articles, each with an 'alsoCoveredBy' list
+ */
+function collapseClusters(articles, related = []) {
+  const clusters = new Map();
+  articles.forEach((article) => {
+    const key = article.clusterId || article.url;
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(article);
+  });
+
+  return [...clusters.entries()].map(([clusterId, members]) => {
+    const primary = pickPrimary(members);
+    const seen = new Set(members.map((article) => article.url));
+    const others = members.filter((article) => article !== primary);
+
+    related.forEach((article) => {
+      if (article.clusterId === clusterId && !seen.has(article.url)) {
+        seen.add(article.url);
+        others.push(article);
+      }
+    });
+
+    // One entry per other outlet
+    const outlets = new Set([primary.source]);
+    const alsoCoveredBy = others
+      .filter((article) => {
+        if (outlets.has(article.source)) return false;
+        outlets.add(article.source);
+        return true;
+      })
+      .map(toCoverage);
+
+    return { ...primary, alsoCoveredBy };
+  });
+}
+
+module.exports = {
+  canonicalizeUrl,
+  assignClusters,
+  collapseClusters,
+  pickPrimary,
+  toCoverage,
+};
@@ -0,0 +1,39 @@
+/*
+=========================================
+ AI News Hub - Config Helpers
+=========================================
+Shared by the modules that read a JSON settings file from config/
+and let environment variables override it (LLM settings, rate limits,
+known entities).
+*/
+
+const fs = require("fs");
+
+/**
+ * Reads a JSON settings file. A missing or broken file is logged and
+ * read as {}, so the server still starts on its defaults.
+ * @param {string} file - Path to the file
+ * @param {string} description - What it holds, for the log, e.g.
+ *   "rate limits"
+ * @returns {object}
+ */
+function readConfigFile(file, description) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Failed to load ${description} from ${file}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined} - Its value as a number (NaN if it isn't
+ *   one), or undefined if it is unset or empty
+ */
+function readEnvNumber(name) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? undefined : Number(value);
+}
+
+module.exports = { readConfigFile, readEnvNumber };
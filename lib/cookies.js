@@ -0,0 +1,52 @@
+/*
+=========================================
+ AI News Hub - Cookies
+=========================================
+Reading and writing the few cookies the server sets (the admin
+session and the anonymous reader ID used for suggestion votes),
+without pulling in a cookie middleware.
+*/
+
+/**
+ * @param {string} header - The request's Cookie header
+ * @returns {object} - Cookie name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "")
+    .split(";")
+    .forEach((pair) => {
+      const index = pair.indexOf("=");
+      if (index < 0) return;
+      const name = pair.substring(0, index).trim();
+      const value = pair.substring(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    });
+  return cookies;
+}
+
+/**
+ * Builds a Set-Cookie header value. Cookies are HttpOnly and sent for
+ * the whole site; HTTPS requests get Secure ones.
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value ("" with maxAgeSeconds 0 clears it)
+ * @param {object} options - { maxAgeSeconds, sameSite } ("Strict" or "Lax")
+ * @returns {string}
+ */
+function serializeCookie(req, name, value, options) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    `SameSite=${options.sameSite || "Lax"}`,
+    `Max-Age=${options.maxAgeSeconds}`,
+    ...(req.secure ? ["Secure"] : []),
+  ].join("; ");
+}
+
+module.exports = { parseCookies, serializeCookie };
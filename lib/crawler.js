@@ -0,0 +1,339 @@
+/*
+=========================================
+ AI News Hub - Crawler Policy
+=========================================
+Wraps safeFetch() with the manners publishers expect from a bot:
+1. An honest, configurable User-Agent (CRAWLER_USER_AGENT).
+2. robots.txt is fetched, cached per host and obeyed,
+   including Crawl-delay.
+3. Requests to the same host are spaced out (CRAWLER_MIN_INTERVAL_MS).
+4. ETag / Last-Modified validators are sent back as conditional GETs.
+5. 429 and 503 answers put the host on a backoff (Retry-After aware).
+Redirects are followed here, one hop at a time, so a link that
+redirects to another host is held to that host's robots.txt, throttle
+and backoff too.
+*/
+
+const {
+  DEFAULT_MAX_REDIRECTS,
+  UnsafeFetchError,
+  safeFetch,
+} = require("./safe-fetch");
+
+const USER_AGENT =
+  process.env.CRAWLER_USER_AGENT ||
+  `AINewsHubBot/1.0${
+    process.env.CRAWLER_CONTACT_URL
+      ? ` (+${process.env.CRAWLER_CONTACT_URL})`
+      : ""
+  }`;
+// The token robots.txt groups are matched against, e.g. "ainewshubbot"
+const PRODUCT_TOKEN = USER_AGENT.split(/[/\s]/)[0].toLowerCase();
+
+const MIN_INTERVAL_MS = Number(process.env.CRAWLER_MIN_INTERVAL_MS) || 2000;
+// A reader is waiting on most scrapes, so never queue longer than this
+const MAX_QUEUE_WAIT_MS = Number(process.env.CRAWLER_MAX_WAIT_MS) || 10000;
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+const ROBOTS_MAX_BYTES = 500 * 1024;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Thrown when our policy (not the network) stops a request.
+ * reason: "robots" | "backoff" | "throttled"
+ */
+class CrawlerPolicyError extends Error {
+  constructor(message, reason, retryAt = null) {
+    super(message);
+    this.name = "CrawlerPolicyError";
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
+
+// Per-host state: { robots, robotsExpiresAt, nextSlotAt, backoffUntil, failures }
+const hosts = new Map();
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      robots: null,
+      robotsExpiresAt: 0,
+      nextSlotAt: 0,
+      backoffUntil: 0,
+      failures: 0,
+    });
+  }
+  return hosts.get(host);
+}
+
+// --- robots.txt ---
+
+/**
+ * Parses robots.txt into user-agent groups.
+ * @param {string} text - robots.txt body
+ * @returns {object[]} - [{ agents: [], rules: [{ allow, path }], crawlDelay }]
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const key = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+    if ((key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay" && !isNaN(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Picks the rules that apply to us: groups naming our product token
+ * (compared case-insensitively, as RFC 9309 requires - a group for
+ * "bot" is not ours), otherwise the "*" groups.
+ */
+function selectRules(groups) {
+  const specific = groups.filter((group) =>
+    group.agents.includes(PRODUCT_TOKEN)
+  );
+  const chosen =
+    specific.length > 0
+      ? specific
+      : groups.filter((group) => group.agents.includes("*"));
+
+  return {
+    rules: chosen.flatMap((group) => group.rules),
+    crawlDelay: chosen.reduce(
+      (max, group) => Math.max(max, group.crawlDelay || 0),
+      0
+    ),
+  };
+}
+
+function ruleToRegExp(path) {
+  const anchored = path.endsWith("$");
+  const pattern = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${pattern}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Longest matching rule wins; on a tie, Allow wins (RFC 9309).
+ */
+function isPathAllowed(robots, path) {
+  let best = null;
+  robots.rules.forEach((rule) => {
+    if (!ruleToRegExp(rule.path).test(path)) return;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelay: 0 };
+const DISALLOW_ALL = { rules: [{ allow: false, path: "/" }], crawlDelay: 0 };
+
+/**
+ * Loads (or returns the cached) robots rules for an origin.
+ */
+async function getRobots(origin, state) {
+  if (state.robots && state.robotsExpiresAt > Date.now()) return state.robots;
+
+  let robots;
+  let ttl = ROBOTS_TTL_MS;
+  try {
+    const response = await safeFetch(`${origin}/robots.txt`, {
+      headers: { "User-Agent": USER_AGENT },
+      contentTypes: ["text/plain", "text/html", "application/octet-stream"],
+      maxBytes: ROBOTS_MAX_BYTES,
+      timeout: 5000,
+    });
+    robots = selectRules(parseRobots(response.data || ""));
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status >= 400 && status < 500) {
+      // No robots.txt (or not for us to read) means no restrictions
+      robots = ALLOW_ALL;
+    } else {
+      // Server errors and network failures: assume disallowed, retry soon
+      console.warn(`[CRAWLER] robots.txt unavailable for ${origin}`);
+      robots = DISALLOW_ALL;
+      ttl = ROBOTS_ERROR_TTL_MS;
+    }
+  }
+
+  state.robots = robots;
+  state.robotsExpiresAt = Date.now() + ttl;
+  return robots;
+}
+
+// --- Throttling & Backoff ---
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Date.now() + seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Reserves the next request slot for a host and waits for it.
+ */
+async function waitForSlot(host, state, crawlDelaySeconds) {
+  const interval = Math.max(MIN_INTERVAL_MS, crawlDelaySeconds * 1000);
+  const now = Date.now();
+  const slot = Math.max(now, state.nextSlotAt);
+
+  if (slot - now > MAX_QUEUE_WAIT_MS) {
+    throw new CrawlerPolicyError(
+      `Too many queued requests for ${host}`,
+      "throttled",
+      new Date(slot)
+    );
+  }
+
+  state.nextSlotAt = slot + interval;
+  if (slot > now) {
+    await new Promise((resolve) => setTimeout(resolve, slot - now));
+  }
+}
+
+function recordBackoff(host, state, retryAfterHeader) {
+  state.failures++;
+  const retryAt =
+    parseRetryAfter(retryAfterHeader) ||
+    Date.now() +
+      Math.min(BASE_BACKOFF_MS * 2 ** (state.failures - 1), MAX_BACKOFF_MS);
+  state.backoffUntil = Math.min(retryAt, Date.now() + MAX_BACKOFF_MS);
+  console.warn(
+    `[CRAWLER] Backing off ${host} until ${new Date(
+      state.backoffUntil
+    ).toISOString()}`
+  );
+}
+
+// --- Public API ---
+
+/**
+ * One request, without following redirects, if the host's robots.txt,
+ * throttle and backoff allow it.
+ * @returns {Promise<object>} - From safeFetch()
+ */
+async function fetchHop(url, validators) {
+  const parsed = new URL(url);
+  const host = parsed.host;
+  const state = getHostState(host);
+
+  if (state.backoffUntil > Date.now()) {
+    throw new CrawlerPolicyError(
+      `${host} asked us to back off`,
+      "backoff",
+      new Date(state.backoffUntil)
+    );
+  }
+
+  const robots = await getRobots(parsed.origin, state);
+  if (!isPathAllowed(robots, parsed.pathname + parsed.search)) {
+    throw new CrawlerPolicyError(`robots.txt disallows ${url}`, "robots");
+  }
+
+  await waitForSlot(host, state, robots.crawlDelay);
+
+  const headers = { "User-Agent": USER_AGENT };
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified) {
+    headers["If-Modified-Since"] = validators.lastModified;
+  }
+
+  try {
+    const response = await safeFetch(url, { headers, followRedirects: false });
+    state.failures = 0;
+    return response;
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 429 || status === 503) {
+      recordBackoff(host, state, error.response.headers["retry-after"]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches a page if robots.txt and our rate limits allow it, for the
+ * page and for every redirect on the way to it.
+ * @param {string} url - Page URL
+ * @param {object|null} [validators] - { etag, lastModified } from a
+ *   previous fetch
+ * @returns {Promise<object>} - { url, status, data, notModified, validators }
+ * @throws {CrawlerPolicyError} - When policy forbids or defers the request
+ */
+async function politeFetch(url, validators) {
+  // Articles stored before conditional requests have null validators
+  validators = validators || {};
+
+  let target = url;
+  for (let hop = 0; hop <= DEFAULT_MAX_REDIRECTS; hop++) {
+    const response = await fetchHop(target, validators);
+    if (response.location) {
+      target = response.location;
+      continue;
+    }
+    return {
+      url: response.url,
+      status: response.status,
+      data: response.data,
+      notModified: response.status === 304,
+      validators: {
+        etag: response.headers.etag || validators.etag || null,
+        lastModified:
+          response.headers["last-modified"] || validators.lastModified || null,
+      },
+    };
+  }
+
+  throw new UnsafeFetchError(
+    `Too many redirects (max ${DEFAULT_MAX_REDIRECTS})`,
+    502
+  );
+}
+
+module.exports = {
+  USER_AGENT,
+  CrawlerPolicyError,
+  parseRobots,
+  selectRules,
+  isPathAllowed,
+  politeFetch,
+};
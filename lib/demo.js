@@ -0,0 +1,163 @@
+/*
+=========================================
+ AI News Hub - Demo Mode
+=========================================
+Runs the whole site offline, with no API keys and no database:
+  npm run demo        (or DEMO_MODE=true, or node server.js --demo)
+
+In demo mode:
+1. Categories come from fixtures/demo/categories.json, whose "fixture"
+   sources serve the bundled corpus in fixtures/demo/articles.json.
+   Articles are dated relative to server start ('hoursAgo'), so the
+   feeds, briefings and "this week" questions always have news.
+2. Full articles are "scraped" from fixtures/demo/pages/ instead of
+   the network; any other URL fails as if the site were down.
+3. Every AI feature uses the offline mock provider (lib/llm/mock.js).
+4. Data lives in memory (lib/memory-db.js) and is gone on restart.
+   It starts with an admin account and the suggestions in
+   fixtures/demo/suggestions.json.
+
+useDemoEnvironment() has to run before the category registry and the
+LLM client are loaded, since they read their settings on load.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeArticle, registerAdapter } = require("./sources");
+const { createAdmin } = require("./admin-auth");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "demo");
+const DEMO_MODE =
+  /^(1|true|yes)$/i.test(process.env.DEMO_MODE || "") ||
+  process.argv.includes("--demo");
+const DEMO_ADMIN_USERNAME = "demo";
+const DEMO_ADMIN_PASSWORD = process.env.DEMO_ADMIN_PASSWORD || "demo-password";
+// Fixture dates count back from here
+const STARTED_AT = Date.now();
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let corpus = null;
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8"));
+}
+
+/**
+ * @returns {object[]} - The bundled articles, as in articles.json
+ */
+function loadCorpus() {
+  if (!corpus) corpus = readFixture("articles.json").articles || [];
+  return corpus;
+}
+
+/**
+ * Points the category registry and every AI feature at their offline
+ * stand-ins, and registers the "fixture" source type. Does nothing
+ * outside demo mode.
+ */
+function useDemoEnvironment() {
+  if (!DEMO_MODE) return;
+
+  process.env.CATEGORIES_FILE = path.join(FIXTURES_DIR, "categories.json");
+  process.env.LLM_PROVIDER = "mock";
+  // A per-feature provider would win over LLM_PROVIDER
+  Object.keys(process.env)
+    .filter((name) => /^LLM_[A-Z]+_PROVIDER$/.test(name))
+    .forEach((name) => delete process.env[name]);
+
+  registerAdapter("fixture", fetchFixtureArticles);
+  console.log("[DEMO] Demo mode: fixture news, mock AI, in-memory data");
+}
+
+// --- Fixtures ---
+
+/**
+ * "fixture" source adapter: the bundled articles of one category.
+ * source: { type: "fixture", category?: "technology" } - category
+ * defaults to the one being refreshed
+ */
+async function fetchFixtureArticles(source, category) {
+  const wanted = source.category || category;
+  return loadCorpus()
+    .filter((article) => article.category === wanted)
+    .map((article) =>
+      normalizeArticle(
+        {
+          title: article.title,
+          description: article.description,
+          content: article.content,
+          url: article.url,
+          imageUrl: article.imageUrl,
+          sourceName: article.source,
+          author: article.author,
+          publishedAt: new Date(STARTED_AT - article.hoursAgo * HOUR_MS),
+        },
+        category
+      )
+    );
+}
+
+/**
+ * Stands in for politeFetch() (lib/crawler.js): answers with the
+ * bundled page of a fixture article.
+ * @param {string} url - Article URL
+ * @returns {Promise<object>} - { url, status, data, notModified, validators }
+ * @throws {Error} - For URLs outside the corpus
+ */
+async function fetchFixturePage(url) {
+  const article = loadCorpus().find((entry) => entry.url === url);
+  if (!article || !article.page) {
+    throw new Error("Only the bundled demo articles are available offline");
+  }
+
+  const data = await fs.promises.readFile(
+    path.join(FIXTURES_DIR, "pages", path.basename(article.page)),
+    "utf8"
+  );
+  return {
+    url,
+    status: 200,
+    data,
+    notModified: false,
+    validators: { etag: null, lastModified: null },
+  };
+}
+
+// --- Seed Data ---
+
+/**
+ * Creates the demo admin account and the sample suggestions.
+ * @param {object} collections - { admins, suggestions }
+ */
+async function seedDemoData(collections) {
+  await createAdmin(
+    DEMO_ADMIN_USERNAME,
+    DEMO_ADMIN_PASSWORD,
+    "admin",
+    collections.admins
+  );
+
+  const suggestions = readFixture("suggestions.json").suggestions || [];
+  for (const { daysAgo, ...suggestion } of suggestions) {
+    const createdAt = new Date(STARTED_AT - (daysAgo || 0) * DAY_MS);
+    await collections.suggestions.insertOne({
+      ...suggestion,
+      details: suggestion.details || "",
+      createdAt,
+      updatedAt: createdAt,
+    });
+  }
+
+  console.log(
+    `[DEMO] Admin console: sign in as "${DEMO_ADMIN_USERNAME}" with password "${DEMO_ADMIN_PASSWORD}"`
+  );
+}
+
+module.exports = {
+  DEMO_MODE,
+  useDemoEnvironment,
+  fetchFixtureArticles,
+  fetchFixturePage,
+  seedDemoData,
+};
@@ -0,0 +1,622 @@
+/*
+=========================================
+ AI News Hub - Named Entities
+=========================================
+Finds the people, organizations, places and products an article is
+about, so every story about one of them can be listed on its topic
+page (topic.html?slug=...). Extraction is rule-based and runs at
+ingestion (and again when the full text is scraped):
+1. Known entities from config/entities.json (ENTITIES_FILE), matched
+   by name or alias - "Trump" and "Donald Trump" are one entity.
+2. Other capitalized names, typed by the words around them:
+   "President Jane Doe", "Jane Doe said" (person), "Acme Corp."
+   (organization), "Cook County" (place), "unveiled the Pixel 9"
+   (product). Names without such a cue are skipped.
+3. Later surname-only mentions ("Doe said") count for the person.
+
+Each article stores its entities as 'entities':
+  [{ slug, name, type, mentions, forms }]
+('forms' are the spellings found, for linking them in the article),
+and each entity has a document in the 'entities' collection:
+  { _id: slug, name, type, aliases, articleCount, firstSeenAt,
+    updatedAt }
+*/
+
+const path = require("path");
+const { readConfigFile } = require("./config");
+
+const ENTITIES_FILE =
+  process.env.ENTITIES_FILE ||
+  path.join(__dirname, "..", "config", "entities.json");
+// Bump when the rules change; older articles are re-extracted at startup
+const EXTRACTOR_VERSION = 1;
+const ENTITY_TYPES = ["person", "organization", "place", "product"];
+// Only the opening of long scraped bodies is read
+const MAX_TEXT_CHARS = 8000;
+const MAX_FORMS = 5;
+// A mention in the headline counts this much more
+const TITLE_WEIGHT = 3;
+const BACKFILL_LIMIT = 500;
+
+const NAME_WORD = "\\p{Lu}[\\p{L}\\p{M}\\d&'’.-]*";
+const NAME_PARTICLE = "(?:of|for|de|del|da|van|von|al|bin)(?:[ \\t]+the)?";
+// Runs of capitalized words, e.g. "Bank of England" or "Pixel 9 Pro"
+const CANDIDATE_PATTERN = new RegExp(
+  `${NAME_WORD}(?:[ \\t\\u00a0]+(?:${NAME_PARTICLE}[ \\t\\u00a0]+)?(?:${NAME_WORD}|\\d[\\w.-]*))*`,
+  "gu"
+);
+
+// Capitalized words that start sentences rather than names
+const LEADING_WORDS = new Set(
+  (
+    "A An The This That These Those In On At For From By With To Of As " +
+    "And But Or So Yet If When While After Before Since Until During " +
+    "It Its He She They We I You His Her Their Our My Here There What " +
+    "Why How Who Where Which Meanwhile However Also Still Now Then Today " +
+    "Yesterday Monday Tuesday Wednesday Thursday Friday Saturday Sunday " +
+    "Later Earlier Last Next Some Many Most Several Both Each Every Other " +
+    "Such Despite Although Though Because According Following Under Over " +
+    "Among Amid Against Without " +
+    "Breaking Watch Read Photo Video Opinion Analysis Update Exclusive"
+  ).split(" ")
+);
+
+// Words that introduce a person: "President Jane Doe", "CEO John Roe"
+const PERSON_TITLES = new Set(
+  (
+    "President Vice Prime Minister Senator Sen Representative Rep " +
+    "Governor Gov Mayor Chancellor Secretary Judge Justice King Queen " +
+    "Prince Princess Pope General Gen Chairman Chairwoman Chair CEO CFO " +
+    "CTO COO Founder Director Commissioner Ambassador Speaker Leader " +
+    "Mr Mrs Ms Dr Prof Professor Sir Dame Lord Lady Coach Captain"
+  ).split(" ")
+);
+const PERSON_BEFORE =
+  /(?:chief executive|executive|president|minister|senator|governor|mayor|spokesperson|spokesman|spokeswoman|founder|co-founder|director|secretary|judge|analyst|professor|researcher|economist|lawyer|attorney|coach|chairman|chairwoman|ceo|cfo|cto)\s*,?\s*$/i;
+const PERSON_AFTER = /^\s*(?:said|says|told|wrote|added|argued|,\s*who\b)/i;
+
+const LEGAL_SUFFIXES = new Set(
+  "Inc Corp Corporation Co Ltd LLC PLC AG SA GmbH".split(" ")
+);
+const ORG_SUFFIXES = new Set(
+  (
+    "Company Group Holdings University College School Bank Party " +
+    "Ministry Department Agency Commission Council Association Institute " +
+    "Foundation Authority Court Committee Labs Technologies Systems " +
+    "Airlines Motors Pharmaceuticals Capital Partners Ventures Network " +
+    "Times Post Journal News Organization Union Federation Police Army"
+  ).split(" ")
+);
+const PLACE_SUFFIXES = new Set(
+  (
+    "City County State Province Island Islands River Valley Mountains " +
+    "Street Avenue Airport Bay Sea Ocean Lake Region Republic Kingdom"
+  ).split(" ")
+);
+const PRODUCT_BEFORE =
+  /\b(?:launch(?:ed|es|ing)?|unveil(?:ed|s|ing)?|releas(?:ed|es|ing)|introduc(?:ed|es|ing)|debut(?:ed|s)?)\s+(?:(?:the|its|a|an|their|his|her)\s+)?(?:new\s+)?$/i;
+
+let config = null;
+
+/**
+ * @param {string} name - Entity name
+ * @returns {string} - URL-safe slug, e.g. "Société Générale" ->
+ *   "societe-generale"
+ */
+function toEntitySlug(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 80);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Reads the known entities, longest alias first so "New York City"
+ * wins over "New York".
+ * @returns {object} - { maxPerArticle, aliases: [{ alias, pattern,
+ *   entity }] }
+ */
+function loadConfig() {
+  if (config) return config;
+  const file = readConfigFile(ENTITIES_FILE, "entities");
+
+  const aliases = [];
+  (file.entities || []).forEach((entry) => {
+    if (!entry.name || !ENTITY_TYPES.includes(entry.type)) {
+      console.warn("[ENTITIES] Skipping invalid known entity:", entry);
+      return;
+    }
+    const entity = {
+      slug: toEntitySlug(entry.name),
+      name: entry.name,
+      type: entry.type,
+    };
+    [entry.name, ...(entry.aliases || [])].forEach((alias) =>
+      aliases.push({
+        alias,
+        pattern: new RegExp(
+          `(?<![\\p{L}\\d])${escapeRegExp(alias)}(?![\\p{L}\\d])`,
+          "gu"
+        ),
+        entity,
+      })
+    );
+  });
+  aliases.sort((a, b) => b.alias.length - a.alias.length);
+
+  config = { maxPerArticle: file.maxPerArticle || 10, aliases };
+  return config;
+}
+
+function toPlainText(html) {
+  return String(html || "")
+    .replace(/<\/(p|h[1-6]|li|blockquote|figcaption|div)>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .trim();
+}
+
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word || "");
+}
+
+function stripPunctuation(word) {
+  return word.replace(/['’]s$/, "").replace(/[.,'’-]+$/, "");
+}
+
+/**
+ * Whether a known-entity match is really part of a longer name, like
+ * "Washington" in "Washington Post" or "America" in "Bank of America".
+ */
+function isPartOfLongerName(text, start, end) {
+  const before = text.substring(Math.max(0, start - 30), start);
+  const after = text.substring(end, end + 30);
+  const previous = (before.match(/(\S+)[ \t]+$/) || [])[1];
+  const next = (after.match(/^[ \t]+(\S+)/) || [])[1];
+
+  if (/\p{Lu}\S*[ \t]+(?:of|for|de)[ \t]+$/u.test(before)) return true;
+  if (
+    previous &&
+    isCapitalized(previous) &&
+    !/[.!?:;,]$|['’]s$/.test(previous) &&
+    !LEADING_WORDS.has(previous) &&
+    !PERSON_TITLES.has(stripPunctuation(previous))
+  ) {
+    return true;
+  }
+  return Boolean(
+    next &&
+      isCapitalized(next) &&
+      !LEGAL_SUFFIXES.has(stripPunctuation(next)) &&
+      !PERSON_TITLES.has(stripPunctuation(next))
+  );
+}
+
+/**
+ * Types a capitalized name from the words around it.
+ * @returns {object|null} - { name, type } or null if there is no cue
+ */
+function classifyCandidate(words, before, after) {
+  const last = words[words.length - 1];
+  const hasDigits = words.some((word) => /\d/.test(word));
+  const isPlainName = words.every(
+    (word) => isCapitalized(word) && !/\d/.test(word)
+  );
+
+  if (LEGAL_SUFFIXES.has(last) && words.length > 1) {
+    return { name: words.slice(0, -1).join(" "), type: "organization" };
+  }
+  if (ORG_SUFFIXES.has(last) && words.length > 1) {
+    return { name: words.join(" "), type: "organization" };
+  }
+  if (PLACE_SUFFIXES.has(last) && words.length > 1) {
+    return { name: words.join(" "), type: "place" };
+  }
+  if (PRODUCT_BEFORE.test(before) && words.length <= 4) {
+    return { name: words.join(" "), type: "product" };
+  }
+  if (
+    isPlainName &&
+    !hasDigits &&
+    words.length >= 2 &&
+    words.length <= 3 &&
+    (PERSON_BEFORE.test(before) || PERSON_AFTER.test(after))
+  ) {
+    return { name: words.join(" "), type: "person" };
+  }
+  return null;
+}
+
+/**
+ * Splits a run of capitalized words where a sentence ends inside it
+ * ("... in Cook County. Jane Doe said"). Initials and abbreviations
+ * like "U.S." or "Corp." don't end a sentence.
+ * @param {string} run - Matched text
+ * @returns {string[][]} - Words of each sentence
+ */
+function splitSentences(run) {
+  const sentences = [[]];
+  run.split(/[ \t\u00a0]+/).forEach((word) => {
+    sentences[sentences.length - 1].push(word);
+    const bare = word.replace(/\.$/, "");
+    if (
+      word.endsWith(".") &&
+      !/^(?:\p{Lu}\.)*\p{Lu}$/u.test(bare) &&
+      !LEGAL_SUFFIXES.has(bare) &&
+      !PERSON_TITLES.has(bare)
+    ) {
+      sentences.push([]);
+    }
+  });
+  return sentences.filter((words) => words.length > 0);
+}
+
+/**
+ * Splits a run of capitalized words at person titles, so "Acme CEO
+ * Jane Doe" gives "Acme" and the person "Jane Doe".
+ * @returns {object[]} - [{ words, titled }]
+ */
+function splitAtTitles(words) {
+  const parts = [];
+  let current = [];
+  let titled = false;
+  let skip = 0;
+  words.forEach((word) => {
+    if (skip > 0) {
+      skip--;
+      return;
+    }
+    if (PERSON_TITLES.has(word)) {
+      if (current.length > 0) parts.push({ words: current, titled });
+      current = [];
+      titled = true;
+      return;
+    }
+    // "Secretary of State Jane Doe": the office belongs to the title
+    if (titled && current.length === 0 && !isCapitalized(word)) {
+      skip = 1;
+      return;
+    }
+    current.push(word);
+  });
+  if (current.length > 0) parts.push({ words: current, titled });
+  return parts;
+}
+
+/**
+ * Extracts an article's entities.
+ * @param {object} article - { title, description, content, fullContent }
+ * @returns {object[]} - [{ slug, name, type, mentions, forms }], most
+ *   prominent first
+ */
+function extractEntities(article) {
+  const { aliases, maxPerArticle } = loadConfig();
+  const title = String(article.title || "");
+  const body = [
+    article.description,
+    // newsapi.org truncates 'content' with "... [+1234 chars]"
+    toPlainText(article.content).replace(/\s*\[\+\d+ chars\]$/, ""),
+    toPlainText(article.fullContent),
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .substring(0, MAX_TEXT_CHARS);
+
+  const found = new Map(); // slug -> { slug, name, type, mentions, score, forms }
+
+  function addMention(entity, form, inTitle) {
+    const slug = entity.slug || toEntitySlug(entity.name);
+    if (!slug) return;
+    if (!found.has(slug)) {
+      found.set(slug, {
+        slug,
+        name: entity.name,
+        type: entity.type,
+        mentions: 0,
+        score: 0,
+        forms: [],
+      });
+    }
+    const entry = found.get(slug);
+    entry.mentions++;
+    entry.score += inTitle ? TITLE_WEIGHT : 1;
+    if (!entry.forms.includes(form) && entry.forms.length < MAX_FORMS) {
+      entry.forms.push(form);
+    }
+  }
+
+  // Known entities are found first and blanked out, so the rules
+  // below don't see them again. In Title Case Headlines every word is
+  // capitalized, so neighbouring words say nothing there.
+  function matchKnown(text, inTitle, titleCase) {
+    const chars = text.split("");
+    aliases.forEach(({ alias, pattern, entity }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text))) {
+        const start = match.index;
+        const end = start + alias.length;
+        if (chars[start] === "\u0000") continue;
+        if (!titleCase && isPartOfLongerName(text, start, end)) continue;
+        addMention(entity, alias, inTitle);
+        for (let i = start; i < end; i++) chars[i] = "\u0000";
+      }
+    });
+    return chars.join("");
+  }
+
+  const surnames = new Map(); // surname -> person entity
+  const singles = []; // One-word names, resolved against surnames later
+
+  function matchCandidates(text, inTitle) {
+    CANDIDATE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = CANDIDATE_PATTERN.exec(text))) {
+      const before = text.substring(Math.max(0, match.index - 40), match.index);
+      const after = text.substring(
+        match.index + match[0].length,
+        match.index + match[0].length + 20
+      );
+
+      splitSentences(match[0]).forEach((sentence, s, sentences) => {
+        let words = sentence.map(stripPunctuation);
+        let atSentenceStart = s > 0 || /(^|[.!?]["”’]?\s+|\n\s*)$/.test(before);
+        while (words.length > 0 && LEADING_WORDS.has(words[0])) {
+          words = words.slice(1);
+          atSentenceStart = true;
+        }
+        if (words.length === 0 || !words[0]) return;
+
+        splitAtTitles(words).forEach((part, i, parts) => {
+          const partWords = part.words.filter(Boolean);
+          if (partWords.length === 0) return;
+          const last = partWords[partWords.length - 1];
+
+          // "Later Doe said": a capitalized first word, not a first name
+          if (
+            atSentenceStart &&
+            i === 0 &&
+            !part.titled &&
+            partWords.length === 2 &&
+            surnames.has(last)
+          ) {
+            addMention(surnames.get(last), last, inTitle);
+            return;
+          }
+
+          let entity = null;
+          if (
+            part.titled &&
+            partWords.length >= 2 &&
+            partWords.length <= 3 &&
+            partWords.every((word) => isCapitalized(word) && !/\d/.test(word))
+          ) {
+            entity = { name: partWords.join(" "), type: "person" };
+          } else {
+            entity = classifyCandidate(
+              partWords,
+              s === 0 && i === 0 ? before : "",
+              s === sentences.length - 1 && i === parts.length - 1 ? after : ""
+            );
+          }
+
+          if (entity) {
+            addMention(entity, entity.name, inTitle);
+            if (entity.type === "person") {
+              surnames.set(last, {
+                ...entity,
+                slug: toEntitySlug(entity.name),
+              });
+            }
+          } else if (partWords.length === 1) {
+            singles.push({ word: partWords[0], inTitle });
+          }
+        });
+      });
+    }
+  }
+
+  const titleWords = title.split(/\s+/).filter((word) => word.length > 3);
+  const titleCase =
+    titleWords.length > 0 &&
+    titleWords.filter(isCapitalized).length / titleWords.length >= 0.7;
+  const maskedTitle = matchKnown(title, true, titleCase);
+  if (!titleCase) matchCandidates(maskedTitle, true);
+  matchCandidates(matchKnown(body, false, false), false);
+
+  // "Doe said ..." after "Jane Doe" was introduced
+  singles.forEach(({ word, inTitle }) => {
+    const person = surnames.get(word);
+    if (person) addMention(person, word, inTitle);
+  });
+
+  return [...found.values()]
+    .sort((a, b) => b.score - a.score || b.mentions - a.mentions)
+    .slice(0, maxPerArticle)
+    .map(({ score, ...entity }) => entity);
+}
+
+// --- Storage ---
+
+/**
+ * Creates the indexes entity pages rely on.
+ * @param {object} articlesCollection - MongoDB articles collection
+ */
+async function ensureEntityIndexes(articlesCollection) {
+  await articlesCollection.createIndex({
+    "entities.slug": 1,
+    publishedDate: -1,
+    url: -1,
+  });
+}
+
+/**
+ * Re-extracts the entities of some stored articles and keeps each
+ * entity's document (and article count) in step.
+ * @param {string[]} urls - Articles to update
+ * @param {object} collections - { articles, entities } MongoDB collections
+ * @returns {Promise<number>} - How many articles were updated
+ */
+async function updateEntities(urls, collections) {
+  if (urls.length === 0) return 0;
+  const articles = await collections.articles
+    .find({ url: { $in: urls } })
+    .project({
+      url: 1,
+      title: 1,
+      description: 1,
+      content: 1,
+      fullContent: 1,
+      entities: 1,
+    })
+    .toArray();
+
+  const now = new Date();
+  const articleOperations = [];
+  const counts = new Map(); // slug -> { entity, change, forms }
+
+  articles.forEach((article) => {
+    const entities = extractEntities(article);
+    const previous = new Set(
+      (article.entities || []).map((entity) => entity.slug)
+    );
+    articleOperations.push({
+      updateOne: {
+        filter: { url: article.url },
+        update: {
+          $set: { entities, entitiesVersion: EXTRACTOR_VERSION },
+        },
+      },
+    });
+
+    entities.forEach((entity) => {
+      const entry = counts.get(entity.slug) || {
+        entity,
+        change: 0,
+        forms: new Set(),
+      };
+      if (!previous.has(entity.slug)) entry.change++;
+      previous.delete(entity.slug);
+      entity.forms.forEach((form) => entry.forms.add(form));
+      counts.set(entity.slug, entry);
+    });
+    // Entities the article no longer mentions
+    previous.forEach((slug) => {
+      const entry = counts.get(slug) || { entity: null, change: 0 };
+      entry.change--;
+      counts.set(slug, entry);
+    });
+  });
+
+  const entityOperations = [];
+  counts.forEach(({ entity, change, forms }, slug) => {
+    if (!entity) {
+      entityOperations.push({
+        updateOne: {
+          filter: { _id: slug },
+          update: { $inc: { articleCount: change } },
+        },
+      });
+      return;
+    }
+    entityOperations.push({
+      updateOne: {
+        filter: { _id: slug },
+        update: {
+          $setOnInsert: {
+            name: entity.name,
+            type: entity.type,
+            firstSeenAt: now,
+          },
+          $set: { updatedAt: now },
+          $inc: { articleCount: change },
+          $addToSet: { aliases: { $each: [...forms] } },
+        },
+        upsert: true,
+      },
+    });
+  });
+
+  if (articleOperations.length > 0) {
+    await collections.articles.bulkWrite(articleOperations);
+  }
+  if (entityOperations.length > 0) {
+    await collections.entities.bulkWrite(entityOperations);
+  }
+  return articles.length;
+}
+
+/**
+ * Takes deleted articles out of their entities' article counts.
+ * @param {object[]} articles - The deleted articles (with 'entities')
+ * @param {object} entitiesCollection - MongoDB entities collection
+ */
+async function forgetEntities(articles, entitiesCollection) {
+  const operations = articles
+    .flatMap((article) => article.entities || [])
+    .map((entity) => ({
+      updateOne: {
+        filter: { _id: entity.slug },
+        update: { $inc: { articleCount: -1 } },
+      },
+    }));
+  if (operations.length > 0) await entitiesCollection.bulkWrite(operations);
+}
+
+/**
+ * Extracts entities for stored articles that predate the current
+ * rules, newest first, a batch per startup.
+ * @param {object} collections - { articles, entities } MongoDB collections
+ */
+async function backfillEntities(collections) {
+  const outdated = await collections.articles
+    .find({ entitiesVersion: { $ne: EXTRACTOR_VERSION } })
+    .project({ url: 1 })
+    .sort({ publishedDate: -1 })
+    .limit(BACKFILL_LIMIT)
+    .toArray();
+  if (outdated.length === 0) return;
+
+  const updated = await updateEntities(
+    outdated.map((article) => article.url),
+    collections
+  );
+  console.log(`[ENTITIES] Extracted entities for ${updated} stored articles`);
+}
+
+/**
+ * @param {string} slug - Entity slug
+ * @param {object} entitiesCollection - MongoDB entities collection
+ * @returns {Promise<object|null>} - { slug, name, type, aliases,
+ *   articleCount, firstSeenAt, updatedAt }
+ */
+async function getEntity(slug, entitiesCollection) {
+  const entity = await entitiesCollection.findOne({ _id: slug });
+  if (!entity) return null;
+  const { _id, ...fields } = entity;
+  return { slug: _id, ...fields };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  toEntitySlug,
+  extractEntities,
+  ensureEntityIndexes,
+  updateEntities,
+  forgetEntities,
+  backfillEntities,
+  getEntity,
+};
@@ -0,0 +1,510 @@
+/*
+=========================================
+ AI News Hub - Main Content Extractor
+=========================================
+A readability-style extractor for scraped article pages:
+1. Strips obvious boilerplate (nav, cookie banners, share bars...).
+2. Scores block containers by the paragraph text they hold and
+   picks the best one (plus qualifying siblings).
+3. Re-serializes it as a flat list of safe blocks: paragraphs,
+   headings, lists, blockquotes, figures/images, links, emphasis.
+   Nothing else (no attributes besides href/src/alt) survives.
+4. Reports a 0-1 confidence score for how article-like the result is.
+*/
+
+const cheerio = require("cheerio");
+const { escapeHtml } = require("./text");
+
+const MIN_TEXT_LENGTH = 150;
+const MAX_BLOCKS = 80;
+
+// Removed before scoring - these never hold article text
+const STRIP_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "form",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "dialog",
+  "[hidden]",
+  "[aria-hidden='true']",
+  "[role='navigation']",
+  "[role='banner']",
+  "[role='contentinfo']",
+  "[role='complementary']",
+  "[role='dialog']",
+  "[role='alertdialog']",
+].join(", ");
+
+const UNLIKELY_CANDIDATE =
+  /cookie|consent|gdpr|banner|newsletter|subscribe|signup|paywall|promo|advert|sponsor|\bads?\b|ad-|social|share|sharing|related|recommend|comment|sidebar|footer|masthead|menu|popup|modal|breadcrumb|outbrain|taboola|disqus|skip-link|print-only/i;
+const MAYBE_CANDIDATE = /article|body|content|main|story|post|entry|text/i;
+const POSITIVE_CLASS =
+  /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_CLASS =
+  /comment|meta|footer|footnote|foot|sidebar|widget|share|social|promo|related|author-bio|byline|caption|tags?\b/i;
+
+// Short blocks that are almost always site chrome rather than article text
+const BOILERPLATE_TEXT =
+  /^(advertisement|sponsored|share( this)?|read more|sign up|subscribe|follow us|related( articles| stories)?|more from|recommended|cookies?|accept|we use cookies|all rights reserved|©)/i;
+
+// Allowed output elements, mapped from their source tag
+const BLOCK_TAGS = {
+  p: "p",
+  h1: "h2",
+  h2: "h2",
+  h3: "h3",
+  h4: "h4",
+  h5: "h4",
+  h6: "h4",
+  ul: "ul",
+  ol: "ol",
+  blockquote: "blockquote",
+  figure: "figure",
+  pre: "pre",
+};
+const INLINE_TAGS = {
+  a: "a",
+  strong: "strong",
+  b: "strong",
+  em: "em",
+  i: "em",
+  code: "code",
+  sub: "sub",
+  sup: "sup",
+  br: "br",
+};
+
+/**
+ * Resolves a (possibly relative) URL against the page, keeping only http(s).
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const resolved = new URL(value.trim(), baseUrl);
+    return resolved.protocol === "http:" || resolved.protocol === "https:"
+      ? resolved.href
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getImageSrc(node) {
+  const attribs = node.attribs || {};
+  const srcset = attribs["data-srcset"] || attribs.srcset;
+  return (
+    attribs["data-src"] ||
+    attribs["data-lazy-src"] ||
+    attribs["data-original"] ||
+    (srcset && srcset.split(",")[0].trim().split(/\s+/)[0]) ||
+    attribs.src
+  );
+}
+
+// --- Scoring ---
+
+function getClassWeight(el) {
+  const attribs = el.attribs || {};
+  const signature = `${attribs.class || ""} ${attribs.id || ""}`;
+  let weight = 0;
+  if (POSITIVE_CLASS.test(signature)) weight += 25;
+  if (NEGATIVE_CLASS.test(signature)) weight -= 25;
+  return weight;
+}
+
+function getLinkDensity($, el) {
+  const textLength = $(el).text().trim().length;
+  if (textLength === 0) return 0;
+  const linkLength = $(el)
+    .find("a")
+    .toArray()
+    .reduce((sum, a) => sum + $(a).text().trim().length, 0);
+  return linkLength / textLength;
+}
+
+function initialScore(el) {
+  const tag = el.tagName;
+  let score = getClassWeight(el);
+  if (tag === "article") score += 10;
+  else if (tag === "div" || tag === "main" || tag === "section") score += 5;
+  else if (tag === "pre" || tag === "td" || tag === "blockquote") score += 3;
+  else if (tag === "ol" || tag === "ul" || tag === "dl") score -= 3;
+  return score;
+}
+
+/**
+ * Scores every paragraph's ancestors and returns the best container.
+ */
+function findTopCandidate($) {
+  const scores = new Map();
+
+  const addScore = (el, amount) => {
+    if (!el || el.type !== "tag" || el.tagName === "body") return;
+    if (!scores.has(el)) scores.set(el, initialScore(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $("p, pre, td, blockquote").each((_, el) => {
+    const text = $(el).text().trim();
+    if (text.length < 25) return;
+
+    // One point per paragraph, one per comma, up to three for length
+    const contentScore =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+    addScore(el.parent, contentScore);
+    if (el.parent) addScore(el.parent.parent, contentScore / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, el) => {
+    const adjusted = score * (1 - getLinkDensity($, el));
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  });
+
+  return { top, topScore, scores };
+}
+
+/**
+ * The top candidate plus any siblings that look like part of the article
+ * (publishers often split the body across several sibling containers).
+ */
+function gatherContentNodes($, top, topScore, scores) {
+  if (!top.parent) return [top];
+  const threshold = Math.max(10, topScore * 0.2);
+  const topClass = (top.attribs && top.attribs.class) || "";
+
+  return $(top.parent)
+    .children()
+    .toArray()
+    .filter((sibling) => {
+      if (sibling === top) return true;
+      let bonus = 0;
+      if (topClass && sibling.attribs && sibling.attribs.class === topClass) {
+        bonus = topScore * 0.2;
+      }
+      if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+        return true;
+      }
+      if (sibling.tagName === "p") {
+        const text = $(sibling).text().trim();
+        const density = getLinkDensity($, sibling);
+        return (
+          (text.length > 80 && density < 0.25) ||
+          (text.length > 0 && density === 0 && /\.( |$)/.test(text))
+        );
+      }
+      return false;
+    });
+}
+
+// --- Serializing ---
+
+function serializeInline(node, baseUrl) {
+  if (node.type === "text") return escapeHtml(node.data);
+  if (node.type !== "tag") return "";
+
+  const children = () =>
+    (node.children || [])
+      .map((child) => serializeInline(child, baseUrl))
+      .join("");
+
+  if (node.tagName === "img") {
+    const src = resolveUrl(getImageSrc(node), baseUrl);
+    if (!src) return "";
+    const alt = escapeHtml((node.attribs && node.attribs.alt) || "");
+    return `<img src="${escapeHtml(src)}" alt="${alt}" loading="lazy" />`;
+  }
+
+  const tag = INLINE_TAGS[node.tagName];
+  if (!tag) return children(); // Unwrap anything we don't allow
+  if (tag === "br") return "<br />";
+
+  const inner = children();
+  if (!inner.trim()) return inner;
+
+  if (tag === "a") {
+    const href = resolveUrl(node.attribs && node.attribs.href, baseUrl);
+    if (!href) return inner;
+    return `<a href="${escapeHtml(
+      href
+    )}" target="_blank" rel="noopener noreferrer nofollow">${inner}</a>`;
+  }
+  return `<${tag}>${inner}</${tag}>`;
+}
+
+function hasBlockDescendant($, node) {
+  return $(node).find(Object.keys(BLOCK_TAGS).join(", ")).length > 0;
+}
+
+function serializeFigure($, node, baseUrl) {
+  const img = node.tagName === "img" ? node : $(node).find("img").get(0);
+  if (!img) return "";
+  const image = serializeInline(img, baseUrl);
+  if (!image) return "";
+
+  const caption =
+    node.tagName === "img"
+      ? ""
+      : $(node)
+          .find("figcaption")
+          .toArray()
+          .map((el) => serializeInline(el, baseUrl))
+          .join(" ")
+          .trim();
+  return `<figure>${image}${
+    caption ? `<figcaption>${caption}</figcaption>` : ""
+  }</figure>`;
+}
+
+function serializeList($, node, baseUrl) {
+  const tag = BLOCK_TAGS[node.tagName];
+  const items = $(node)
+    .children("li")
+    .toArray()
+    .map((li) => {
+      const inner = (li.children || [])
+        .map((child) =>
+          child.type === "tag" &&
+          (child.tagName === "ul" || child.tagName === "ol")
+            ? serializeList($, child, baseUrl)
+            : serializeInline(child, baseUrl)
+        )
+        .join("")
+        .trim();
+      return inner ? `<li>${inner}</li>` : "";
+    })
+    .filter(Boolean);
+  return items.length ? `<${tag}>${items.join("")}</${tag}>` : "";
+}
+
+/**
+ * Serializes one allowed block element (already mapped via BLOCK_TAGS).
+ */
+function serializeBlock($, node, baseUrl) {
+  const tag = BLOCK_TAGS[node.tagName];
+  if (tag === "ul" || tag === "ol") return serializeList($, node, baseUrl);
+  if (tag === "figure") return serializeFigure($, node, baseUrl);
+  if (tag === "blockquote") {
+    const inner = hasBlockDescendant($, node)
+      ? collectBlocks($, node, baseUrl).join("")
+      : serializeInline(node, baseUrl).trim();
+    return inner ? `<blockquote>${inner}</blockquote>` : "";
+  }
+  if (tag === "pre") {
+    // Code samples keep their line breaks and indentation
+    const code = (node.children || [])
+      .map((child) => serializeInline(child, baseUrl))
+      .join("")
+      .replace(/^\r?\n/, "")
+      .trimEnd();
+    return code.trim() ? `<pre>${code}</pre>` : "";
+  }
+
+  // A <p> that wraps a lone image is really a figure
+  const inner = (node.children || [])
+    .map((child) => serializeInline(child, baseUrl))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!inner) return "";
+  if (tag === "p" && !$(node).text().trim() && inner.startsWith("<img")) {
+    return `<figure>${inner}</figure>`;
+  }
+  return `<${tag}>${inner}</${tag}>`;
+}
+
+/**
+ * Flattens a container into top-level blocks. Containers (div, section...)
+ * are descended into; loose inline text is wrapped in paragraphs.
+ */
+function collectBlocks($, root, baseUrl) {
+  const blocks = [];
+  let inlineRun = "";
+
+  const flush = () => {
+    const text = inlineRun.replace(/\s+/g, " ").trim();
+    if (text && text.replace(/<[^>]+>/g, "").trim().length > 0) {
+      blocks.push(`<p>${text}</p>`);
+    }
+    inlineRun = "";
+  };
+
+  (root.children || []).forEach((child) => {
+    if (child.type === "text") {
+      inlineRun += serializeInline(child, baseUrl);
+      return;
+    }
+    if (child.type !== "tag") return;
+
+    if (BLOCK_TAGS[child.tagName]) {
+      flush();
+      const block = serializeBlock($, child, baseUrl);
+      if (block) blocks.push(block);
+    } else if (child.tagName === "img") {
+      flush();
+      const figure = serializeFigure($, child, baseUrl);
+      if (figure) blocks.push(figure);
+    } else if (INLINE_TAGS[child.tagName] || !hasBlockDescendant($, child)) {
+      // Inline markup, or a container that only holds inline content
+      if (!INLINE_TAGS[child.tagName] && isBlockContainer(child)) {
+        flush();
+        inlineRun = serializeInline(child, baseUrl);
+        flush();
+      } else {
+        inlineRun += serializeInline(child, baseUrl);
+      }
+    } else {
+      flush();
+      blocks.push(...collectBlocks($, child, baseUrl));
+    }
+  });
+
+  flush();
+  return blocks;
+}
+
+function isBlockContainer(node) {
+  return /^(div|section|article|main|td|th|dd|dt|center|details|summary)$/.test(
+    node.tagName
+  );
+}
+
+/**
+ * Drops blocks that look like site chrome rather than article text.
+ */
+function isBoilerplateBlock(block) {
+  if (block.startsWith("<figure")) return false;
+  const text = block
+    .replace(/<[^>]+>/g, "")
+    .replace(/&[a-z]+;/g, " ")
+    .trim();
+  if (!text) return true;
+  if (text.length < 120 && BOILERPLATE_TEXT.test(text)) return true;
+
+  // Lists/paragraphs that are mostly links are nav or "more stories" rails
+  const linkText = (block.match(/<a [^>]*>(.*?)<\/a>/g) || [])
+    .map((a) => a.replace(/<[^>]+>/g, ""))
+    .join("");
+  return linkText.length / text.length > 0.6;
+}
+
+// --- Confidence ---
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Blends a few signals into a 0-1 score: how much text we kept, how many
+ * real paragraphs it has, how link-heavy it is and whether the container
+ * itself looked like an article.
+ */
+function computeConfidence({ text, paragraphCount, linkDensity, topNode }) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const lengthFactor = clamp01((words - 80) / 320);
+  const paragraphFactor = clamp01(paragraphCount / 5);
+  const linkFactor = clamp01(1 - linkDensity * 2);
+  const signature = `${topNode.tagName} ${
+    (topNode.attribs && topNode.attribs.class) || ""
+  } ${(topNode.attribs && topNode.attribs.id) || ""}`;
+  const containerFactor =
+    topNode.tagName === "article" || POSITIVE_CLASS.test(signature) ? 1 : 0.5;
+
+  return (
+    Math.round(
+      (0.45 * lengthFactor +
+        0.2 * paragraphFactor +
+        0.2 * linkFactor +
+        0.15 * containerFactor) *
+        100
+    ) / 100
+  );
+}
+
+/**
+ * Extracts the main article content from a page.
+ * @param {string} html - The raw page HTML
+ * @param {string} pageUrl - The page URL (used to resolve relative links)
+ * @returns {object|null} - { html, text, confidence, wordCount } or null
+ *   if nothing article-like was found
+ */
+function extractContent(html, pageUrl) {
+  const $ = cheerio.load(html);
+  $(STRIP_SELECTORS).remove();
+
+  // Remove unlikely candidates by class/id, but never the body or an <article>
+  $("body *").each((_, el) => {
+    if (el.tagName === "article" || el.tagName === "main") return;
+    const attribs = el.attribs || {};
+    const signature = `${attribs.class || ""} ${attribs.id || ""}`;
+    if (
+      signature.trim() &&
+      UNLIKELY_CANDIDATE.test(signature) &&
+      !MAYBE_CANDIDATE.test(signature)
+    ) {
+      $(el).remove();
+    }
+  });
+
+  const { top, topScore, scores } = findTopCandidate($);
+  if (!top) return null;
+
+  const nodes = gatherContentNodes($, top, topScore, scores);
+  const blocks = [];
+  nodes.forEach((node) => {
+    if (BLOCK_TAGS[node.tagName]) {
+      const block = serializeBlock($, node, pageUrl);
+      if (block) blocks.push(block);
+    } else {
+      blocks.push(...collectBlocks($, node, pageUrl));
+    }
+  });
+
+  const cleanBlocks = blocks
+    .filter((block) => !isBoilerplateBlock(block))
+    .slice(0, MAX_BLOCKS);
+  const contentHtml = cleanBlocks.join("");
+  const text = cheerio.load(`<div>${contentHtml}</div>`)("div").text();
+  const plainText = text.replace(/\s+/g, " ").trim();
+
+  if (plainText.length < MIN_TEXT_LENGTH) return null;
+
+  const linkText = cheerio
+    .load(`<div>${contentHtml}</div>`)("a")
+    .text()
+    .replace(/\s+/g, " ").length;
+
+  const confidence = computeConfidence({
+    text: plainText,
+    paragraphCount: cleanBlocks.filter((block) => block.startsWith("<p>"))
+      .length,
+    linkDensity: linkText / plainText.length,
+    topNode: top,
+  });
+
+  return {
+    html: contentHtml,
+    text: plainText,
+    confidence,
+    wordCount: plainText.split(/\s+/).length,
+  };
+}
+
+module.exports = { extractContent };
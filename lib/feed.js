@@ -0,0 +1,195 @@
+/*
+=========================================
+ AI News Hub - Paginated Category Feeds
+=========================================
+Lists a category's (or an entity's) stored articles newest-first, one
+primary article per story cluster, using keyset pagination: each page ends with an
+opaque cursor (the last article's publishedDate + url), so pages stay
+stable while ingestion keeps adding newer articles on top.
+*/
+
+const { toCoverage } = require("./clustering");
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * @param {object} article - The last article of a page
+ * @returns {string} - Opaque cursor for the next page
+ */
+function encodeCursor(article) {
+  const payload = JSON.stringify({
+    d: new Date(article.publishedDate).toISOString(),
+    u: article.url,
+  });
+  return Buffer.from(payload).toString("base64url");
+}
+
+/**
+ * @param {string} cursor - A cursor from encodeCursor()
+ * @returns {object|null} - { publishedDate, url } or null if invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const publishedDate = new Date(payload.d);
+    if (isNaN(publishedDate) || typeof payload.u !== "string") return null;
+    return { publishedDate, url: payload.u };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Clamps a requested page size to 1..MAX_PAGE_SIZE.
+ * @param {string|number} value - e.g. req.query.limit
+ * @returns {number}
+ */
+function parsePageSize(value) {
+  const size = parseInt(value, 10);
+  if (isNaN(size) || size < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Adds 'alsoCoveredBy' (one entry per other outlet) to each article.
+ */
+async function attachCoverage(articles, articlesCollection) {
+  const clusterIds = articles
+    .map((article) => article.clusterId)
+    .filter(Boolean);
+  if (clusterIds.length === 0) return articles;
+
+  const members = await articlesCollection
+    .find({ clusterId: { $in: clusterIds } })
+    .project({ url: 1, title: 1, source: 1, clusterId: 1 })
+    .toArray();
+
+  return articles.map((article) => {
+    const outlets = new Set([article.source]);
+    const alsoCoveredBy = members
+      .filter((other) => {
+        if (other.clusterId !== article.clusterId) return false;
+        if (other.url === article.url || outlets.has(other.source)) {
+          return false;
+        }
+        outlets.add(other.source);
+        return true;
+      })
+      .map(toCoverage);
+    return { ...article, alsoCoveredBy };
+  });
+}
+
+/**
+ * Loads one page of the primary articles matching a query, newest first.
+ * @param {object} filter - MongoDB filter, e.g. { categories: "politics" }
+ * @param {object} options - { cursor, limit }
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object>} - { articles, nextCursor } (nextCursor is
+ *   null on the last page); articles are stored documents, so pass them
+ *   through toArticleCard (lib/articles.js) before sending them
+ * @throws {Error} - With statusCode 400 when the cursor is malformed
+ */
+async function getArticlesPage(filter, options, articlesCollection) {
+  const limit = parsePageSize(options.limit);
+  const query = {
+    ...filter,
+    // Secondary versions of a story are listed under 'alsoCoveredBy'
+    isPrimary: { $ne: false },
+  };
+
+  if (options.cursor) {
+    const position = decodeCursor(options.cursor);
+    if (!position) {
+      const error = new Error("Invalid cursor");
+      error.statusCode = 400;
+      throw error;
+    }
+    query.$and = [
+      {
+        $or: [
+          { publishedDate: { $lt: position.publishedDate } },
+          {
+            publishedDate: position.publishedDate,
+            url: { $lt: position.url },
+          },
+        ],
+      },
+    ];
+  }
+
+  // Fetch one extra to learn whether another page exists
+  const results = await articlesCollection
+    .find(query)
+    .sort({ publishedDate: -1, url: -1 })
+    .limit(limit + 1)
+    .project({ _id: 0, fullContent: 0, scrapeValidators: 0 })
+    .toArray();
+
+  const page = results.slice(0, limit);
+  const hasMore = results.length > limit;
+  return {
+    articles: await attachCoverage(page, articlesCollection),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+/**
+ * Loads one page of a category's feed.
+ * @param {string} slug - Category slug
+ * @param {object} options - { cursor, limit }
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object>} - { articles, nextCursor }
+ */
+function getFeedPage(slug, options, articlesCollection) {
+  // backfillFeedFields() gives every article 'categories', so the legacy
+  // 'category' field isn't needed here (and would keep the index from
+  // serving the sort)
+  return getArticlesPage({ categories: slug }, options, articlesCollection);
+}
+
+/**
+ * Fills in the fields feeds rely on for articles stored before
+ * pagination existed ('publishedDate' and 'categories').
+ * @param {object} articlesCollection - MongoDB articles collection
+ */
+async function backfillFeedFields(articlesCollection) {
+  const outdated = await articlesCollection
+    .find({
+      $or: [
+        { publishedDate: { $exists: false } },
+        { categories: { $exists: false } },
+      ],
+    })
+    .project({ url: 1, publishedAt: 1, createdAt: 1, category: 1 })
+    .toArray();
+  if (outdated.length === 0) return;
+
+  const operations = outdated.map((article) => {
+    // publishedAt was stored as a locale date string
+    const parsed = new Date(article.publishedAt || article.createdAt);
+    return {
+      updateOne: {
+        filter: { url: article.url },
+        update: {
+          $set: { publishedDate: isNaN(parsed) ? new Date(0) : parsed },
+          $addToSet: { categories: article.category || "topstories" },
+        },
+      },
+    };
+  });
+  await articlesCollection.bulkWrite(operations);
+  console.log(`[FEED] Backfilled ${operations.length} stored articles`);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageSize,
+  attachCoverage,
+  getArticlesPage,
+  getFeedPage,
+  backfillFeedFields,
+};
@@ -0,0 +1,290 @@
+/*
+=========================================
+ AI News Hub - Category Ingestion
+=========================================
+Fetches a category's sources, upserts the articles into the
+'articles' collection and stores the result as the category's
+snapshot in the 'cache' collection. /api/news serves these
+snapshots (stale-while-revalidate); the scheduler keeps them fresh.
+After a failed refresh, neither tries again until a refresh interval
+has passed (see getRetryDelayMs).
+Near-duplicate stories are clustered before storing, and each
+snapshot holds one primary article per story cluster. Related-article
+recommendations and named entities are refreshed for every stored
+article.
+*/
+
+const { fetchFromSources } = require("./sources");
+const {
+  assignClusters,
+  collapseClusters,
+  pickPrimary,
+} = require("./clustering");
+const { updateRelated } = require("./related");
+const { updateEntities } = require("./entities");
+
+const DEFAULT_REFRESH_MINUTES =
+  Number(process.env.INGEST_INTERVAL_MINUTES) || 60;
+// How many recently seen articles new ones are clustered against
+const CLUSTER_CANDIDATE_LIMIT = 300;
+
+// Refreshes currently in progress, keyed by category slug
+const inFlight = new Map();
+
+function getSnapshotKey(slug) {
+  return `news_${slug}`;
+}
+
+/**
+ * @param {object} category - Category definition from the registry
+ * @returns {number} - How often this category should be refreshed, in ms
+ */
+function getRefreshIntervalMs(category) {
+  return (category.refreshMinutes || DEFAULT_REFRESH_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Loads the last stored snapshot for a category.
+ * @param {string} slug - Category slug
+ * @param {object} cacheCollection - MongoDB cache collection
+ * @returns {Promise<object|null>} - { data, updatedAt, ... } or null
+ */
+async function getSnapshot(slug, cacheCollection) {
+  const snapshot = await cacheCollection.findOne({ key: getSnapshotKey(slug) });
+  if (!snapshot || !Array.isArray(snapshot.data)) return null;
+  // Snapshots written before scheduled ingestion only have createdAt
+  snapshot.updatedAt = snapshot.updatedAt || snapshot.createdAt;
+  return snapshot;
+}
+
+/**
+ * How long until a category may be fetched from its sources again.
+ * After a failed refresh we wait one refresh interval, so a provider
+ * that is down isn't hit at request rate (or left to burn the NewsAPI
+ * quota).
+ * @param {object} category - Category definition from the registry
+ * @param {object} cacheCollection - MongoDB cache collection
+ * @returns {Promise<number>} - In ms; 0 if a refresh may run now
+ */
+async function getRetryDelayMs(category, cacheCollection) {
+  const record = await cacheCollection.findOne({
+    key: getSnapshotKey(category.slug),
+  });
+  if (!record || !record.lastError || !record.lastAttemptAt) return 0;
+
+  const elapsedMs = Date.now() - new Date(record.lastAttemptAt).getTime();
+  return Math.max(0, getRefreshIntervalMs(category) - elapsedMs);
+}
+
+/**
+ * Describes how old a snapshot is, for the /api/news response.
+ * @param {object} snapshot - Snapshot document
+ * @param {object} category - Category definition from the registry
+ * @returns {object} - { updatedAt, ageSeconds, stale }
+ */
+function describeSnapshot(snapshot, category) {
+  const ageMs = Date.now() - new Date(snapshot.updatedAt).getTime();
+  return {
+    updatedAt: snapshot.updatedAt,
+    ageSeconds: Math.max(0, Math.round(ageMs / 1000)),
+    stale: ageMs > getRefreshIntervalMs(category),
+    lastError: snapshot.lastError || null,
+  };
+}
+
+/**
+ * Re-elects the primary article of each touched cluster across everything
+ * stored. Only primaries are listed in feeds, so the primary also inherits
+ * every category its cluster's members belong to.
+ * @param {string[]} clusterIds - Clusters that gained or changed members
+ * @param {object} articlesCollection - MongoDB articles collection
+ */
+async function updateClusterPrimaries(clusterIds, articlesCollection) {
+  const members = await articlesCollection
+    .find({ clusterId: { $in: clusterIds } })
+    .project({
+      url: 1,
+      description: 1,
+      imageUrl: 1,
+      clusterId: 1,
+      categories: 1,
+    })
+    .toArray();
+
+  const clusters = new Map();
+  members.forEach((article) => {
+    if (!clusters.has(article.clusterId)) clusters.set(article.clusterId, []);
+    clusters.get(article.clusterId).push(article);
+  });
+
+  const operations = [];
+  clusters.forEach((group, clusterId) => {
+    const primary = pickPrimary(group);
+    const categories = [
+      ...new Set(group.flatMap((article) => article.categories || [])),
+    ];
+    operations.push(
+      {
+        updateOne: {
+          filter: { url: primary.url },
+          update: {
+            $set: { isPrimary: true },
+            $addToSet: { categories: { $each: categories } },
+          },
+        },
+      },
+      {
+        updateMany: {
+          filter: { clusterId, url: { $ne: primary.url } },
+          update: { $set: { isPrimary: false } },
+        },
+      }
+    );
+  });
+
+  if (operations.length > 0) await articlesCollection.bulkWrite(operations);
+}
+
+/**
+ * Fetches a category from its sources and stores the results.
+ * On failure the previous snapshot is kept and the error is recorded on it
+ * (on a snapshot without data if the category was never ingested).
+ * @param {object} category - Category definition from the registry
+ * @param {object} collections - { articles, cache, entities } MongoDB
+ *   collections (optional)
+ * @param {object} options - Adapter options (e.g. newsApiKey)
+ * @returns {Promise<object[]>} - One primary article per story cluster
+ */
+async function ingestCategory(category, collections, options) {
+  const key = getSnapshotKey(category.slug);
+  let articles;
+
+  try {
+    articles = await fetchFromSources(category.sources, category.slug, options);
+  } catch (error) {
+    if (collections.cache) {
+      await collections.cache
+        .updateOne(
+          { key },
+          {
+            $set: {
+              key,
+              category: category.slug,
+              lastAttemptAt: new Date(),
+              lastError: error.message,
+            },
+          },
+          { upsert: true }
+        )
+        .catch((err) => console.error("Error recording ingest failure:", err));
+    }
+    throw error;
+  }
+
+  // Group near-duplicates, reusing clusters of recently stored articles
+  let recent = [];
+  if (collections.articles) {
+    recent = await collections.articles
+      .find({ clusterId: { $exists: true } })
+      .sort({ lastSeenAt: -1 })
+      .limit(CLUSTER_CANDIDATE_LIMIT)
+      .project({ url: 1, title: 1, description: 1, source: 1, clusterId: 1 })
+      .toArray();
+  }
+  assignClusters(articles, recent);
+
+  if (collections.articles && articles.length > 0) {
+    // Save individual articles for later lookup
+    const now = new Date();
+    const operations = articles.map((article) => ({
+      updateOne: {
+        filter: { url: article.url }, // 'url' is the unique ID
+        update: {
+          $set: { ...article, lastSeenAt: now },
+          // An article can appear in several categories' feeds
+          $addToSet: { categories: category.slug },
+        },
+        upsert: true,
+      },
+    }));
+    await collections.articles.bulkWrite(operations);
+    await updateClusterPrimaries(
+      [...new Set(articles.map((article) => article.clusterId))],
+      collections.articles
+    );
+    // Recommendations are a nice-to-have; never fail the ingest over them
+    await updateRelated(
+      articles.map((article) => article.url),
+      collections.articles
+    ).catch((error) =>
+      console.error("Error updating related articles:", error.message)
+    );
+    if (collections.entities) {
+      await updateEntities(
+        articles.map((article) => article.url),
+        collections
+      ).catch((error) =>
+        console.error("Error updating entities:", error.message)
+      );
+    }
+  }
+
+  const stories = collapseClusters(articles, recent);
+
+  if (collections.cache) {
+    const now = new Date();
+    await collections.cache.updateOne(
+      { key },
+      {
+        $set: {
+          key,
+          category: category.slug,
+          data: stories,
+          updatedAt: now,
+          lastAttemptAt: now,
+          lastError: null,
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  console.log(
+    `[INGEST] ${category.slug}: stored ${articles.length} articles in ${stories.length} stories`
+  );
+  return stories;
+}
+
+/**
+ * Like ingestCategory, but concurrent calls for the same category
+ * share a single upstream fetch.
+ */
+function refreshCategory(category, collections, options) {
+  if (inFlight.has(category.slug)) return inFlight.get(category.slug);
+
+  const promise = ingestCategory(category, collections, options).finally(() =>
+    inFlight.delete(category.slug)
+  );
+  inFlight.set(category.slug, promise);
+  return promise;
+}
+
+/**
+ * @param {string} slug - Category slug
+ * @returns {boolean} - Whether a refresh is currently running
+ */
+function isRefreshing(slug) {
+  return inFlight.has(slug);
+}
+
+module.exports = {
+  getSnapshotKey,
+  getRefreshIntervalMs,
+  getSnapshot,
+  getRetryDelayMs,
+  describeSnapshot,
+  updateClusterPrimaries,
+  ingestCategory,
+  refreshCategory,
+  isRefreshing,
+};
@@ -0,0 +1,114 @@
+/*
+=========================================
+ AI News Hub - Gemini Provider
+=========================================
+Talks to Google's Gemini generateContent endpoints. The API key is
+sent in the x-goog-api-key header, never in the URL (URLs end up in
+logs and error messages).
+*/
+
+const axios = require("axios");
+const { readEventStream } = require("./sse");
+
+const API_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
+
+/**
+ * Gemini uses upper-case OpenAPI type names ("OBJECT", "STRING").
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const converted = { ...schema };
+  if (converted.type) converted.type = converted.type.toUpperCase();
+  if (converted.items) converted.items = toGeminiSchema(converted.items);
+  if (converted.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(converted.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  return converted;
+}
+
+function buildPayload(request, settings) {
+  const payload = {
+    contents: request.messages.map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }],
+    })),
+    generationConfig: { temperature: settings.temperature },
+  };
+  if (request.system) {
+    payload.systemInstruction = { parts: [{ text: request.system }] };
+  }
+  if (settings.maxOutputTokens) {
+    payload.generationConfig.maxOutputTokens = settings.maxOutputTokens;
+  }
+  if (request.json) {
+    payload.generationConfig.responseMimeType = "application/json";
+    if (request.schema) {
+      payload.generationConfig.responseSchema = toGeminiSchema(request.schema);
+    }
+  }
+  return payload;
+}
+
+function candidateText(data) {
+  const candidate = data.candidates && data.candidates[0];
+  if (!candidate || !candidate.content) return "";
+  return (candidate.content.parts || [])
+    .map((part) => part.text || "")
+    .join("");
+}
+
+function requestOptions(settings, extra = {}) {
+  return {
+    timeout: settings.timeoutMs,
+    headers: { "x-goog-api-key": settings.apiKey },
+    ...extra,
+  };
+}
+
+/**
+ * @param {object} request - { system, messages, json, schema }
+ * @param {object} settings - { model, temperature, timeoutMs, apiKey }
+ * @returns {Promise<string>} - The answer text
+ */
+async function generate(request, settings) {
+  const response = await axios.post(
+    `${API_BASE}/${settings.model}:generateContent`,
+    buildPayload(request, settings),
+    requestOptions(settings, { signal: request.signal })
+  );
+  const text = candidateText(response.data);
+  if (!text) throw new Error("AI model returned no answer");
+  return text;
+}
+
+/**
+ * Streams the answer, calling request.onText with each new piece.
+ * @returns {Promise<string>} - The complete answer text
+ */
+async function stream(request, settings) {
+  const response = await axios.post(
+    `${API_BASE}/${settings.model}:streamGenerateContent?alt=sse`,
+    buildPayload(request, settings),
+    requestOptions(settings, { responseType: "stream", signal: request.signal })
+  );
+
+  let answer = "";
+  await readEventStream(
+    response.data,
+    (data) => {
+      const text = candidateText(JSON.parse(data));
+      if (!text) return;
+      answer += text;
+      request.onText(text);
+    },
+    request.signal
+  );
+  return answer;
+}
+
+module.exports = { name: "gemini", generate, stream };
@@ -0,0 +1,296 @@
+/*
+=========================================
+ AI News Hub - LLM Client
+=========================================
+One interface for every AI feature, whichever model serves it:
+  const llm = getLlm("chat");
+  await llm.generate({ system, messages, json, schema });
+  await llm.stream({ system, messages, onText, signal });
+Messages use { role: "user" | "assistant", content }.
+
+Providers: "gemini", "openai" (any OpenAI-compatible server, e.g. a
+local llama.cpp or Ollama) and "mock" (deterministic, offline).
+
+Settings come from config/llm.json (LLM_CONFIG_FILE): 'defaults',
+overridden per feature under 'features'. Environment variables win
+over the file, so models can be swapped without code changes:
+  LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL           - every feature
+  LLM_<FEATURE>_PROVIDER, LLM_<FEATURE>_MODEL,
+  LLM_<FEATURE>_TEMPERATURE, LLM_<FEATURE>_TIMEOUT_MS,
+  LLM_<FEATURE>_RETRIES, LLM_<FEATURE>_MAX_OUTPUT_TOKENS - one feature
+
+Every request counts against a daily token quota shared by all
+features ('dailyTokenQuota', or LLM_DAILY_TOKEN_QUOTA; 0 = unlimited).
+Once it is used up, requests fail with an LlmError whose
+'quotaExceeded' is set until UTC midnight (see ./usage.js).
+*/
+
+const path = require("path");
+
+const { readConfigFile, readEnvNumber } = require("../config");
+const usage = require("./usage");
+
+const PROVIDERS = {
+  gemini: require("./gemini"),
+  openai: require("./openai"),
+  mock: require("./mock"),
+};
+
+const LLM_CONFIG_FILE =
+  process.env.LLM_CONFIG_FILE ||
+  path.join(__dirname, "..", "..", "config", "llm.json");
+const BASE_RETRY_DELAY_MS = 500;
+
+/**
+ * Thrown when a model request fails. 'retryable' marks failures worth
+ * another attempt (rate limits, server errors, timeouts);
+ * 'quotaExceeded' marks requests refused by the daily token quota.
+ */
+class LlmError extends Error {
+  constructor(
+    message,
+    { provider, status = null, retryable = false, quotaExceeded = false } = {}
+  ) {
+    super(message);
+    this.name = "LlmError";
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.quotaExceeded = quotaExceeded;
+  }
+}
+
+let config = null;
+
+function loadConfig() {
+  if (config) return config;
+  config = readConfigFile(LLM_CONFIG_FILE, "LLM settings");
+  config.providers = config.providers || {};
+  config.defaults = config.defaults || {};
+  config.features = config.features || {};
+  return config;
+}
+
+/**
+ * Resolves the settings one feature runs with.
+ * @param {string} feature - e.g. "chat", "summary"
+ * @returns {object} - { feature, provider, model, temperature, timeoutMs,
+ *   retries, maxOutputTokens, baseUrl, apiKey }
+ */
+function resolveSettings(feature) {
+  const { providers, defaults, features } = loadConfig();
+  const prefix = `LLM_${feature.toUpperCase()}_`;
+  const merged = { ...defaults, ...(features[feature] || {}) };
+
+  const provider =
+    process.env[`${prefix}PROVIDER`] ||
+    process.env.LLM_PROVIDER ||
+    merged.provider ||
+    "gemini";
+  const providerConfig = providers[provider] || {};
+
+  // A feature's model only applies to the provider it was chosen for
+  const configuredModel =
+    merged.model && (!merged.provider || merged.provider === provider)
+      ? merged.model
+      : undefined;
+
+  const pick = (...values) => values.find((value) => value !== undefined);
+  return {
+    feature,
+    provider,
+    model:
+      process.env[`${prefix}MODEL`] ||
+      process.env.LLM_MODEL ||
+      configuredModel ||
+      providerConfig.defaultModel,
+    temperature: pick(
+      readEnvNumber(`${prefix}TEMPERATURE`),
+      merged.temperature,
+      0.7
+    ),
+    timeoutMs: pick(
+      readEnvNumber(`${prefix}TIMEOUT_MS`),
+      merged.timeoutMs,
+      30000
+    ),
+    retries: pick(readEnvNumber(`${prefix}RETRIES`), merged.retries, 0),
+    maxOutputTokens: pick(
+      readEnvNumber(`${prefix}MAX_OUTPUT_TOKENS`),
+      merged.maxOutputTokens
+    ),
+    baseUrl: process.env.LLM_BASE_URL || providerConfig.baseUrl,
+    apiKey: providerConfig.apiKeyEnv
+      ? process.env[providerConfig.apiKeyEnv]
+      : undefined,
+  };
+}
+
+/**
+ * Wraps provider failures in an LlmError, noting whether a retry may help.
+ */
+function toLlmError(error, provider) {
+  if (error instanceof LlmError || error.name === "AbortError") return error;
+  if (error.name === "CanceledError" || error.code === "ERR_CANCELED") {
+    const aborted = new Error("Cancelled");
+    aborted.name = "AbortError";
+    return aborted;
+  }
+
+  const status = error.response ? error.response.status : null;
+  const retryable =
+    status === 429 || status >= 500 || (!status && Boolean(error.code)); // Timeouts, resets, DNS failures
+  return new LlmError(
+    `${provider} request failed: ${
+      status ? `HTTP ${status}` : error.code || error.message
+    }`,
+    { provider, status, retryable }
+  );
+}
+
+async function withRetries(settings, attempt, canRetry = () => true) {
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt();
+    } catch (rawError) {
+      const error = toLlmError(rawError, settings.provider);
+      if (!error.retryable || tries >= settings.retries || !canRetry()) {
+        throw error;
+      }
+      const delay = BASE_RETRY_DELAY_MS * 2 ** tries;
+      console.warn(
+        `[LLM] ${settings.feature}: ${error.message}, retrying in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// --- Daily Quota ---
+
+/**
+ * @returns {number} - Daily AI token quota (0 = unlimited)
+ */
+function getDailyTokenQuota() {
+  const fromEnv = readEnvNumber("LLM_DAILY_TOKEN_QUOTA");
+  if (fromEnv !== undefined) return fromEnv;
+  return Number(loadConfig().dailyTokenQuota) || 0;
+}
+
+/**
+ * @returns {Promise<object>} - Today's usage: { day, tokens, byFeature,
+ *   quota, exceeded, resetsInSeconds }
+ */
+function getAiUsage() {
+  return usage.getUsage(getDailyTokenQuota());
+}
+
+async function isAiQuotaExceeded() {
+  return (await getAiUsage()).exceeded;
+}
+
+async function assertWithinQuota(settings) {
+  if (await isAiQuotaExceeded()) {
+    throw new LlmError("Daily AI quota used up", {
+      provider: settings.provider,
+      quotaExceeded: true,
+    });
+  }
+}
+
+/**
+ * Returns the client a feature should use.
+ * @param {string} feature - e.g. "chat", "summary"
+ * @returns {object} - { provider, model, generate(request), stream(request) }
+ */
+function getLlm(feature) {
+  const settings = resolveSettings(feature);
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new LlmError(`Unknown LLM provider: ${settings.provider}`, {
+      provider: settings.provider,
+    });
+  }
+
+  return {
+    provider: settings.provider,
+    model: settings.model,
+
+    /**
+     * @param {object} request - { system, messages, json, schema, signal }
+     * @returns {Promise<string>} - The answer text
+     */
+    async generate(request) {
+      await assertWithinQuota(settings);
+      const answer = await withRetries(settings, () =>
+        provider.generate(request, settings)
+      );
+      await usage.recordUsage(
+        feature,
+        usage.estimateRequestTokens(request, answer)
+      );
+      return answer;
+    },
+
+    /**
+     * Streams an answer; only retried until the first text arrives,
+     * so the reader never sees a repeated beginning.
+     * @param {object} request - { system, messages, onText, signal }
+     * @returns {Promise<string>} - The complete answer text
+     */
+    async stream(request) {
+      await assertWithinQuota(settings);
+      let answer = "";
+      const tracked = {
+        ...request,
+        onText: (text) => {
+          answer += text;
+          request.onText(text);
+        },
+      };
+      try {
+        return await withRetries(
+          settings,
+          () => provider.stream(tracked, settings),
+          () => answer === ""
+        );
+      } finally {
+        // Cancelled and failed answers still cost what was generated
+        await usage.recordUsage(
+          feature,
+          usage.estimateRequestTokens(request, answer)
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Lists API keys the configured features need but don't have.
+ * @param {string[]} features - Feature names to check
+ * @returns {string[]} - Names of missing environment variables
+ */
+function findMissingApiKeys(features) {
+  const { providers } = loadConfig();
+  const missing = new Set();
+  features.forEach((feature) => {
+    const settings = resolveSettings(feature);
+    const providerConfig = providers[settings.provider] || {};
+    // Local OpenAI-compatible servers usually need no key
+    if (providerConfig.apiKeyRequired && !settings.apiKey) {
+      missing.add(providerConfig.apiKeyEnv);
+    }
+  });
+  return [...missing];
+}
+
+module.exports = {
+  LlmError,
+  resolveSettings,
+  getLlm,
+  findMissingApiKeys,
+  getDailyTokenQuota,
+  getAiUsage,
+  isAiQuotaExceeded,
+  useUsageCollection: usage.useUsageCollection,
+};
@@ -0,0 +1,146 @@
+/*
+=========================================
+ AI News Hub - Mock LLM Provider
+=========================================
+A deterministic stand-in for a real model, for development and
+offline use. It never calls the network:
+- Text answers quote the sentences of the prompt that best match the
+  last user message, citing "[n]" numbered paragraphs if there are any.
+- JSON answers are built from the requested schema, filling strings
+  and string lists with sentences from the last user message.
+The same request always produces the same answer.
+*/
+
+const { tokenize } = require("../text");
+
+const STREAM_DELAY_MS = 15;
+
+function splitSentences(text) {
+  return (String(text || "").match(/[^.!?\n]+[.!?]?/g) || [])
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.split(/\s+/).length >= 4);
+}
+
+function lastUserMessage(request) {
+  const users = request.messages.filter((message) => message.role === "user");
+  return users.length > 0 ? users[users.length - 1].content : "";
+}
+
+/**
+ * Splits the prompt into sentences, remembering which numbered
+ * paragraph ("[n] ...") each came from so answers can cite it.
+ */
+function contextSentences(request) {
+  const context = [request.system, ...request.messages.map((m) => m.content)]
+    .filter(Boolean)
+    .join("\n\n");
+
+  // Blocks are separated by blank lines or start with a paragraph number
+  return context.split(/\n\s*\n|\n(?=\[\d+\] )/).flatMap((block) => {
+    const numbered = block.match(/^\[(\d+)\]\s+([\s\S]*)$/);
+    const paragraph = numbered ? Number(numbered[1]) : null;
+    return splitSentences(numbered ? numbered[2] : block).map((sentence) => ({
+      sentence,
+      paragraph,
+    }));
+  });
+}
+
+/**
+ * Picks the sentences of the prompt sharing the most words with the
+ * question, citing their paragraph numbers when the prompt has them.
+ */
+function answerFromContext(request) {
+  const question = lastUserMessage(request);
+  const questionTerms = new Set(tokenize(question));
+
+  const ranked = contextSentences(request)
+    .filter((entry) => entry.sentence !== question.trim())
+    .map((entry, index) => ({
+      ...entry,
+      index,
+      score: tokenize(entry.sentence).filter((term) => questionTerms.has(term))
+        .length,
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, 2)
+    .map((entry) =>
+      entry.paragraph
+        ? `${entry.sentence.replace(/[.!?]$/, "")} [${entry.paragraph}].`
+        : entry.sentence
+    );
+
+  return ranked.length > 0
+    ? `[mock] ${ranked.join(" ")}`
+    : "[mock] I could not find anything about that in the provided text.";
+}
+
+/**
+ * Builds a value matching a (JSON-schema style) schema from sentences.
+ */
+function fillSchema(schema, sentences, cursor) {
+  const next = () => {
+    const sentence = sentences.length
+      ? sentences[cursor.index % sentences.length]
+      : "Mock answer.";
+    cursor.index++;
+    return sentence;
+  };
+
+  switch ((schema && schema.type) || "string") {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [
+          key,
+          fillSchema(value, sentences, cursor),
+        ])
+      );
+    case "array":
+      return Array.from({ length: schema.minItems || 3 }, () =>
+        fillSchema(schema.items, sentences, cursor)
+      );
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    default:
+      return next();
+  }
+}
+
+/**
+ * @param {object} request - { system, messages, json, schema }
+ * @returns {Promise<string>} - The answer text
+ */
+async function generate(request) {
+  if (request.json) {
+    const sentences = splitSentences(lastUserMessage(request));
+    return JSON.stringify(
+      fillSchema(request.schema || { type: "object" }, sentences, { index: 0 })
+    );
+  }
+  return answerFromContext(request);
+}
+
+/**
+ * Streams the mock answer word by word.
+ * @returns {Promise<string>} - The complete answer text
+ */
+async function stream(request) {
+  const answer = await generate(request);
+  const pieces = answer.match(/\S+\s*/g) || [];
+  for (const piece of pieces) {
+    if (request.signal && request.signal.aborted) {
+      const error = new Error("Cancelled");
+      error.name = "AbortError";
+      throw error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+    request.onText(piece);
+  }
+  return answer;
+}
+
+module.exports = { name: "mock", generate, stream };
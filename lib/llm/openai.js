@@ -0,0 +1,91 @@
+/*
+=========================================
+ AI News Hub - OpenAI-Compatible Provider
+=========================================
+Talks to any server implementing the OpenAI /chat/completions API:
+OpenAI itself, or local servers such as llama.cpp's llama-server,
+Ollama (http://localhost:11434/v1) or vLLM. The base URL comes from
+config/llm.json or LLM_BASE_URL.
+*/
+
+const axios = require("axios");
+const { readEventStream } = require("./sse");
+
+function buildPayload(request, settings) {
+  const messages = request.messages.map((message) => ({
+    role: message.role,
+    content: message.content,
+  }));
+  if (request.system) {
+    messages.unshift({ role: "system", content: request.system });
+  }
+
+  const payload = {
+    model: settings.model,
+    messages,
+    temperature: settings.temperature,
+  };
+  if (settings.maxOutputTokens) payload.max_tokens = settings.maxOutputTokens;
+  if (request.json) {
+    // Not every server enforces schemas, so the prompt must describe the
+    // shape too; json_object is widely supported
+    payload.response_format = { type: "json_object" };
+  }
+  return payload;
+}
+
+function requestOptions(settings, extra = {}) {
+  const headers = {};
+  if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+  return { timeout: settings.timeoutMs, headers, ...extra };
+}
+
+function endpoint(settings) {
+  return `${settings.baseUrl.replace(/\/+$/, "")}/chat/completions`;
+}
+
+/**
+ * @param {object} request - { system, messages, json, schema }
+ * @param {object} settings - { model, temperature, timeoutMs, baseUrl, apiKey }
+ * @returns {Promise<string>} - The answer text
+ */
+async function generate(request, settings) {
+  const response = await axios.post(
+    endpoint(settings),
+    buildPayload(request, settings),
+    requestOptions(settings, { signal: request.signal })
+  );
+  const choice = response.data.choices && response.data.choices[0];
+  const text = choice && choice.message && choice.message.content;
+  if (!text) throw new Error("AI model returned no answer");
+  return text;
+}
+
+/**
+ * Streams the answer, calling request.onText with each new piece.
+ * @returns {Promise<string>} - The complete answer text
+ */
+async function stream(request, settings) {
+  const response = await axios.post(
+    endpoint(settings),
+    { ...buildPayload(request, settings), stream: true },
+    requestOptions(settings, { responseType: "stream", signal: request.signal })
+  );
+
+  let answer = "";
+  await readEventStream(
+    response.data,
+    (data) => {
+      if (data === "[DONE]") return;
+      const choice = JSON.parse(data).choices[0];
+      const text = choice && choice.delta && choice.delta.content;
+      if (!text) return;
+      answer += text;
+      request.onText(text);
+    },
+    request.signal
+  );
+  return answer;
+}
+
+module.exports = { name: "openai", generate, stream };
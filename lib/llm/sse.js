@@ -0,0 +1,68 @@
+/*
+=========================================
+ AI News Hub - LLM Stream Reader
+=========================================
+Reads a Server-Sent Events response body (as streamed by Gemini and
+OpenAI-compatible servers) and hands each event's data to a callback.
+*/
+
+/**
+ * @param {object} stream - Node readable stream (axios responseType "stream")
+ * @param {Function} onData - Called with each event's 'data' string
+ * @param {AbortSignal} [signal] - Stops reading when aborted
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+function readEventStream(stream, onData, signal) {
+  return new Promise((resolve, reject) => {
+    let buffer = "";
+
+    const handleEvent = (event) => {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.substring(5).trim())
+        .join("");
+      if (data) onData(data);
+    };
+
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          stream.destroy();
+          const error = new Error("Cancelled");
+          error.name = "AbortError";
+          reject(error);
+        },
+        { once: true }
+      );
+    }
+
+    // Decode as text here so multi-byte characters split across
+    // chunks stay intact
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      buffer += chunk;
+      // Events are separated by a blank line
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      try {
+        events.forEach(handleEvent);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on("end", () => {
+      try {
+        if (buffer.trim()) handleEvent(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on("error", reject);
+  });
+}
+
+module.exports = { readEventStream };
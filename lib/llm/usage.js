@@ -0,0 +1,130 @@
+/*
+=========================================
+ AI News Hub - AI Token Quota
+=========================================
+Counts the tokens every AI feature uses per UTC day and enforces a
+daily quota, so a busy day (or an abusive client) can't run up an
+unbounded model bill. Counts are estimates (see estimateTokens in
+lib/text.js) of prompt plus answer.
+
+Usage lives in memory, and also in the 'aiUsage' collection once
+useUsageCollection() is called, so the count survives restarts and
+is shared by every server instance:
+  { _id: "2024-05-01", tokens, byFeature: { chat, summary, ... },
+    updatedAt }
+*/
+
+const { estimateTokens } = require("../text");
+
+// Day documents are kept this long for reporting, then expire
+const USAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+let usageCollection = null;
+const memoryUsage = new Map(); // day -> { tokens, byFeature }
+
+function currentDay(now = new Date()) {
+  return now.toISOString().substring(0, 10);
+}
+
+/**
+ * @param {Date} [now] - Reference time
+ * @returns {number} - Seconds until the quota resets (UTC midnight)
+ */
+function secondsUntilReset(now = new Date()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+/**
+ * Stores usage in MongoDB from now on.
+ * @param {object} collection - MongoDB aiUsage collection
+ */
+async function useUsageCollection(collection) {
+  await collection.createIndex(
+    { updatedAt: 1 },
+    { expireAfterSeconds: USAGE_TTL_SECONDS }
+  );
+  usageCollection = collection;
+}
+
+/**
+ * Estimates the tokens one model request used.
+ * @param {object} request - { system, messages }
+ * @param {string} answer - The answer text (possibly partial)
+ * @returns {number}
+ */
+function estimateRequestTokens(request, answer) {
+  const prompt = [
+    request.system,
+    ...(request.messages || []).map((m) => m.content),
+  ].join("\n");
+  return estimateTokens(prompt) + estimateTokens(answer);
+}
+
+/**
+ * Adds to today's count.
+ * @param {string} feature - e.g. "chat"
+ * @param {number} tokens - Tokens used
+ */
+async function recordUsage(feature, tokens) {
+  if (!tokens) return;
+  const day = currentDay();
+  const usage = memoryUsage.get(day) || { tokens: 0, byFeature: {} };
+  usage.tokens += tokens;
+  usage.byFeature[feature] = (usage.byFeature[feature] || 0) + tokens;
+  // Only today matters for the quota
+  memoryUsage.clear();
+  memoryUsage.set(day, usage);
+
+  if (!usageCollection) return;
+  await usageCollection
+    .updateOne(
+      { _id: day },
+      {
+        $inc: { tokens, [`byFeature.${feature}`]: tokens },
+        $set: { updatedAt: new Date() },
+      },
+      { upsert: true }
+    )
+    .catch((error) =>
+      console.error("[LLM] Failed to record AI usage:", error.message)
+    );
+}
+
+/**
+ * @param {number} quota - Daily token quota (0 = unlimited)
+ * @returns {Promise<object>} - { day, tokens, byFeature, quota, exceeded,
+ *   resetsInSeconds }
+ */
+async function getUsage(quota) {
+  const day = currentDay();
+  let usage = memoryUsage.get(day) || { tokens: 0, byFeature: {} };
+  if (usageCollection) {
+    try {
+      const stored = await usageCollection.findOne({ _id: day });
+      if (stored) {
+        usage = { tokens: stored.tokens, byFeature: stored.byFeature };
+      }
+    } catch (error) {
+      console.error("[LLM] Failed to read AI usage:", error.message);
+    }
+  }
+
+  return {
+    day,
+    tokens: usage.tokens,
+    byFeature: usage.byFeature || {},
+    quota,
+    exceeded: quota > 0 && usage.tokens >= quota,
+    resetsInSeconds: secondsUntilReset(),
+  };
+}
+
+module.exports = {
+  secondsUntilReset,
+  useUsageCollection,
+  estimateRequestTokens,
+  recordUsage,
+  getUsage,
+};
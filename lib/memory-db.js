@@ -0,0 +1,862 @@
+/*
+=========================================
+ AI News Hub - In-Memory Database
+=========================================
+A stand-in for a MongoDB database that lives in the server's memory,
+used by demo mode (see lib/demo.js) and whenever MongoDB is missing or
+unreachable (see lib/storage.js). Nothing survives a restart.
+
+  const db = createMemoryDb("ai-news-hub", { maxDocuments, ttlSeconds });
+  const articles = db.collection("articles");
+
+Each collection can be bounded: past 'maxDocuments' the least recently
+used documents are evicted, and documents not written for 'ttlSeconds'
+expire (0, the default, means no limit).
+
+It implements the part of the driver's collection API this codebase
+uses, with the same results:
+- find() cursors (project, sort, skip, limit, toArray), findOne,
+  countDocuments
+- insertOne, updateOne/updateMany (with upsert), deleteOne/deleteMany,
+  bulkWrite of updateOne/updateMany/insertOne/deleteOne operations
+- createIndex/dropIndex: unique indexes are enforced, TTL indexes
+  (expireAfterSeconds) expire documents and a text index enables $text
+- Query operators: $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists,
+  $regex/$options, $or, $and, $nor, $text (with {$meta: "textScore"})
+- Update operators: $set, $unset, $setOnInsert, $inc, $push ($each,
+  $slice) and $addToSet ($each)
+Dotted paths reach into embedded documents and arrays of them, and a
+query on an array field matches any of its elements, as in MongoDB.
+*/
+
+const { ObjectId } = require("mongodb");
+const { tokenize } = require("./text");
+
+/**
+ * Thrown for queries or updates MongoDB would also reject.
+ * 'code' mirrors the server's error codes (11000 = duplicate key).
+ */
+class MemoryDbError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "MemoryDbError";
+    this.code = code;
+  }
+}
+
+// --- Values ---
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof ObjectId) &&
+    !(value instanceof RegExp)
+  );
+}
+
+function isOperatorObject(value) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((key) => key.startsWith("$"))
+  );
+}
+
+/**
+ * Copies a value the way a round trip through the database would, so
+ * callers never share objects with the store.
+ */
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId || value instanceof RegExp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      // The driver leaves out undefined fields
+      if (item !== undefined) copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) {
+    // A query for null also matches a missing field
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  }
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => valuesEqual(item, b[index]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a).filter((key) => a[key] !== undefined);
+    const otherKeys = Object.keys(b).filter((key) => b[key] !== undefined);
+    return (
+      keys.length === otherKeys.length &&
+      keys.every((key, index) => key === otherKeys[index]) &&
+      keys.every((key) => valuesEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+// BSON comparison order, for sorting and range queries across types
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  if (isPlainObject(value)) return 4;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  return 10;
+}
+
+function compareValues(a, b) {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (a instanceof ObjectId) {
+    return a.toHexString() < b.toHexString() ? -1 : a.equals(b) ? 0 : 1;
+  }
+  if (a === null || a === undefined) return 0;
+  if (typeof a === "object") {
+    const left = JSON.stringify(a);
+    const right = JSON.stringify(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// --- Paths ---
+
+/**
+ * Every value a dotted path reaches. Arrays met along the way fan out,
+ * so "entities.slug" reaches the slug of each entity.
+ */
+function resolvePath(value, parts) {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    const [first, ...rest] = parts;
+    if (/^\d+$/.test(first)) return resolvePath(value[Number(first)], rest);
+    return value.flatMap((item) =>
+      isPlainObject(item) ? resolvePath(item, parts) : []
+    );
+  }
+  if (!isPlainObject(value)) return [undefined];
+  return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+function getField(document, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      document
+    );
+}
+
+function setField(document, path, value) {
+  const parts = path.split(".");
+  let target = document;
+  parts.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetField(document, path) {
+  const parts = path.split(".");
+  const target =
+    parts.length > 1
+      ? getField(document, parts.slice(0, -1).join("."))
+      : document;
+  if (target && typeof target === "object") {
+    delete target[parts[parts.length - 1]];
+  }
+}
+
+// --- Queries ---
+
+function toRegExp(pattern, options) {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(pattern, options || "");
+}
+
+/**
+ * Whether one of a field's values satisfies a condition.
+ * Array values match when the array itself or any element does.
+ */
+function matchesCondition(values, condition) {
+  if (condition instanceof RegExp) {
+    return expand(values).some(
+      (value) => typeof value === "string" && condition.test(value)
+    );
+  }
+  if (!isOperatorObject(condition)) {
+    return values.some(
+      (value) =>
+        valuesEqual(value, condition) ||
+        (Array.isArray(value) &&
+          value.some((item) => valuesEqual(item, condition)))
+    );
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return matchesCondition(values, operand);
+      case "$ne":
+        return !matchesCondition(values, operand);
+      case "$in":
+        return operand.some((item) => matchesCondition(values, item));
+      case "$nin":
+        return !operand.some((item) => matchesCondition(values, item));
+      case "$gt":
+        return compareSome(values, operand, (order) => order > 0);
+      case "$gte":
+        return compareSome(values, operand, (order) => order >= 0);
+      case "$lt":
+        return compareSome(values, operand, (order) => order < 0);
+      case "$lte":
+        return compareSome(values, operand, (order) => order <= 0);
+      case "$exists":
+        return values.some((value) => value !== undefined) === Boolean(operand);
+      case "$regex": {
+        const pattern = toRegExp(operand, condition.$options);
+        return expand(values).some(
+          (value) => typeof value === "string" && pattern.test(value)
+        );
+      }
+      case "$options":
+        return true;
+      case "$not":
+        return !matchesCondition(values, operand);
+      case "$size":
+        return values.some(
+          (value) => Array.isArray(value) && value.length === operand
+        );
+      default:
+        throw new MemoryDbError(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+function expand(values) {
+  return values.flatMap((value) => (Array.isArray(value) ? value : [value]));
+}
+
+// Range operators only compare values of the same type, as in MongoDB
+function compareSome(values, operand, test) {
+  return expand(values).some(
+    (value) =>
+      value !== undefined &&
+      typeRank(value) === typeRank(operand) &&
+      test(compareValues(value, operand))
+  );
+}
+
+function matchesFilter(document, filter) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) => matchesFilter(document, part));
+      case "$or":
+        return condition.some((part) => matchesFilter(document, part));
+      case "$nor":
+        return !condition.some((part) => matchesFilter(document, part));
+      case "$text":
+        // Checked (and scored) separately, see scoreText()
+        return true;
+      default:
+        return matchesCondition(
+          resolvePath(document, key.split(".")),
+          condition
+        );
+    }
+  });
+}
+
+// --- Text Search ---
+
+// A light stemmer so "elections" finds "election", roughly as
+// MongoDB's language-aware stemming would
+function stem(word) {
+  return word
+    .replace(/ies$/, "y")
+    .replace(/(ss|us|is)$/, "$1_")
+    .replace(/(?:es|s)$/, "")
+    .replace(/_$/, "")
+    .replace(/(.{3,})(?:ing|ed)$/, "$1");
+}
+
+function stemTokens(text) {
+  return tokenize(text).map(stem);
+}
+
+/**
+ * Splits a $search string into terms, "quoted phrases" and -negations.
+ */
+function parseTextSearch(search) {
+  const phrases = [];
+  const rest = String(search || "").replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return " ";
+  });
+  const terms = [];
+  const negated = [];
+  rest.split(/\s+/).forEach((word) => {
+    if (word.startsWith("-")) negated.push(...stemTokens(word.slice(1)));
+    else terms.push(...stemTokens(word));
+  });
+  return { terms: [...new Set(terms)], phrases, negated };
+}
+
+/**
+ * Scores a document for a $text query, or returns 0 if it doesn't match.
+ * Each term found in a field adds the field's weight, a little more
+ * the denser the term is in that field.
+ */
+function scoreText(document, search, textIndex) {
+  const fields = Object.entries(textIndex.weights).map(([path, weight]) => {
+    const text = resolvePath(document, path.split("."))
+      .flat()
+      .filter((value) => typeof value === "string")
+      .join(" ");
+    return { text, tokens: stemTokens(text), weight };
+  });
+
+  const allText = fields.map((field) => field.text.toLowerCase()).join(" ");
+  if (!search.phrases.every((phrase) => allText.includes(phrase))) return 0;
+  const allTokens = new Set(fields.flatMap((field) => field.tokens));
+  if (search.negated.some((term) => allTokens.has(term))) return 0;
+
+  let score = 0;
+  search.terms.forEach((term) => {
+    fields.forEach(({ tokens, weight }) => {
+      const count = tokens.filter((token) => token === term).length;
+      if (count > 0) score += weight * (0.5 + (0.5 * count) / tokens.length);
+    });
+  });
+  // Phrase-only searches still need to rank their matches
+  if (score === 0 && search.terms.length === 0 && search.phrases.length) {
+    score = 1;
+  }
+  return score;
+}
+
+// --- Projection & Sorting ---
+
+function isMetaScore(value) {
+  return isPlainObject(value) && value.$meta === "textScore";
+}
+
+function applyProjection(document, projection, score) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return clone(document);
+  }
+
+  const entries = Object.entries(projection);
+  const fields = entries.filter(
+    ([key, value]) => key !== "_id" && !isMetaScore(value)
+  );
+  const inclusive = fields.some(([, value]) => Boolean(value));
+  const includeId = projection._id === undefined || Boolean(projection._id);
+
+  let result;
+  if (inclusive) {
+    result = {};
+    if (includeId && document._id !== undefined) result._id = document._id;
+    fields.forEach(([path, value]) => {
+      if (!value) return;
+      const found = getField(document, path);
+      if (found !== undefined) setField(result, path, found);
+    });
+  } else {
+    result = clone(document);
+    fields.forEach(([path]) => unsetField(result, path));
+    if (!includeId) delete result._id;
+  }
+
+  entries.forEach(([key, value]) => {
+    if (isMetaScore(value)) result[key] = score;
+  });
+  return clone(result);
+}
+
+function sortValue(document, path) {
+  const values = expand(resolvePath(document, path.split(".")));
+  return values.length > 0 ? values[0] : undefined;
+}
+
+function compareBySort(sort, scores) {
+  const keys = Object.entries(sort || {});
+  return (a, b) => {
+    for (const [path, direction] of keys) {
+      const order = isMetaScore(direction)
+        ? scores.get(b) - scores.get(a)
+        : compareValues(sortValue(a, path), sortValue(b, path)) *
+          (direction < 0 ? -1 : 1);
+      if (order !== 0) return order;
+    }
+    return 0;
+  };
+}
+
+// --- Updates ---
+
+function applyUpdate(document, update, isInsert) {
+  const operators = Object.keys(update);
+  if (operators.length === 0 || !operators.every((op) => op.startsWith("$"))) {
+    throw new MemoryDbError("Update documents must only use operators");
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (path === "_id" && operator !== "$setOnInsert" && !isInsert) {
+        if (valuesEqual(document._id, value)) continue;
+        throw new MemoryDbError("Performing an update on _id is not allowed");
+      }
+      switch (operator) {
+        case "$set":
+          setField(document, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setField(document, path, clone(value));
+          break;
+        case "$unset":
+          unsetField(document, path);
+          break;
+        case "$inc":
+          setField(document, path, (getField(document, path) || 0) + value);
+          break;
+        case "$push": {
+          const list = getField(document, path) || [];
+          const each = isPlainObject(value) && value.$each;
+          let updated = [...list, ...clone(each || [value])];
+          if (each && value.$slice !== undefined) {
+            updated =
+              value.$slice < 0
+                ? updated.slice(value.$slice)
+                : updated.slice(0, value.$slice);
+          }
+          setField(document, path, updated);
+          break;
+        }
+        case "$addToSet": {
+          const list = [...(getField(document, path) || [])];
+          const each = isPlainObject(value) && value.$each;
+          (each || [value]).forEach((item) => {
+            if (!list.some((existing) => valuesEqual(existing, item))) {
+              list.push(clone(item));
+            }
+          });
+          setField(document, path, list);
+          break;
+        }
+        default:
+          throw new MemoryDbError(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+}
+
+/**
+ * The document an upsert starts from: the filter's equality fields.
+ */
+function seedFromFilter(filter) {
+  const seed = {};
+  Object.entries(filter || {}).forEach(([key, condition]) => {
+    if (key === "$and") {
+      condition.forEach((part) => Object.assign(seed, seedFromFilter(part)));
+    } else if (!key.startsWith("$")) {
+      if (!isOperatorObject(condition)) setField(seed, key, clone(condition));
+      else if (condition.$eq !== undefined) {
+        setField(seed, key, clone(condition.$eq));
+      }
+    }
+  });
+  return seed;
+}
+
+// --- Collections ---
+
+function indexName(keys) {
+  return Object.entries(keys)
+    .map(([key, value]) => `${key}_${value}`)
+    .join("_");
+}
+
+function createMemoryCollection(name, limits) {
+  let documents = [];
+  const indexes = new Map([["_id_", { keys: { _id: 1 }, unique: true }]]);
+  // Per document: { usedAt (a counter, for LRU), writtenAt (ms) }
+  const usage = new WeakMap();
+  let clock = 0;
+
+  function touch(document, written) {
+    const previous = usage.get(document);
+    usage.set(document, {
+      usedAt: ++clock,
+      writtenAt: written || !previous ? Date.now() : previous.writtenAt,
+    });
+  }
+
+  function evictLeastRecentlyUsed() {
+    if (!limits.maxDocuments) return;
+    while (documents.length > limits.maxDocuments) {
+      let oldest = 0;
+      documents.forEach((document, index) => {
+        if (usage.get(document).usedAt < usage.get(documents[oldest]).usedAt) {
+          oldest = index;
+        }
+      });
+      documents.splice(oldest, 1);
+    }
+  }
+
+  // TTL indexes: documents expire expireAfterSeconds after their date.
+  // The collection's own ttlSeconds counts from the last write.
+  function removeExpired() {
+    const now = Date.now();
+    if (limits.ttlSeconds) {
+      documents = documents.filter(
+        (document) =>
+          usage.get(document).writtenAt + limits.ttlSeconds * 1000 > now
+      );
+    }
+    indexes.forEach((index) => {
+      if (index.expireAfterSeconds === undefined) return;
+      const [field] = Object.keys(index.keys);
+      documents = documents.filter((document) => {
+        const value = getField(document, field);
+        return !(
+          value instanceof Date &&
+          value.getTime() + index.expireAfterSeconds * 1000 <= now
+        );
+      });
+    });
+  }
+
+  function getTextIndex() {
+    return [...indexes.values()].find((index) => index.weights);
+  }
+
+  /**
+   * The stored documents a filter matches, with their text scores.
+   */
+  function select(filter) {
+    removeExpired();
+    const scores = new Map();
+    let matches = documents.filter((document) =>
+      matchesFilter(document, filter)
+    );
+
+    if (filter && filter.$text) {
+      const textIndex = getTextIndex();
+      if (!textIndex) {
+        throw new MemoryDbError("text index required for $text query", 27);
+      }
+      const search = parseTextSearch(filter.$text.$search);
+      matches = matches.filter((document) => {
+        const score = scoreText(document, search, textIndex);
+        scores.set(document, score);
+        return score > 0;
+      });
+    }
+    return { matches, scores };
+  }
+
+  function assertUnique(candidate, ignore) {
+    indexes.forEach((index, key) => {
+      if (!index.unique) return;
+      const fields = Object.keys(index.keys);
+      const values = fields.map((field) => getField(candidate, field));
+      const clash = documents.some(
+        (document) =>
+          document !== ignore &&
+          fields.every((field, i) =>
+            valuesEqual(getField(document, field), values[i])
+          )
+      );
+      if (clash) {
+        throw new MemoryDbError(
+          `E11000 duplicate key error collection: ${name} index: ${key}`,
+          11000
+        );
+      }
+    });
+  }
+
+  function insert(document) {
+    const stored = {
+      _id: document._id === undefined ? new ObjectId() : undefined,
+      ...clone(document),
+    };
+    assertUnique(stored, null);
+    documents.push(stored);
+    touch(stored, true);
+    evictLeastRecentlyUsed();
+    return stored._id;
+  }
+
+  function update(filter, updateSpec, options, many) {
+    const { matches } = select(filter);
+    const targets = many ? matches : matches.slice(0, 1);
+
+    if (targets.length === 0) {
+      if (!options.upsert) {
+        return {
+          acknowledged: true,
+          matchedCount: 0,
+          modifiedCount: 0,
+          upsertedCount: 0,
+          upsertedId: null,
+        };
+      }
+      const created = seedFromFilter(filter);
+      applyUpdate(created, updateSpec, true);
+      const id = insert(created);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: id,
+      };
+    }
+
+    let modifiedCount = 0;
+    targets.forEach((document) => {
+      const updated = clone(document);
+      applyUpdate(updated, updateSpec, false);
+      if (valuesEqual(updated, document)) {
+        // Unchanged, but still recently written as far as the TTL goes
+        touch(document, true);
+        return;
+      }
+      assertUnique(updated, document);
+      documents[documents.indexOf(document)] = updated;
+      touch(updated, true);
+      modifiedCount++;
+    });
+    return {
+      acknowledged: true,
+      matchedCount: targets.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  function remove(filter, many) {
+    const { matches } = select(filter);
+    const doomed = new Set(many ? matches : matches.slice(0, 1));
+    documents = documents.filter((document) => !doomed.has(document));
+    return { acknowledged: true, deletedCount: doomed.size };
+  }
+
+  function find(filter = {}, options = {}) {
+    const state = {
+      projection: options.projection,
+      sort: options.sort,
+      skip: options.skip || 0,
+      limit: options.limit || 0,
+    };
+    const cursor = {
+      project(projection) {
+        state.projection = projection;
+        return cursor;
+      },
+      sort(sort) {
+        state.sort = sort;
+        return cursor;
+      },
+      skip(count) {
+        state.skip = count;
+        return cursor;
+      },
+      limit(count) {
+        state.limit = count;
+        return cursor;
+      },
+      async toArray() {
+        const { matches, scores } = select(filter);
+        const sorted = state.sort
+          ? [...matches].sort(compareBySort(state.sort, scores))
+          : matches;
+        const end = state.limit ? state.skip + state.limit : undefined;
+        return sorted.slice(state.skip, end).map((document) => {
+          touch(document, false);
+          return applyProjection(
+            document,
+            state.projection,
+            scores.get(document)
+          );
+        });
+      },
+      async *[Symbol.asyncIterator]() {
+        yield* await cursor.toArray();
+      },
+    };
+    return cursor;
+  }
+
+  return {
+    collectionName: name,
+    find,
+
+    async findOne(filter = {}, options = {}) {
+      const [document] = await find(filter, { ...options, limit: 1 }).toArray();
+      return document || null;
+    },
+
+    async countDocuments(filter = {}) {
+      return select(filter).matches.length;
+    },
+
+    async insertOne(document) {
+      const id = insert(document);
+      // Like the driver, the caller's document gains its _id
+      if (document._id === undefined) document._id = id;
+      return { acknowledged: true, insertedId: id };
+    },
+
+    async updateOne(filter, updateSpec, options = {}) {
+      return update(filter, updateSpec, options, false);
+    },
+
+    async updateMany(filter, updateSpec, options = {}) {
+      return update(filter, updateSpec, options, true);
+    },
+
+    async deleteOne(filter) {
+      return remove(filter, false);
+    },
+
+    async deleteMany(filter) {
+      return remove(filter, true);
+    },
+
+    async bulkWrite(operations) {
+      const result = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+      };
+      operations.forEach((operation) => {
+        const [type, spec] = Object.entries(operation)[0];
+        if (type === "insertOne") {
+          insert(spec.document);
+          result.insertedCount++;
+          return;
+        }
+        if (type === "deleteOne" || type === "deleteMany") {
+          result.deletedCount += remove(
+            spec.filter,
+            type === "deleteMany"
+          ).deletedCount;
+          return;
+        }
+        if (type !== "updateOne" && type !== "updateMany") {
+          throw new MemoryDbError(`Unsupported bulk operation: ${type}`);
+        }
+        const outcome = update(
+          spec.filter,
+          spec.update,
+          { upsert: spec.upsert },
+          type === "updateMany"
+        );
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        result.upsertedCount += outcome.upsertedCount;
+      });
+      return { acknowledged: true, ...result };
+    },
+
+    async createIndex(keys, options = {}) {
+      const isText = Object.values(keys).includes("text");
+      const nameOf = options.name || indexName(keys);
+      if (isText && getTextIndex() && !indexes.has(nameOf)) {
+        throw new MemoryDbError("A collection can only have one text index");
+      }
+      const index = {
+        keys,
+        unique: Boolean(options.unique),
+        expireAfterSeconds: options.expireAfterSeconds,
+        weights: isText
+          ? Object.fromEntries(
+              Object.keys(keys).map((field) => [
+                field,
+                (options.weights && options.weights[field]) || 1,
+              ])
+            )
+          : undefined,
+      };
+      indexes.set(nameOf, index);
+      try {
+        documents.forEach((document) => assertUnique(document, document));
+      } catch (error) {
+        indexes.delete(nameOf);
+        throw error;
+      }
+      return nameOf;
+    },
+
+    async dropIndex(indexNameToDrop) {
+      if (indexNameToDrop === "_id_" || !indexes.has(indexNameToDrop)) {
+        throw new MemoryDbError(
+          `index not found with name [${indexNameToDrop}]`,
+          27
+        );
+      }
+      indexes.delete(indexNameToDrop);
+    },
+  };
+}
+
+/**
+ * @param {string} [databaseName]
+ * @param {object} [limits] - { maxDocuments, ttlSeconds } per collection
+ * @returns {object} - { databaseName, collection(name) }, like a
+ *   driver Db; collections are created on first use
+ */
+function createMemoryDb(databaseName = "memory", limits = {}) {
+  const collections = new Map();
+  return {
+    databaseName,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createMemoryCollection(name, limits));
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { MemoryDbError, createMemoryDb };
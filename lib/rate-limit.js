@@ -0,0 +1,308 @@
+/*
+=========================================
+ AI News Hub - Rate Limiting
+=========================================
+Token-bucket rate limits per client IP and per rule, so one script
+can't burn the AI quota, flood the suggestions collection or make us
+scrape thousands of URLs. Each rule in config/rate-limits.json
+(RATE_LIMITS_FILE) has:
+  capacity         - requests allowed in a burst
+  refillPerMinute  - how quickly the bucket refills (0 = never, a hard
+                     cap of 'capacity' requests)
+Environment variables override a rule: RATE_LIMIT_<RULE>_CAPACITY,
+RATE_LIMIT_<RULE>_REFILL_PER_MINUTE.
+
+Buckets live in memory, or in the 'rateLimits' collection so limits
+hold across restarts and server instances. 'store' picks one:
+"memory", "mongo" or "auto" (mongo once connected); RATE_LIMIT_STORE
+overrides it. If the store fails, requests are let through rather
+than taking the site down with it.
+
+A stored bucket is deleted once it would be full again, so a hard cap
+is kept in MongoDB for good. The memory store (and the memory fallback
+while MongoDB is down) forgets buckets on restart and when it is full,
+so there a hard cap only holds until then.
+*/
+
+const path = require("path");
+const { readConfigFile, readEnvNumber } = require("./config");
+
+const RATE_LIMITS_FILE =
+  process.env.RATE_LIMITS_FILE ||
+  path.join(__dirname, "..", "config", "rate-limits.json");
+// Memory buckets beyond this are pruned, oldest first
+const MAX_MEMORY_BUCKETS = 10000;
+// Mongo writes are optimistic; give up (and allow) after this many races
+const MAX_WRITE_ATTEMPTS = 3;
+
+let config = null;
+// Resolved rules by name (so an invalid setting is only logged once)
+const rules = new Map();
+
+function loadConfig() {
+  if (config) return config;
+  config = readConfigFile(RATE_LIMITS_FILE, "rate limits");
+  config.rules = config.rules || {};
+  return config;
+}
+
+/**
+ * @param {*} value - A configured setting (undefined if not set)
+ * @param {number} min - The smallest allowed value
+ * @param {string} label - Where it came from, for the log
+ * @returns {number|undefined} - The value, or undefined if it isn't set
+ *   or isn't a number >= min (which is logged)
+ */
+function checkNumber(value, min, label) {
+  if (value === undefined) return undefined;
+  if (typeof value === "number" && Number.isFinite(value) && value >= min) {
+    return value;
+  }
+  console.error(`[RATE-LIMIT] Ignoring invalid ${label}: ${value}`);
+  return undefined;
+}
+
+/**
+ * @param {string} name - Rule name, e.g. "chat"
+ * @returns {object|null} - { name, capacity, refillPerMinute }, or null
+ *   if the rule isn't configured (no limit)
+ */
+function getRule(name) {
+  if (!rules.has(name)) rules.set(name, resolveRule(name));
+  return rules.get(name);
+}
+
+function resolveRule(name) {
+  const configured = loadConfig().rules[name] || {};
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}_`;
+  const capacity =
+    checkNumber(readEnvNumber(`${prefix}CAPACITY`), 1, `${prefix}CAPACITY`) ??
+    checkNumber(configured.capacity, 1, `rules.${name}.capacity`);
+  if (capacity === undefined) return null;
+
+  return {
+    name,
+    capacity,
+    refillPerMinute:
+      checkNumber(
+        readEnvNumber(`${prefix}REFILL_PER_MINUTE`),
+        0,
+        `${prefix}REFILL_PER_MINUTE`
+      ) ??
+      checkNumber(
+        configured.refillPerMinute,
+        0,
+        `rules.${name}.refillPerMinute`
+      ) ??
+      1,
+  };
+}
+
+/**
+ * Refills a bucket for the time since it was last used and takes one
+ * token if there is one.
+ * @param {object|null} bucket - { tokens, updatedAt } or null for a new one
+ * @param {object} rule - From getRule()
+ * @param {Date} now - Current time
+ * @returns {object} - { bucket, allowed, remaining, retryAfterSeconds }
+ *   (retryAfterSeconds is null if the bucket never refills)
+ */
+function takeToken(bucket, rule, now) {
+  const elapsedMinutes = bucket
+    ? Math.max(0, now - new Date(bucket.updatedAt)) / 60000
+    : 0;
+  const available = bucket
+    ? Math.min(
+        rule.capacity,
+        bucket.tokens + elapsedMinutes * rule.refillPerMinute
+      )
+    : rule.capacity;
+
+  if (available >= 1) {
+    return {
+      bucket: { tokens: available - 1, updatedAt: now },
+      allowed: true,
+      remaining: Math.floor(available - 1),
+      retryAfterSeconds: 0,
+    };
+  }
+  return {
+    bucket: { tokens: available, updatedAt: now },
+    allowed: false,
+    remaining: 0,
+    retryAfterSeconds:
+      rule.refillPerMinute > 0
+        ? Math.ceil(((1 - available) / rule.refillPerMinute) * 60)
+        : null,
+  };
+}
+
+// --- Stores ---
+
+/**
+ * Keeps buckets in this process only.
+ * @returns {object} - { name, take(key, rule, now) }
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    name: "memory",
+    async take(key, rule, now) {
+      const result = takeToken(buckets.get(key) || null, rule, now);
+      // Re-insert so the Map stays ordered by last use
+      buckets.delete(key);
+      buckets.set(key, result.bucket);
+      if (buckets.size > MAX_MEMORY_BUCKETS) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * @param {object} bucket - From takeToken()
+ * @param {object} rule - From getRule()
+ * @returns {Date|null} - When the bucket is full again and can be
+ *   forgotten, or null if it never refills
+ */
+function bucketExpiry(bucket, rule) {
+  if (!rule.refillPerMinute) return null;
+  const minutesToFull = (rule.capacity - bucket.tokens) / rule.refillPerMinute;
+  return new Date(bucket.updatedAt.getTime() + minutesToFull * 60000);
+}
+
+/**
+ * Keeps buckets in MongoDB, shared by every server instance.
+ * @param {object} collection - MongoDB rateLimits collection
+ * @returns {object} - { name, take(key, rule, now) }
+ */
+function createMongoStore(collection) {
+  return {
+    name: "mongo",
+    async take(key, rule, now) {
+      for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+        const stored = await collection.findOne({ _id: key });
+        const result = takeToken(stored, rule, now);
+        const update = {
+          tokens: result.bucket.tokens,
+          updatedAt: result.bucket.updatedAt,
+          expiresAt: bucketExpiry(result.bucket, rule),
+        };
+
+        // Only write if nobody else changed the bucket since we read it
+        const write = stored
+          ? await collection.updateOne(
+              { _id: key, updatedAt: stored.updatedAt },
+              { $set: update }
+            )
+          : await collection.updateOne(
+              { _id: key },
+              { $setOnInsert: update },
+              { upsert: true }
+            );
+        const won = stored ? write.matchedCount > 0 : write.upsertedCount > 0;
+        if (won) return result;
+      }
+      console.warn(`[RATE-LIMIT] Too much contention on ${key}, allowing`);
+      return { allowed: true, remaining: 0, retryAfterSeconds: 0 };
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Moves buckets into MongoDB, unless the config pins the memory store.
+ * @param {object} collection - MongoDB rateLimits collection
+ */
+async function useMongoStore(collection) {
+  const wanted = process.env.RATE_LIMIT_STORE || loadConfig().store || "auto";
+  if (wanted === "memory") return;
+
+  // Buckets used to expire a day after their last use, which reset
+  // hard caps too; they now expire once full (see bucketExpiry())
+  await collection.dropIndex("updatedAt_1").catch(() => {});
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  store = createMongoStore(collection);
+  console.log("[RATE-LIMIT] Storing rate limits in MongoDB");
+}
+
+// --- Checking Requests ---
+
+/**
+ * Takes a token from the client's bucket for a rule.
+ * @param {string} ruleName - e.g. "chat"
+ * @param {string} client - Client key (IP address)
+ * @returns {Promise<object>} - { allowed, limit, remaining,
+ *   retryAfterSeconds }
+ */
+async function consume(ruleName, client) {
+  const rule = getRule(ruleName);
+  if (!rule) return { allowed: true, limit: null, remaining: null };
+
+  try {
+    const { allowed, remaining, retryAfterSeconds } = await store.take(
+      `${ruleName}:${client}`,
+      rule,
+      new Date()
+    );
+    return { allowed, limit: rule.capacity, remaining, retryAfterSeconds };
+  } catch (error) {
+    console.error(
+      `[RATE-LIMIT] ${store.name} store failed, allowing:`,
+      error.message
+    );
+    return { allowed: true, limit: rule.capacity, remaining: null };
+  }
+}
+
+/**
+ * Checks a request against a rule and, if it is throttled, sends the
+ * 429 response.
+ * @param {string} ruleName - e.g. "scrape"
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<boolean>} - true if the request may go ahead
+ */
+async function checkRateLimit(ruleName, req, res) {
+  const result = await consume(ruleName, req.ip);
+  if (result.limit !== null) {
+    res.set("RateLimit-Limit", String(result.limit));
+    if (result.remaining !== null) {
+      res.set("RateLimit-Remaining", String(result.remaining));
+    }
+  }
+  if (result.allowed) return true;
+
+  console.warn(`[RATE-LIMIT] ${ruleName} limit hit by ${req.ip}`);
+  if (result.retryAfterSeconds !== null) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+  }
+  res.status(429).json({
+    error: "Too many requests. Please slow down and try again shortly.",
+    retryAfterSeconds: result.retryAfterSeconds,
+  });
+  return false;
+}
+
+/**
+ * Express middleware applying a rule to every request of a route.
+ * @param {string} ruleName - e.g. "chat"
+ */
+function rateLimit(ruleName) {
+  return async (req, res, next) => {
+    if (await checkRateLimit(ruleName, req, res)) next();
+  };
+}
+
+module.exports = {
+  getRule,
+  takeToken,
+  createMemoryStore,
+  createMongoStore,
+  useMongoStore,
+  consume,
+  checkRateLimit,
+  rateLimit,
+};
@@ -0,0 +1,306 @@
+/*
+=========================================
+ AI News Hub - Related Articles
+=========================================
+Ranks "You Might Also Like" recommendations with BM25 over title,
+description and scraped content. Recommendations are computed when
+articles are ingested (and again when their full text is scraped)
+and stored on the article as 'related', so the article page only has
+to read them.
+
+Ranking:
+1. BM25 similarity, normalized against the article's own score so
+   a single cutoff (RELATED_MIN_SCORE) works for short and long texts.
+2. A mild boost for recent articles.
+3. Greedy selection that penalizes repeating a category, so one
+   busy category doesn't fill every slot.
+*/
+
+const { tokenize } = require("./text");
+
+const MIN_SCORE = Number(process.env.RELATED_MIN_SCORE) || 0.12;
+const RELATED_LIMIT = 3;
+// How many recently seen articles are considered as candidates
+const CORPUS_SIZE = 800;
+// Only the most distinctive terms of an article are used as the query
+const QUERY_TERMS = 25;
+// Scraped bodies are long; the opening carries the topic
+const MAX_CONTENT_TOKENS = 400;
+const TITLE_WEIGHT = 3;
+const RECENCY_HALF_LIFE_DAYS = 3;
+const CATEGORY_REPEAT_PENALTY = 0.75;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+function stripTags(html) {
+  return String(html || "").replace(/<[^>]+>/g, " ");
+}
+
+/**
+ * Turns an article into a bag of terms. Title terms are repeated so
+ * they weigh more than body terms.
+ */
+function toDocument(article) {
+  const titleTokens = tokenize(article.title);
+  const tokens = [
+    ...Array(TITLE_WEIGHT).fill(titleTokens).flat(),
+    ...tokenize(article.description),
+    ...tokenize(stripTags(article.fullContent)).slice(0, MAX_CONTENT_TOKENS),
+  ];
+
+  const tf = new Map();
+  tokens.forEach((token) => tf.set(token, (tf.get(token) || 0) + 1));
+  return { article, tf, length: tokens.length };
+}
+
+/**
+ * Builds the term statistics BM25 needs from a set of articles.
+ * @param {object[]} articles - Candidate articles
+ * @returns {object} - { docs, df, avgLength, size }
+ */
+function buildIndex(articles) {
+  const docs = articles.map(toDocument);
+  const df = new Map();
+  docs.forEach((doc) =>
+    doc.tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1))
+  );
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+  return {
+    docs,
+    df,
+    avgLength: docs.length ? totalLength / docs.length : 1,
+    size: docs.length,
+  };
+}
+
+function idf(term, index) {
+  const n = index.df.get(term) || 0;
+  return Math.log(1 + (index.size - n + 0.5) / (n + 0.5));
+}
+
+/**
+ * BM25 score of a document for the given query terms.
+ * @returns {object} - { score, contributions: Map<term, number> }
+ */
+function bm25(queryTerms, doc, index) {
+  const contributions = new Map();
+  let score = 0;
+  queryTerms.forEach((term) => {
+    const tf = doc.tf.get(term);
+    if (!tf) return;
+    const norm = K1 * (1 - B + (B * doc.length) / index.avgLength);
+    const value = (idf(term, index) * (tf * (K1 + 1))) / (tf + norm);
+    contributions.set(term, value);
+    score += value;
+  });
+  return { score, contributions };
+}
+
+/**
+ * Picks an article's most distinctive terms (by tf-idf) as its query.
+ */
+function selectQueryTerms(doc, index) {
+  return [...doc.tf.entries()]
+    .map(([term, tf]) => ({ term, weight: tf * idf(term, index) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, QUERY_TERMS)
+    .map((entry) => entry.term);
+}
+
+function recencyFactor(article) {
+  const published = new Date(article.publishedDate || article.lastSeenAt);
+  if (isNaN(published)) return 0.75;
+  const ageDays = Math.max(0, (Date.now() - published.getTime()) / 86400000);
+  return 0.75 + 0.25 * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Explains a match with the terms that contributed most to it.
+ */
+function describeReason(contributions) {
+  const terms = [...contributions.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([term]) => term);
+  if (terms.length === 0) return "";
+  const list =
+    terms.length === 1
+      ? terms[0]
+      : `${terms.slice(0, -1).join(", ")} and ${terms[terms.length - 1]}`;
+  return `Also covers ${list}`;
+}
+
+/**
+ * The short form of a recommendation stored on an article.
+ */
+function toRecommendation(candidate, similarity, reason) {
+  const article = candidate.article;
+  return {
+    id: article.url,
+    url: article.url,
+    title: article.title,
+    description: String(article.description || "").substring(0, 200),
+    imageUrl: article.imageUrl,
+    category: article.category,
+    source: article.source,
+    publishedAt: article.publishedAt,
+    score: Math.round(similarity * 100) / 100,
+    reason,
+  };
+}
+
+/**
+ * Ranks the index's articles by similarity to one article.
+ * @param {object} article - { url, title, description, fullContent, clusterId }
+ * @param {object} index - From buildIndex()
+ * @param {number} [limit] - How many recommendations to return
+ * @returns {object[]} - Recommendations: { id, url, title, ..., score, reason }
+ */
+function rankRelated(article, index, limit = RELATED_LIMIT) {
+  const queryDoc = toDocument(article);
+  const queryTerms = selectQueryTerms(queryDoc, index);
+  const selfScore = bm25(queryTerms, queryDoc, index).score;
+  if (selfScore === 0) return [];
+
+  const seenTitles = new Set([article.title]);
+  const candidates = [];
+  index.docs.forEach((doc) => {
+    const other = doc.article;
+    if (other.url === article.url) return;
+    // Other outlets' takes on the same story are listed separately
+    if (article.clusterId && other.clusterId === article.clusterId) return;
+    if (seenTitles.has(other.title)) return;
+
+    const { score, contributions } = bm25(queryTerms, doc, index);
+    const similarity = Math.min(1, score / selfScore);
+    if (similarity < MIN_SCORE) return;
+
+    seenTitles.add(other.title);
+    candidates.push({
+      doc,
+      similarity,
+      rank: similarity * recencyFactor(other),
+      contributions,
+    });
+  });
+
+  // Greedy pick; each repeat of a category makes its next article less likely
+  const picked = [];
+  const categoryCounts = new Map();
+  const clusters = new Set();
+  while (picked.length < limit && candidates.length > 0) {
+    let bestIndex = -1;
+    let bestRank = 0;
+    candidates.forEach((candidate, i) => {
+      const category = candidate.doc.article.category;
+      const adjusted =
+        candidate.rank *
+        CATEGORY_REPEAT_PENALTY ** (categoryCounts.get(category) || 0);
+      if (adjusted > bestRank) {
+        bestRank = adjusted;
+        bestIndex = i;
+      }
+    });
+
+    const [best] = candidates.splice(bestIndex, 1);
+    const other = best.doc.article;
+    if (other.clusterId && clusters.has(other.clusterId)) continue;
+    if (other.clusterId) clusters.add(other.clusterId);
+    categoryCounts.set(
+      other.category,
+      (categoryCounts.get(other.category) || 0) + 1
+    );
+    picked.push(
+      toRecommendation(
+        best.doc,
+        best.similarity,
+        describeReason(best.contributions)
+      )
+    );
+  }
+  return picked;
+}
+
+/**
+ * Loads the candidate articles recommendations are drawn from.
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object>} - An index from buildIndex()
+ */
+async function loadIndex(articlesCollection) {
+  const corpus = await articlesCollection
+    .find({ isPrimary: { $ne: false } })
+    .sort({ lastSeenAt: -1 })
+    .limit(CORPUS_SIZE)
+    .project({
+      _id: 0,
+      url: 1,
+      title: 1,
+      description: 1,
+      fullContent: 1,
+      imageUrl: 1,
+      category: 1,
+      source: 1,
+      publishedAt: 1,
+      publishedDate: 1,
+      lastSeenAt: 1,
+      clusterId: 1,
+    })
+    .toArray();
+  return buildIndex(corpus);
+}
+
+/**
+ * Recomputes and stores 'related' for the given stored articles.
+ * @param {string[]} urls - URLs of articles to update
+ * @param {object} articlesCollection - MongoDB articles collection
+ */
+async function updateRelated(urls, articlesCollection) {
+  if (urls.length === 0) return;
+  const index = await loadIndex(articlesCollection);
+  const articles = await articlesCollection
+    .find({ url: { $in: urls } })
+    .project({
+      url: 1,
+      title: 1,
+      description: 1,
+      fullContent: 1,
+      clusterId: 1,
+    })
+    .toArray();
+
+  const now = new Date();
+  const operations = articles.map((article) => ({
+    updateOne: {
+      filter: { url: article.url },
+      update: {
+        $set: {
+          related: rankRelated(article, index),
+          relatedUpdatedAt: now,
+        },
+      },
+    },
+  }));
+  if (operations.length > 0) await articlesCollection.bulkWrite(operations);
+  console.log(
+    `[RELATED] Updated recommendations for ${operations.length} articles`
+  );
+}
+
+/**
+ * Ranks recommendations on demand, for articles that have none stored
+ * (or aren't stored at all).
+ * @param {object} article - { url, title, description, fullContent, clusterId }
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object[]>} - Recommendations
+ */
+async function findRelated(article, articlesCollection) {
+  return rankRelated(article, await loadIndex(articlesCollection));
+}
+
+module.exports = {
+  buildIndex,
+  rankRelated,
+  updateRelated,
+  findRelated,
+};
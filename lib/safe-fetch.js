@@ -0,0 +1,305 @@
+/*
+=========================================
+ AI News Hub - Guarded Outbound Fetch
+=========================================
+Every page we scrape is fetched through safeFetch(), which:
+1. Only allows http/https URLs.
+2. Resolves DNS itself and refuses private, loopback, link-local
+   and other non-public addresses. The check runs inside the socket's
+   lookup, so the address we validate is the address we connect to.
+3. Follows a limited number of redirects, re-checking every hop
+   (or hands each redirect back, for callers with per-hop rules).
+4. Rejects unexpected content types and caps the response size.
+5. Gives the whole fetch (every hop and the body) one time limit, so
+   a server that trickles its response can't hold a scrape open.
+*/
+
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const axios = require("axios");
+const { readEnvNumber } = require("./config");
+
+const DEFAULT_MAX_BYTES =
+  Number(process.env.SCRAPE_MAX_BYTES) || 2 * 1024 * 1024;
+// 0 turns redirects off
+const configuredRedirects = readEnvNumber("SCRAPE_MAX_REDIRECTS");
+const DEFAULT_MAX_REDIRECTS =
+  Number.isInteger(configuredRedirects) && configuredRedirects >= 0
+    ? configuredRedirects
+    : 3;
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_CONTENT_TYPES = ["text/html", "application/xhtml+xml"];
+
+/**
+ * Thrown when a URL or response is refused by the guard.
+ * 'statusCode' is the HTTP status our API should answer with.
+ */
+class UnsafeFetchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "UnsafeFetchError";
+    this.statusCode = statusCode;
+  }
+}
+
+// --- Address Checks ---
+
+const blockList = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (incl. cloud metadata 169.254.169.254)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["64:ff9b::", 96], // NAT64 (embeds an IPv4 address)
+  ["100::", 64], // discard
+  ["2001:db8::", 32], // documentation
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * @param {string} address - A literal IPv4 or IPv6 address
+ * @returns {boolean} - Whether we may connect to it
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !blockList.check(address, "ipv4");
+  if (family !== 6) return false;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) must pass the IPv4 rules
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !blockList.check(address, "ipv6");
+}
+
+/**
+ * A dns.lookup replacement that fails for non-public addresses.
+ * Used as the 'lookup' of our HTTP agents.
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(
+        new UnsafeFetchError(
+          `Refusing to connect to non-public address for ${hostname}`
+        )
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Validates a URL before we try to fetch it.
+ * @param {string} rawUrl - The URL to check
+ * @returns {URL} - The parsed URL
+ */
+function assertFetchableUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw new UnsafeFetchError("Invalid URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new UnsafeFetchError("Only http and https URLs can be fetched");
+  }
+  if (url.username || url.password) {
+    throw new UnsafeFetchError("URLs with credentials are not allowed");
+  }
+  // Literal IPs skip DNS, so check them up front for a clearer error
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new UnsafeFetchError("Refusing to fetch a non-public address");
+  }
+  return url;
+}
+
+// --- Body Handling ---
+
+function readCappedBody(stream, maxBytes, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    const fail = (error) => {
+      clearTimeout(timer);
+      stream.destroy();
+      reject(error);
+    };
+    const timer = setTimeout(
+      () => fail(new UnsafeFetchError("Response took too long", 504)),
+      timeoutMs
+    );
+    stream.on("data", (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        fail(new UnsafeFetchError(`Response exceeds ${maxBytes} bytes`, 502));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+    stream.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function decodeBody(buffer, contentType) {
+  const charset = (contentType.match(/charset=([^;]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset ? charset.trim() : "utf-8").decode(buffer);
+  } catch (error) {
+    return buffer.toString("utf8"); // Unknown charset label
+  }
+}
+
+/**
+ * Fetches a URL with SSRF, redirect, size and content-type protections.
+ * @param {string} rawUrl - The URL to fetch
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra request headers
+ * @param {number} [options.maxBytes] - Response size cap
+ * @param {number} [options.maxRedirects] - Redirect hop limit
+ * @param {boolean} [options.followRedirects] - false to return a redirect
+ *   instead of following it, with its checked target in 'location'
+ * @param {number} [options.timeout] - Time limit in ms for the whole
+ *   fetch, redirects and body included
+ * @param {string[]} [options.contentTypes] - Accepted MIME types
+ * @returns {Promise<object>} - { url, status, headers, data, location }
+ *   (data is null for a 304 Not Modified answer to a conditional request
+ *   and for a redirect that isn't followed)
+ */
+async function safeFetch(rawUrl, options = {}) {
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  const maxRedirects =
+    options.maxRedirects !== undefined
+      ? options.maxRedirects
+      : DEFAULT_MAX_REDIRECTS;
+  const contentTypes = options.contentTypes || DEFAULT_CONTENT_TYPES;
+  const deadline = Date.now() + (options.timeout || DEFAULT_TIMEOUT_MS);
+  const timeLeft = () => {
+    const ms = deadline - Date.now();
+    if (ms <= 0) throw new UnsafeFetchError("Response took too long", 504);
+    return ms;
+  };
+
+  let url = assertFetchableUrl(rawUrl);
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    const response = await axios.get(url.href, {
+      responseType: "stream",
+      maxRedirects: 0, // We follow redirects ourselves, re-checking each hop
+      timeout: timeLeft(),
+      headers: options.headers,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      validateStatus: (status) => status >= 200 && status < 400,
+    });
+
+    // Conditional GET answered with "unchanged" - there is no body
+    if (response.status === 304) {
+      response.data.destroy();
+      return {
+        url: url.href,
+        status: 304,
+        headers: response.headers,
+        data: null,
+      };
+    }
+
+    if (response.status >= 300) {
+      response.data.destroy();
+      const location = response.headers.location;
+      if (!location) {
+        throw new UnsafeFetchError("Redirect without a location", 502);
+      }
+      const target = assertFetchableUrl(new URL(location, url).href);
+      if (options.followRedirects === false) {
+        return {
+          url: url.href,
+          status: response.status,
+          headers: response.headers,
+          data: null,
+          location: target.href,
+        };
+      }
+      url = target;
+      continue;
+    }
+
+    const contentType = String(response.headers["content-type"] || "");
+    const mimeType = contentType.split(";")[0].trim().toLowerCase();
+    if (!contentTypes.includes(mimeType)) {
+      response.data.destroy();
+      throw new UnsafeFetchError(
+        `Unsupported content type: ${mimeType || "unknown"}`,
+        415
+      );
+    }
+
+    const declaredLength = Number(response.headers["content-length"]);
+    if (declaredLength > maxBytes) {
+      response.data.destroy();
+      throw new UnsafeFetchError(`Response exceeds ${maxBytes} bytes`, 502);
+    }
+
+    let body;
+    try {
+      body = await readCappedBody(response.data, maxBytes, timeLeft());
+    } catch (error) {
+      response.data.destroy();
+      throw error;
+    }
+    return {
+      url: url.href,
+      status: response.status,
+      headers: response.headers,
+      data: decodeBody(body, contentType),
+    };
+  }
+
+  throw new UnsafeFetchError(`Too many redirects (max ${maxRedirects})`, 502);
+}
+
+module.exports = {
+  DEFAULT_MAX_REDIRECTS,
+  UnsafeFetchError,
+  isPublicAddress,
+  assertFetchableUrl,
+  safeFetch,
+};
@@ -0,0 +1,111 @@
+/*
+=========================================
+ AI News Hub - In-Process Scheduler
+=========================================
+Runs named jobs on fixed intervals inside the server process.
+Each job is re-armed only after its previous run finishes,
+so a slow upstream can never cause overlapping runs.
+*/
+
+/**
+ * Creates a scheduler instance.
+ * @returns {object} - { schedule, runNow, stop, status }
+ */
+function createScheduler() {
+  const jobs = new Map();
+  let stopped = false;
+
+  function arm(job, delayMs) {
+    if (stopped) return;
+    clearTimeout(job.timer);
+    job.nextRunAt = new Date(Date.now() + delayMs);
+    job.timer = setTimeout(() => run(job), delayMs);
+    // Never keep the process alive just for a pending job
+    if (job.timer.unref) job.timer.unref();
+  }
+
+  async function run(job, manual = false) {
+    if (job.running) return job.running;
+
+    job.lastRunAt = new Date();
+    job.running = (async () => {
+      try {
+        await job.task({ manual });
+        job.lastSuccessAt = new Date();
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.message;
+        console.error(`[SCHEDULER] Job "${job.name}" failed:`, error.message);
+      } finally {
+        job.running = null;
+        arm(job, job.intervalMs);
+      }
+    })();
+    return job.running;
+  }
+
+  /**
+   * Registers a job. Re-registering a name replaces the old job.
+   * @param {string} name - Unique job name, e.g. "ingest:technology"
+   * @param {number} intervalMs - Delay between the end of one run and the next
+   * @param {function} task - async ({ manual }) => void; 'manual' is
+   *   true for runNow()
+   * @param {object} [options] - { initialDelayMs } before the first run
+   */
+  function schedule(name, intervalMs, task, options = {}) {
+    if (jobs.has(name)) clearTimeout(jobs.get(name).timer);
+
+    const job = {
+      name,
+      intervalMs,
+      task,
+      timer: null,
+      running: null,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+    };
+    jobs.set(name, job);
+    arm(job, options.initialDelayMs || 0);
+    console.log(
+      `[SCHEDULER] "${name}" every ${Math.round(intervalMs / 60000)} min`
+    );
+  }
+
+  /**
+   * Runs a job immediately (or joins its current run) and re-arms it.
+   * @param {string} name - The job name
+   * @returns {Promise<void>}
+   */
+  function runNow(name) {
+    const job = jobs.get(name);
+    if (!job) return Promise.reject(new Error(`Unknown job: ${name}`));
+    clearTimeout(job.timer);
+    return run(job, true);
+  }
+
+  function stop() {
+    stopped = true;
+    jobs.forEach((job) => clearTimeout(job.timer));
+  }
+
+  /**
+   * @returns {object[]} - A snapshot of every job's state
+   */
+  function status() {
+    return [...jobs.values()].map((job) => ({
+      name: job.name,
+      intervalMinutes: Math.round(job.intervalMs / 60000),
+      running: Boolean(job.running),
+      nextRunAt: job.nextRunAt,
+      lastRunAt: job.lastRunAt,
+      lastSuccessAt: job.lastSuccessAt,
+      lastError: job.lastError,
+    }));
+  }
+
+  return { schedule, runNow, stop, status };
+}
+
+module.exports = { createScheduler };
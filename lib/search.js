@@ -0,0 +1,228 @@
+/*
+=========================================
+ AI News Hub - Article Search
+=========================================
+Full-text search over stored articles, backed by a MongoDB text
+index on title, description and scraped fullContent. Results can be
+filtered by category and publish date, sorted by relevance or date,
+and come with a short snippet in which the query terms are wrapped
+in <mark> tags.
+*/
+
+const { tokenize, escapeHtml } = require("./text");
+const { toArticleCard } = require("./articles");
+
+const TEXT_INDEX_NAME = "article_text";
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 220;
+
+/**
+ * Creates the text index searches run against.
+ * Title matches count most, scraped body text least.
+ * @param {object} articlesCollection - MongoDB articles collection
+ */
+async function ensureSearchIndex(articlesCollection) {
+  await articlesCollection.createIndex(
+    { title: "text", description: "text", fullContent: "text" },
+    {
+      name: TEXT_INDEX_NAME,
+      weights: { title: 10, description: 4, fullContent: 1 },
+      default_language: "english",
+    }
+  );
+}
+
+/**
+ * Thrown for search parameters we can't use; maps to a 400.
+ */
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SearchQueryError";
+  }
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new SearchQueryError(`Invalid '${name}' date`);
+  return date;
+}
+
+// --- Snippets ---
+
+function stripTags(html) {
+  return String(html || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Builds a regex matching words that start with any query term's stem,
+ * so "elections" also highlights "election" (the text index stems too).
+ */
+function buildTermPattern(terms, flags = "gi") {
+  if (terms.length === 0) return null;
+  const stems = terms.map((term) =>
+    term
+      .substring(0, Math.max(4, term.length - 2))
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+  );
+  return new RegExp(`\\b(?:${stems.join("|")})\\w*`, flags);
+}
+
+/**
+ * HTML-escapes text and wraps every match of 'pattern' in <mark> tags.
+ */
+function markTerms(text, pattern) {
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.substring(last, match.index))}<mark>${escapeHtml(
+      match[0]
+    )}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.substring(last));
+}
+
+/**
+ * Cuts a window of text around the first query term and marks every
+ * term inside it. The result is HTML-escaped apart from the <mark> tags.
+ * @param {string} text - Plain text to take the snippet from
+ * @param {string[]} terms - Query terms (lowercase)
+ * @returns {string} - Snippet HTML
+ */
+function buildSnippet(text, terms) {
+  const pattern = buildTermPattern(terms);
+  let start = 0;
+
+  const match = pattern && text.match(buildTermPattern(terms, "i"));
+  if (match && match.index > SNIPPET_LENGTH / 3) {
+    start = text.lastIndexOf(" ", match.index - SNIPPET_LENGTH / 3) + 1;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const lastSpace = text.lastIndexOf(" ", end);
+  if (end < text.length && lastSpace > start) end = lastSpace;
+
+  const slice = text.substring(start, end);
+  const html = pattern ? markTerms(slice, pattern) : escapeHtml(slice);
+  return `${start > 0 ? "…" : ""}${html}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Picks the part of an article that best matches the query for its snippet:
+ * the description if it contains a term, otherwise the scraped body.
+ */
+function snippetFor(article, terms) {
+  const description = stripTags(article.description);
+  const body = stripTags(article.fullContent);
+  const pattern = buildTermPattern(terms, "i");
+
+  const source =
+    pattern && !pattern.test(description) && body && pattern.test(body)
+      ? body
+      : description || body;
+  return buildSnippet(source, terms);
+}
+
+// --- Search ---
+
+/**
+ * Searches stored articles.
+ * @param {object} params - Query string parameters
+ * @param {string} params.q - Search terms (supports "quoted phrases" and -exclusions)
+ * @param {string} [params.category] - Only articles listed in this category
+ * @param {string} [params.from] - Earliest publish date (inclusive)
+ * @param {string} [params.to] - Latest publish date (inclusive)
+ * @param {string} [params.sort] - "relevance" (default) or "date"
+ * @param {number} [params.page] - 1-based page number
+ * @param {number} [params.limit] - Results per page (max 50)
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object>} - { query, results, total, page, hasMore }
+ * @throws {SearchQueryError} - For missing or invalid parameters
+ */
+async function searchArticles(params, articlesCollection) {
+  const q = String(params.q || "")
+    .trim()
+    .substring(0, MAX_QUERY_LENGTH);
+  if (!q) throw new SearchQueryError("Missing search query");
+
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const sortByDate = params.sort === "date";
+
+  const filter = {
+    $text: { $search: q },
+    // Other outlets' versions of a story are folded into the primary
+    isPrimary: { $ne: false },
+  };
+  // Every article has 'categories' (see backfillFeedFields in lib/feed.js)
+  if (params.category) filter.categories = params.category;
+
+  const from = parseDate(params.from, "from");
+  const to = parseDate(params.to, "to");
+  if (from || to) {
+    filter.publishedDate = {};
+    if (from) filter.publishedDate.$gte = from;
+    if (to) {
+      // A bare date means "through the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(params.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+      }
+      filter.publishedDate.$lte = to;
+    }
+  }
+
+  const sort = sortByDate
+    ? { publishedDate: -1, url: -1 }
+    : { score: { $meta: "textScore" }, publishedDate: -1 };
+
+  const [documents, total] = await Promise.all([
+    articlesCollection
+      .find(filter)
+      .project({
+        _id: 0,
+        scrapeValidators: 0,
+        score: { $meta: "textScore" },
+      })
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    articlesCollection.countDocuments(filter),
+  ]);
+
+  const terms = [...new Set(tokenize(q.replace(/(^|\s)-\S+/g, " ")))];
+  const results = documents.map((article) =>
+    toArticleCard({ ...article, snippet: snippetFor(article, terms) })
+  );
+
+  return {
+    query: q,
+    results,
+    total,
+    page,
+    hasMore: page * limit < total,
+  };
+}
+
+module.exports = {
+  SearchQueryError,
+  ensureSearchIndex,
+  buildSnippet,
+  searchArticles,
+};
@@ -0,0 +1,353 @@
+/*
+=========================================
+ AI News Hub - News Source Adapters
+=========================================
+Each adapter fetches one upstream source and returns
+articles in the normalized shape the frontend expects
+(the same shape formatArticle has always produced).
+
+Supported source types:
+1. "newsapi"  - newsapi.org /v2/top-headlines or /v2/everything
+2. "rss"      - RSS 2.0 and Atom feeds
+3. "jsonfeed" - JSON Feed (https://jsonfeed.org)
+*/
+
+const axios = require("axios");
+const cheerio = require("cheerio");
+const { escapeHtml } = require("./text");
+
+const NEWS_API_BASE_URL = "https://newsapi.org/v2";
+const FEED_TIMEOUT_MS = 8000;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_CONTENT_LENGTH = 1000;
+
+// --- Helper Functions ---
+function getAuthorInitials(authorName) {
+  if (!authorName) return "NN";
+  const parts = authorName.split(" ");
+  if (parts.length > 1) {
+    return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
+  }
+  return (authorName.substring(0, 2) || "NN").toUpperCase();
+}
+
+/**
+ * Turns an HTML fragment (feed descriptions often contain markup)
+ * into plain, whitespace-collapsed text.
+ */
+function htmlToText(html, maxLength) {
+  if (!html) return "";
+  const text = cheerio
+    .load(`<div>${html}</div>`)("div")
+    .first()
+    .text()
+    .replace(/\s+/g, " ")
+    .trim();
+  if (maxLength && text.length > maxLength) {
+    return text.substring(0, maxLength).trim() + "...";
+  }
+  return text;
+}
+
+/**
+ * Builds the normalized article object shared by every adapter.
+ * @param {object} fields - Source-independent article fields
+ * @param {string} category - The category we originally requested
+ * @returns {object} - Article in the frontend's expected structure
+ */
+function normalizeArticle(fields, category) {
+  const source = fields.sourceName || "Unknown Source";
+  const author = fields.author || fields.sourceName || "Unknown";
+  const description = fields.description || "No description available.";
+  const parsedDate = new Date(fields.publishedAt || Date.now());
+  const publishedDate = isNaN(parsedDate) ? new Date() : parsedDate;
+
+  return {
+    // We use the article 'url' as the unique ID
+    id: fields.url,
+    title: fields.title,
+    description: description,
+    // Feed text is plain text (entities already decoded), so it has to
+    // be escaped before it is wrapped in markup
+    content: `<p>${escapeHtml(fields.content || description)}</p>`,
+    imageUrl:
+      fields.imageUrl ||
+      `https://placehold.co/600x400/efeded/363636?text=${encodeURIComponent(
+        fields.title.split(" ")[0] || "News"
+      )}`,
+    source: source,
+    publishedAt: publishedDate.toLocaleDateString(),
+    // Machine-readable date, used for sorting and paging the feed
+    publishedDate: publishedDate,
+    category: category,
+    author: author,
+    authorInitials: getAuthorInitials(author),
+    // The original URL to the article
+    url: fields.url,
+  };
+}
+
+/**
+ * Formats data from newsapi.org API to match the frontend's expected structure.
+ */
+function formatArticle(article, category) {
+  return normalizeArticle(
+    {
+      title: article.title,
+      description: article.description,
+      // newsapi.org 'content' is often partial, fallback to description
+      content: article.content,
+      url: article.url,
+      imageUrl: article.urlToImage,
+      sourceName: article.source && article.source.name,
+      author: article.author,
+      publishedAt: article.publishedAt,
+    },
+    category
+  );
+}
+
+// --- Adapters ---
+
+/**
+ * Translates a newsapi source config into an endpoint and query params.
+ * A native "category" uses /v2/top-headlines; keyword ("q") and domain
+ * filters use /v2/everything. Anything in "params" is passed through as-is.
+ */
+function buildNewsApiRequest(source) {
+  const endpoint =
+    source.endpoint ||
+    (source.q || source.domains ? "everything" : "top-headlines");
+  const params = {};
+
+  if (endpoint === "top-headlines") {
+    if (source.category) params.category = source.category;
+    if (!source.sources) params.country = source.country || "us";
+  } else {
+    params.sortBy = "publishedAt";
+    if (source.language) params.language = source.language;
+  }
+  if (source.q) params.q = source.q;
+  if (source.domains) {
+    params.domains = [].concat(source.domains).join(",");
+  }
+  if (source.sources) {
+    params.sources = [].concat(source.sources).join(",");
+  }
+
+  return { endpoint, params: { ...params, ...source.params } };
+}
+
+/**
+ * newsapi.org adapter.
+ * source: { type: "newsapi", category?, q?, domains?, sources?, language?, params? }
+ */
+async function fetchNewsApi(source, category, options) {
+  if (!options.newsApiKey) {
+    throw new Error("NEWS_API_KEY is required for newsapi sources");
+  }
+  const { endpoint, params } = buildNewsApiRequest(source);
+  const response = await axios.get(`${NEWS_API_BASE_URL}/${endpoint}`, {
+    params: {
+      apiKey: options.newsApiKey, // Parameter name is 'apiKey' (camelCase)
+      ...params,
+    },
+    timeout: FEED_TIMEOUT_MS,
+  });
+
+  if (!response.data.articles) {
+    console.warn("No 'articles' field in API response:", response.data);
+    return [];
+  }
+
+  return response.data.articles
+    .filter((article) => article.title && article.url)
+    .map((article) => formatArticle(article, category));
+}
+
+/**
+ * RSS 2.0 / Atom adapter.
+ * source: { type: "rss", url: "https://...", name?: "Outlet Name" }
+ */
+async function fetchFeed(source, category) {
+  const response = await axios.get(source.url, {
+    timeout: FEED_TIMEOUT_MS,
+    responseType: "text",
+  });
+  const $ = cheerio.load(response.data, { xml: true });
+
+  const isAtom = $("feed > entry").length > 0;
+  const feedTitle = isAtom
+    ? $("feed > title").first().text().trim()
+    : $("channel > title").first().text().trim();
+  const sourceName = source.name || feedTitle || new URL(source.url).hostname;
+
+  const items = isAtom
+    ? $("feed > entry")
+    : $("channel > item, rdf\\:RDF > item");
+
+  return items
+    .map((_, el) => {
+      const item = $(el);
+      let url;
+      let summary;
+      let body;
+      let author;
+      let publishedAt;
+
+      if (isAtom) {
+        const alternate = item.find("link[rel='alternate']").first();
+        url = (alternate.length ? alternate : item.find("link").first()).attr(
+          "href"
+        );
+        summary = item.children("summary").text();
+        body = item.children("content").text();
+        author = item.find("author > name").first().text();
+        publishedAt =
+          item.children("published").text() || item.children("updated").text();
+      } else {
+        url = item.children("link").text() || item.children("guid").text();
+        summary = item.children("description").text();
+        body = item.children("content\\:encoded").text();
+        author =
+          item.children("dc\\:creator").text() ||
+          item.children("author").text();
+        publishedAt =
+          item.children("pubDate").text() || item.children("dc\\:date").text();
+      }
+
+      const imageUrl =
+        item.find("media\\:content[url], media\\:thumbnail[url]").attr("url") ||
+        item.children("enclosure[type^='image']").attr("url");
+
+      const title = htmlToText(item.children("title").text());
+      url = (url || "").trim();
+      if (!title || !url) return null;
+
+      return normalizeArticle(
+        {
+          title,
+          description: htmlToText(summary || body, MAX_DESCRIPTION_LENGTH),
+          content: htmlToText(body || summary, MAX_CONTENT_LENGTH),
+          url,
+          imageUrl,
+          sourceName,
+          author: author.trim(),
+          publishedAt: publishedAt.trim() || undefined,
+        },
+        category
+      );
+    })
+    .get()
+    .filter((article) => article !== null);
+}
+
+/**
+ * JSON Feed adapter.
+ * source: { type: "jsonfeed", url: "https://.../feed.json", name?: "Outlet Name" }
+ */
+async function fetchJsonFeed(source, category) {
+  const response = await axios.get(source.url, { timeout: FEED_TIMEOUT_MS });
+  const feed = response.data || {};
+  const sourceName = source.name || feed.title || new URL(source.url).hostname;
+
+  return (feed.items || [])
+    .map((item) => {
+      const url = item.url || item.external_url;
+      if (!item.title || !url) return null;
+
+      const author =
+        (item.authors && item.authors[0] && item.authors[0].name) ||
+        (item.author && item.author.name);
+      const body = item.content_html || item.content_text;
+
+      return normalizeArticle(
+        {
+          title: htmlToText(item.title),
+          description: htmlToText(item.summary || body, MAX_DESCRIPTION_LENGTH),
+          content: htmlToText(body || item.summary, MAX_CONTENT_LENGTH),
+          url,
+          imageUrl: item.image || item.banner_image,
+          sourceName,
+          author,
+          publishedAt: item.date_published || item.date_modified,
+        },
+        category
+      );
+    })
+    .filter((article) => article !== null);
+}
+
+const adapters = {
+  newsapi: fetchNewsApi,
+  rss: fetchFeed,
+  atom: fetchFeed,
+  jsonfeed: fetchJsonFeed,
+};
+
+/**
+ * Registers an additional adapter type.
+ * @param {string} type - The "type" value used in source configs
+ * @param {function} adapter - async (source, category, options) => articles[]
+ */
+function registerAdapter(type, adapter) {
+  adapters[type] = adapter;
+}
+
+/**
+ * Fetches every configured source for a category and merges the results.
+ * A failing source is logged and skipped; we only throw if all of them fail.
+ * @param {object[]} sources - Source configs for this category
+ * @param {string} category - The category we originally requested
+ * @param {object} options - Shared adapter options (e.g. newsApiKey)
+ * @returns {Promise<object[]>} - Normalized, de-duplicated articles
+ */
+async function fetchFromSources(sources, category, options = {}) {
+  const results = await Promise.allSettled(
+    sources.map((source) => {
+      const adapter = adapters[source.type];
+      if (!adapter) {
+        return Promise.reject(new Error(`Unknown source type: ${source.type}`));
+      }
+      return adapter(source, category, options);
+    })
+  );
+
+  const seenUrls = new Set();
+  const articles = [];
+  let failures = 0;
+
+  results.forEach((result, index) => {
+    const source = sources[index];
+    const label = source.url || source.q || source.category || source.type;
+    if (result.status === "rejected") {
+      failures++;
+      const reason = result.reason;
+      console.error(
+        `[SOURCES] Failed to fetch ${label}:`,
+        reason.response ? reason.response.data : reason.message
+      );
+      return;
+    }
+    console.log(`[SOURCES] ${label} returned ${result.value.length} articles`);
+    result.value.forEach((article) => {
+      if (seenUrls.has(article.url)) return;
+      seenUrls.add(article.url);
+      articles.push(article);
+    });
+  });
+
+  if (sources.length > 0 && failures === sources.length) {
+    throw new Error(`All ${failures} sources failed for "${category}"`);
+  }
+
+  return articles;
+}
+
+module.exports = {
+  getAuthorInitials,
+  normalizeArticle,
+  formatArticle,
+  registerAdapter,
+  fetchFromSources,
+};
@@ -0,0 +1,297 @@
+/*
+=========================================
+ AI News Hub - Storage
+=========================================
+The database handle the whole app shares. It is backed by MongoDB
+while MongoDB is reachable, and by a bounded in-process store
+(lib/memory-db.js) while it isn't:
+- No MONGODB_URI: the memory store only.
+- MONGODB_URI set but the first connection fails, or the connection
+  drops mid-run: the failing operation is re-run on the memory store,
+  and MongoDB is retried in the background every
+  MONGODB_RECONNECT_SECONDS. Once it answers, new operations go back
+  to it. What was written to memory in the meantime is not copied back.
+
+  const storage = createStorage({ uri, dbName, prepare });
+  const articles = storage.collection("articles"); // the driver's API
+  await storage.connect();
+
+'prepare(backend)' creates indexes through these collections. It runs
+once for the memory store at start-up (so it can take over at any
+moment) and again each time MongoDB is (re)connected. If it fails on
+MongoDB for any other reason than the connection (say an existing
+index with other options), the failure is logged and the memory store
+stays in use, with MongoDB retried in the background as above.
+A connection string MongoDB rejects outright (bad URI or credentials)
+isn't retried.
+
+The memory store keeps at most MEMORY_STORE_MAX_DOCUMENTS per
+collection (least recently used go first) and forgets documents not
+written for MEMORY_STORE_TTL_HOURS.
+*/
+
+const {
+  MongoClient,
+  MongoNetworkError,
+  MongoServerSelectionError,
+  MongoTopologyClosedError,
+  MongoNotConnectedError,
+  MongoServerClosedError,
+  MongoClientClosedError,
+} = require("mongodb");
+const { createMemoryDb } = require("./memory-db");
+
+const MEMORY_LIMITS = {
+  maxDocuments: Number(process.env.MEMORY_STORE_MAX_DOCUMENTS) || 5000,
+  ttlSeconds: (Number(process.env.MEMORY_STORE_TTL_HOURS) || 24) * 60 * 60,
+};
+const RECONNECT_INTERVAL_MS =
+  (Number(process.env.MONGODB_RECONNECT_SECONDS) || 30) * 1000;
+// How long an operation waits for an unreachable server before we
+// give up on it (the driver's default is 30 seconds)
+const SERVER_SELECTION_TIMEOUT_MS =
+  Number(process.env.MONGODB_TIMEOUT_MS) || 5000;
+
+const COLLECTION_METHODS = [
+  "findOne",
+  "countDocuments",
+  "insertOne",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+  "bulkWrite",
+  "createIndex",
+  "dropIndex",
+];
+const CURSOR_METHODS = ["project", "sort", "skip", "limit"];
+
+// prepare("mongo") failed on a working connection
+class PrepareError extends Error {
+  constructor(cause) {
+    super(cause.message);
+    this.name = "PrepareError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * @param {Error} error - A failed driver operation
+ * @returns {boolean} - Whether it failed because MongoDB can't be
+ *   reached (as opposed to a bad query or a duplicate key)
+ */
+function isConnectionError(error) {
+  return [
+    MongoNetworkError,
+    MongoServerSelectionError,
+    MongoTopologyClosedError,
+    MongoNotConnectedError,
+    MongoServerClosedError,
+    MongoClientClosedError,
+  ].some((type) => error instanceof type);
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.uri] - MongoDB connection string; without
+ *   one, only the memory store is used
+ * @param {string} options.dbName - Database name
+ * @param {function} [options.prepare] - async (backend) => {}, see above
+ * @param {object} [options.memoryLimits] - { maxDocuments, ttlSeconds }
+ *   for the memory store (0 = unlimited)
+ * @returns {object} - { connect, collection, getStatus, close }
+ */
+function createStorage(options) {
+  const { uri, dbName, prepare = async () => {} } = options;
+  const memory = createMemoryDb(dbName, options.memoryLimits || MEMORY_LIMITS);
+
+  let client = null;
+  let mongoDb = null;
+  let backend = "memory";
+  let since = new Date();
+  let lastError = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  function useBackend(name) {
+    backend = name;
+    since = new Date();
+  }
+
+  async function closeClient() {
+    if (client) await client.close().catch(() => {});
+    client = null;
+  }
+
+  async function openMongo() {
+    await closeClient();
+    client = new MongoClient(uri, {
+      serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+    });
+    try {
+      await client.connect();
+      mongoDb = client.db(dbName);
+      useBackend("mongo");
+      lastError = null;
+      try {
+        await prepare("mongo");
+      } catch (error) {
+        throw isConnectionError(error) ? error : new PrepareError(error);
+      }
+    } catch (error) {
+      if (backend === "mongo") useBackend("memory");
+      await closeClient();
+      throw error;
+    }
+    // Losing the connection again while preparing falls back to memory
+    if (backend !== "mongo") {
+      await closeClient();
+      throw new MongoNetworkError(lastError);
+    }
+  }
+
+  function logPrepareError(error) {
+    console.error(
+      `[STORAGE] Connected to MongoDB but couldn't prepare it (${error.message}); using the memory store and retrying in the background`
+    );
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer || closed) return;
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      const previousError = lastError;
+      try {
+        await openMongo();
+        console.log("[STORAGE] Reconnected to MongoDB");
+      } catch (error) {
+        // Said once per new reason, not on every attempt
+        if (error instanceof PrepareError && error.message !== previousError) {
+          logPrepareError(error);
+        }
+        lastError = error.message;
+        scheduleReconnect();
+      }
+    }, RECONNECT_INTERVAL_MS);
+  }
+
+  function fallBackToMemory(error) {
+    lastError = error.message;
+    if (backend === "memory") return;
+    useBackend("memory");
+    console.error(
+      `[STORAGE] Lost MongoDB (${error.message}); using the memory store and reconnecting in the background`
+    );
+    scheduleReconnect();
+  }
+
+  /**
+   * Runs an operation on MongoDB, or on the memory store if MongoDB is
+   * (or turns out to be) unreachable.
+   */
+  async function run(name, operation) {
+    if (backend === "mongo") {
+      try {
+        return await operation(mongoDb.collection(name));
+      } catch (error) {
+        if (!isConnectionError(error)) throw error;
+        fallBackToMemory(error);
+      }
+    }
+    return operation(memory.collection(name));
+  }
+
+  // Cursor calls are recorded and replayed on whichever backend
+  // answers toArray()
+  function createCursor(name, filter, findOptions) {
+    const steps = [];
+    const cursor = {
+      toArray: () =>
+        run(name, (collection) =>
+          steps
+            .reduce(
+              (current, [method, args]) => current[method](...args),
+              collection.find(filter, findOptions)
+            )
+            .toArray()
+        ),
+    };
+    CURSOR_METHODS.forEach((method) => {
+      cursor[method] = (...args) => {
+        steps.push([method, args]);
+        return cursor;
+      };
+    });
+    return cursor;
+  }
+
+  return {
+    /**
+     * Prepares the memory store, then connects to MongoDB if there is
+     * a URI. Falls back to the memory store rather than throwing.
+     */
+    async connect() {
+      await prepare("memory");
+      if (!uri) {
+        console.log("[STORAGE] Using the memory store");
+        return;
+      }
+      try {
+        await openMongo();
+        console.log("[STORAGE] Connected to MongoDB");
+      } catch (error) {
+        lastError = error.message;
+        if (error instanceof PrepareError) {
+          logPrepareError(error);
+          scheduleReconnect();
+          return;
+        }
+        // A bad URI or bad credentials won't fix themselves
+        if (!isConnectionError(error)) {
+          console.error(
+            `[STORAGE] MongoDB refused the connection (${error.message}); using the memory store`
+          );
+          return;
+        }
+        console.error(
+          `[STORAGE] Can't reach MongoDB (${error.message}); using the memory store and reconnecting in the background`
+        );
+        scheduleReconnect();
+      }
+    },
+
+    /**
+     * @param {string} name - Collection name
+     * @returns {object} - A collection with the driver's API that
+     *   follows the active backend
+     */
+    collection(name) {
+      const collection = {
+        collectionName: name,
+        find: (filter = {}, findOptions = {}) =>
+          createCursor(name, filter, findOptions),
+      };
+      COLLECTION_METHODS.forEach((method) => {
+        collection[method] = (...args) =>
+          run(name, (target) => target[method](...args));
+      });
+      return collection;
+    },
+
+    /**
+     * @returns {object} - { backend: "mongo" | "memory", mongoConfigured,
+     *   since, lastError }
+     */
+    getStatus() {
+      return { backend, mongoConfigured: Boolean(uri), since, lastError };
+    },
+
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      await closeClient();
+    },
+  };
+}
+
+module.exports = { isConnectionError, createStorage };
@@ -0,0 +1,595 @@
+/*
+=========================================
+ AI News Hub - Topic Suggestions
+=========================================
+"Suggest a Topic" submissions, in the 'suggestions' collection:
+  { title, details, status, votes, createdAt, updatedAt,
+    moderatedBy, moderatedAt, coveredBy: { id, title } }
+
+status:
+  pending  - new; only the admin console sees it
+  approved - listed publicly for readers to upvote; a post is drafted
+             for it (see lib/posts.js), tracked in 'draft'
+  rejected - hidden
+  covered  - an article already covers it (coveredBy)
+
+Votes are kept in 'suggestionVotes', one per reader and suggestion:
+  { _id: "<suggestionId>:<readerKey>", suggestionId, createdAt }
+Readers have no accounts; a random 'reader_id' cookie tells them
+apart, and only its hash is stored. Clearing the cookie would be enough
+to vote again, so each suggestion also counts the votes from every
+network address (hashed as well) and takes only a few from each:
+  { _id: "<suggestionId>:net:<networkKey>", suggestionId, count, createdAt }
+The allowance is more than one because readers behind one office or
+household address share it.
+
+Before a submission is saved it is compared with earlier suggestions
+(a near-identical one gets this reader's vote instead) and with the
+stored articles (so the modal can point at the article).
+*/
+
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { tokenize, jaccard } = require("./text");
+const { parseCookies, serializeCookie } = require("./cookies");
+
+const SUGGESTION_STATUSES = ["pending", "approved", "rejected", "covered"];
+const MAX_TITLE_LENGTH = 150;
+const MAX_DETAILS_LENGTH = 2000;
+const PAGE_SIZE = 20;
+// Title similarity (Jaccard) above which a submission repeats an
+// earlier suggestion
+const DUPLICATE_THRESHOLD = 0.6;
+// Share of a suggestion's title words an article's title and
+// description must contain to count as covering it
+const COVERED_THRESHOLD = 0.75;
+// Votes a suggestion takes from one network address
+const VOTES_PER_NETWORK = 3;
+// Earlier suggestions compared against each submission
+const MAX_DUPLICATE_CANDIDATES = 500;
+const READER_COOKIE = "reader_id";
+const READER_COOKIE_DAYS = 365;
+
+/**
+ * Error for a submission or moderation request that can't be accepted.
+ * statusCode is the HTTP status to answer with.
+ */
+class SuggestionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SuggestionError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Creates the indexes suggestions rely on and gives suggestions saved
+ * before moderation existed a status.
+ * @param {object} suggestionsCollection - MongoDB suggestions collection
+ */
+async function ensureSuggestionIndexes(suggestionsCollection) {
+  await suggestionsCollection.createIndex({
+    status: 1,
+    votes: -1,
+    createdAt: -1,
+  });
+  await suggestionsCollection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "pending", votes: 0 } }
+  );
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - Its SHA-256 hash, hex encoded
+ */
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Identifies the reader for votes, giving them a reader_id cookie if
+ * they don't have one yet.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object} - { reader: a hash of the reader's ID, network: a
+ *   hash of their address }
+ */
+function getReaderKeys(req, res) {
+  let readerId = parseCookies(req.headers.cookie)[READER_COOKIE];
+  if (!/^[A-Za-z0-9_-]{20,64}$/.test(readerId || "")) {
+    readerId = crypto.randomBytes(24).toString("base64url");
+    res.append(
+      "Set-Cookie",
+      serializeCookie(req, READER_COOKIE, readerId, {
+        sameSite: "Lax",
+        maxAgeSeconds: READER_COOKIE_DAYS * 24 * 60 * 60,
+      })
+    );
+  }
+  return { reader: hash(readerId), network: hash(`net:${req.ip}`) };
+}
+
+/**
+ * @param {string} id - A suggestion ID from a URL
+ * @returns {ObjectId|null} - null if it isn't a valid ID
+ */
+function toObjectId(id) {
+  return ObjectId.isValid(id) && /^[a-f0-9]{24}$/i.test(id)
+    ? new ObjectId(id)
+    : null;
+}
+
+/**
+ * Title words, with plurals folded so "elections" matches "election"
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function titleTokens(text) {
+  return new Set(
+    tokenize(text).map((token) =>
+      token.length > 4 && /[^s]s$/.test(token) ? token.slice(0, -1) : token
+    )
+  );
+}
+
+function toPublicSuggestion(suggestion) {
+  return {
+    id: suggestion._id.toString(),
+    title: suggestion.title,
+    details: suggestion.details || "",
+    votes: suggestion.votes || 0,
+    createdAt: suggestion.createdAt,
+  };
+}
+
+// --- Submissions ---
+
+/**
+ * @param {object} body - Request body: { title, details }
+ * @returns {object} - Trimmed { title, details }
+ * @throws {SuggestionError}
+ */
+function validateSuggestion(body) {
+  const title = typeof body.title === "string" ? body.title.trim() : "";
+  const details = typeof body.details === "string" ? body.details.trim() : "";
+  if (!title) throw new SuggestionError("Topic title is required.");
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new SuggestionError(
+      `Topic titles are at most ${MAX_TITLE_LENGTH} characters.`
+    );
+  }
+  if (details.length > MAX_DETAILS_LENGTH) {
+    throw new SuggestionError(
+      `Details are at most ${MAX_DETAILS_LENGTH} characters.`
+    );
+  }
+  return { title, details };
+}
+
+/**
+ * Finds the earlier suggestion most like a title, ignoring rejected ones.
+ * @param {string} title - The new suggestion's title
+ * @param {object} suggestionsCollection - MongoDB suggestions collection
+ * @returns {Promise<object|null>} - The suggestion, or null
+ */
+async function findSimilarSuggestion(title, suggestionsCollection) {
+  const tokens = titleTokens(title);
+  if (tokens.size === 0) return null;
+
+  const candidates = await suggestionsCollection
+    .find({ status: { $ne: "rejected" } })
+    .project({ details: 0 })
+    .sort({ createdAt: -1 })
+    .limit(MAX_DUPLICATE_CANDIDATES)
+    .toArray();
+
+  let best = null;
+  let bestScore = DUPLICATE_THRESHOLD;
+  for (const candidate of candidates) {
+    const score = jaccard(tokens, titleTokens(candidate.title));
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds a stored article that already covers a suggested topic: the
+ * best full-text matches are kept only if their title and description
+ * contain most of the suggestion's title words.
+ * @param {string} title - The suggestion's title
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object|null>} - { id, title, source, publishedAt },
+ *   or null
+ */
+async function findCoveringArticle(title, articlesCollection) {
+  const tokens = titleTokens(title);
+  if (tokens.size === 0) return null;
+
+  const matches = await articlesCollection
+    .find({
+      $text: { $search: [...tokens].join(" ") },
+      isPrimary: { $ne: false },
+    })
+    .project({
+      _id: 0,
+      url: 1,
+      title: 1,
+      description: 1,
+      source: 1,
+      publishedAt: 1,
+      score: { $meta: "textScore" },
+    })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(5)
+    .toArray();
+
+  for (const article of matches) {
+    const articleTokens = titleTokens(
+      `${article.title || ""} ${article.description || ""}`
+    );
+    let shared = 0;
+    tokens.forEach((token) => {
+      if (articleTokens.has(token)) shared++;
+    });
+    // A one-word topic has to be in the headline itself
+    const covers =
+      tokens.size === 1
+        ? titleTokens(article.title).has([...tokens][0])
+        : shared / tokens.size >= COVERED_THRESHOLD;
+    if (covers) {
+      return {
+        id: article.url,
+        title: article.title,
+        source: article.source,
+        publishedAt: article.publishedAt,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Saves a reader's suggestion unless it's already covered or already
+ * suggested.
+ * @param {object} body - Request body: { title, details, force }; force
+ *   saves it even if an article seems to cover it
+ * @param {object} readerKeys - From getReaderKeys()
+ * @param {object} collections - { suggestions, votes, articles }
+ * @returns {Promise<object>} - One of
+ *   { status: "covered", article }
+ *   { status: "duplicate", suggestion, voted, limited } - an approved
+ *     suggestion, which gets the reader's vote (see castVote())
+ *   { status: "duplicate", voted: false, awaitingReview } - one that
+ *     isn't approved: its text stays private and it gets no votes
+ *   { status: "received", suggestion }
+ * @throws {SuggestionError}
+ */
+async function submitSuggestion(body, readerKeys, collections) {
+  const { title, details } = validateSuggestion(body);
+
+  if (!body.force) {
+    const article = await findCoveringArticle(title, collections.articles);
+    if (article) return { status: "covered", article };
+  }
+
+  const similar = await findSimilarSuggestion(title, collections.suggestions);
+  if (similar) {
+    if (similar.status === "covered" && similar.coveredBy && !body.force) {
+      return { status: "covered", article: similar.coveredBy };
+    }
+    if (similar.status !== "approved") {
+      return {
+        status: "duplicate",
+        voted: false,
+        awaitingReview: similar.status === "pending",
+      };
+    }
+    const { voted, limited, votes } = await castVote(
+      similar._id,
+      readerKeys,
+      collections
+    );
+    return {
+      status: "duplicate",
+      suggestion: { ...toPublicSuggestion(similar), votes },
+      voted,
+      limited,
+    };
+  }
+
+  const now = new Date();
+  const suggestion = {
+    title,
+    details,
+    status: "pending",
+    votes: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await collections.suggestions.insertOne(suggestion);
+  return {
+    status: "received",
+    suggestion: toPublicSuggestion({ _id: result.insertedId, ...suggestion }),
+  };
+}
+
+// --- Votes ---
+
+/**
+ * Takes one of a network address's votes for a suggestion.
+ * @param {ObjectId} suggestionId
+ * @param {string} networkKey - From getReaderKeys()
+ * @param {object} votes - The votes collection
+ * @returns {Promise<boolean>} - false once the address has used them all
+ */
+async function takeNetworkVote(suggestionId, networkKey, votes) {
+  try {
+    // Once count reaches the limit the filter stops matching, and the
+    // upsert then collides with the existing _id
+    await votes.updateOne(
+      {
+        _id: `${suggestionId}:net:${networkKey}`,
+        count: { $lt: VOTES_PER_NETWORK },
+      },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { suggestionId, createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Records a reader's vote, at most once per suggestion and reader, and
+ * at most VOTES_PER_NETWORK times per suggestion and network address.
+ * @param {ObjectId} suggestionId
+ * @param {object} readerKeys - From getReaderKeys()
+ * @param {object} collections - { suggestions, votes }
+ * @returns {Promise<object>} - { voted: whether this was a new vote,
+ *   limited: whether it was refused because the address has used its
+ *   votes, votes: the suggestion's vote count }
+ */
+async function castVote(suggestionId, readerKeys, collections) {
+  const voteId = `${suggestionId}:${readerKeys.reader}`;
+  const result = await collections.votes.updateOne(
+    { _id: voteId },
+    { $setOnInsert: { suggestionId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  let voted = result.upsertedCount > 0;
+  let limited = false;
+  if (
+    voted &&
+    !(await takeNetworkVote(
+      suggestionId,
+      readerKeys.network,
+      collections.votes
+    ))
+  ) {
+    await collections.votes.deleteOne({ _id: voteId });
+    voted = false;
+    limited = true;
+  }
+  if (voted) {
+    await collections.suggestions.updateOne(
+      { _id: suggestionId },
+      { $inc: { votes: 1 } }
+    );
+  }
+
+  const suggestion = await collections.suggestions.findOne(
+    { _id: suggestionId },
+    { projection: { votes: 1 } }
+  );
+  return { voted, limited, votes: suggestion ? suggestion.votes || 0 : 0 };
+}
+
+/**
+ * Upvotes an approved suggestion.
+ * @param {string} id - Suggestion ID
+ * @param {object} readerKeys - From getReaderKeys()
+ * @param {object} collections - { suggestions, votes }
+ * @returns {Promise<object>} - { voted, limited, votes } as from
+ *   castVote()
+ * @throws {SuggestionError} - 404 if there is no such approved suggestion
+ */
+async function voteForSuggestion(id, readerKeys, collections) {
+  const suggestionId = toObjectId(id);
+  const suggestion =
+    suggestionId &&
+    (await collections.suggestions.findOne(
+      { _id: suggestionId, status: "approved" },
+      { projection: { _id: 1 } }
+    ));
+  if (!suggestion) throw new SuggestionError("Suggestion not found.", 404);
+  return castVote(suggestionId, readerKeys, collections);
+}
+
+/**
+ * A page of approved suggestions, with whether the reader has voted
+ * for each.
+ * @param {object} params - { sort: "top" (default) or "new", page }
+ * @param {object} readerKeys - From getReaderKeys()
+ * @param {object} collections - { suggestions, votes }
+ * @returns {Promise<object>} - { suggestions, page, hasMore }
+ */
+async function listApprovedSuggestions(params, readerKeys, collections) {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const sort =
+    params.sort === "new"
+      ? { createdAt: -1, _id: -1 }
+      : { votes: -1, createdAt: -1, _id: -1 };
+
+  // One extra tells us whether there's another page
+  const documents = await collections.suggestions
+    .find({ status: "approved" })
+    .project({ title: 1, details: 1, votes: 1, createdAt: 1 })
+    .sort(sort)
+    .skip((page - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE + 1)
+    .toArray();
+  const suggestions = documents.slice(0, PAGE_SIZE);
+
+  const votes = await collections.votes
+    .find({
+      _id: {
+        $in: suggestions.map(
+          (suggestion) => `${suggestion._id}:${readerKeys.reader}`
+        ),
+      },
+    })
+    .project({ suggestionId: 1 })
+    .toArray();
+  const votedIds = new Set(votes.map((vote) => String(vote.suggestionId)));
+
+  return {
+    suggestions: suggestions.map((suggestion) => ({
+      ...toPublicSuggestion(suggestion),
+      voted: votedIds.has(String(suggestion._id)),
+    })),
+    page,
+    hasMore: documents.length > PAGE_SIZE,
+  };
+}
+
+// --- Moderation ---
+
+function toAdminSuggestion(suggestion) {
+  return {
+    ...toPublicSuggestion(suggestion),
+    status: suggestion.status || "pending",
+    updatedAt: suggestion.updatedAt || suggestion.createdAt,
+    moderatedBy: suggestion.moderatedBy || null,
+    moderatedAt: suggestion.moderatedAt || null,
+    coveredBy: suggestion.coveredBy || null,
+    draft: suggestion.draft || null,
+  };
+}
+
+/**
+ * @param {string} id - Suggestion ID
+ * @param {object} suggestionsCollection - MongoDB suggestions collection
+ * @returns {Promise<object|null>} - The suggestion document
+ */
+async function getSuggestion(id, suggestionsCollection) {
+  const suggestionId = toObjectId(id);
+  return suggestionId
+    ? suggestionsCollection.findOne({ _id: suggestionId })
+    : null;
+}
+
+/**
+ * Suggestions for the admin console; most votes first, then newest.
+ * @param {object} params - { status, q (words of the title), page }
+ * @param {object} suggestionsCollection - MongoDB suggestions collection
+ * @returns {Promise<object>} - { suggestions, total, page, hasMore }
+ */
+async function listSuggestions(params, suggestionsCollection) {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const filter = {};
+  if (SUGGESTION_STATUSES.includes(params.status)) {
+    filter.status = params.status;
+  }
+  if (params.q) {
+    const q = String(params.q).trim().substring(0, 200);
+    filter.title = {
+      $regex: q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  const [suggestions, total] = await Promise.all([
+    suggestionsCollection
+      .find(filter)
+      .sort({ votes: -1, createdAt: -1, _id: -1 })
+      .skip((page - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .toArray(),
+    suggestionsCollection.countDocuments(filter),
+  ]);
+  return {
+    suggestions: suggestions.map(toAdminSuggestion),
+    total,
+    page,
+    hasMore: page * PAGE_SIZE < total,
+  };
+}
+
+/**
+ * Approves, rejects or marks a suggestion as covered (or sends it back
+ * to pending).
+ * @param {string} id - Suggestion ID
+ * @param {object} decision - { status, articleId }; articleId (an
+ *   article URL) is required for "covered"
+ * @param {string} username - The moderating admin
+ * @param {object} collections - { suggestions, articles }
+ * @returns {Promise<object>} - The updated suggestion
+ * @throws {SuggestionError}
+ */
+async function moderateSuggestion(id, decision, username, collections) {
+  const suggestionId = toObjectId(id);
+  if (!suggestionId) throw new SuggestionError("Suggestion not found.", 404);
+  if (!SUGGESTION_STATUSES.includes(decision.status)) {
+    throw new SuggestionError(
+      `Status must be one of: ${SUGGESTION_STATUSES.join(", ")}.`
+    );
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      status: decision.status,
+      moderatedBy: username,
+      moderatedAt: now,
+      updatedAt: now,
+    },
+  };
+
+  if (decision.status === "covered") {
+    if (typeof decision.articleId !== "string" || !decision.articleId) {
+      throw new SuggestionError("Pick the article that covers it.");
+    }
+    const article = await collections.articles.findOne(
+      { url: decision.articleId },
+      { projection: { _id: 0, url: 1, title: 1 } }
+    );
+    if (!article) throw new SuggestionError("Article not found.", 404);
+    update.$set.coveredBy = { id: article.url, title: article.title };
+  } else {
+    update.$unset = { coveredBy: "" };
+  }
+
+  const result = await collections.suggestions.updateOne(
+    { _id: suggestionId },
+    update
+  );
+  if (result.matchedCount === 0) {
+    throw new SuggestionError("Suggestion not found.", 404);
+  }
+  return toAdminSuggestion(
+    await collections.suggestions.findOne({ _id: suggestionId })
+  );
+}
+
+module.exports = {
+  SUGGESTION_STATUSES,
+  SuggestionError,
+  ensureSuggestionIndexes,
+  getReaderKeys,
+  findCoveringArticle,
+  submitSuggestion,
+  voteForSuggestion,
+  listApprovedSuggestions,
+  getSuggestion,
+  listSuggestions,
+  moderateSuggestion,
+};
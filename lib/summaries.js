@@ -0,0 +1,177 @@
+/*
+=========================================
+ AI News Hub - Article Summaries
+=========================================
+Generates a short TL;DR and 3-5 key points for an article once its
+full text has been scraped, and stores them on the article document
+as 'summary':
+  { text, keyPoints, model, provider, promptVersion, contentHash,
+    generatedAt }
+'contentHash' ties a summary to the fullContent it was made from, so
+a summary is regenerated whenever the content changes (for example
+after the admin console clears scraped content and the article is
+scraped again) or the prompt changes.
+*/
+
+const crypto = require("crypto");
+const { getLlm } = require("./llm");
+
+// Bump when the prompt or output format changes to regenerate summaries
+const SUMMARY_PROMPT_VERSION = 1;
+const MAX_INPUT_CHARS = 15000;
+const MIN_CONTENT_CHARS = 150;
+
+const SYSTEM_PROMPT = `You summarize news articles for busy readers.
+Use only facts stated in the article. Do not add opinions or outside knowledge.
+Return JSON with:
+- "summary": 1-2 plain sentences (at most 60 words) giving the gist.
+- "keyPoints": 3 to 5 short bullet points (at most 25 words each) with the most important facts.`;
+
+// Summaries being generated, keyed by article URL
+const inFlight = new Map();
+
+/**
+ * @param {string} fullContent - The article's stored HTML
+ * @returns {string} - Short fingerprint of the content
+ */
+function hashContent(fullContent) {
+  return crypto
+    .createHash("sha256")
+    .update(fullContent || "")
+    .digest("hex")
+    .substring(0, 16);
+}
+
+function toPlainText(html) {
+  return String(html || "")
+    .replace(/<\/(p|h[2-4]|li|blockquote|figcaption|pre)>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*/g, "\n")
+    .trim();
+}
+
+/**
+ * @param {object} article - Article document
+ * @returns {boolean} - Whether the article has scraped text worth summarizing
+ */
+function canSummarize(article) {
+  return (
+    Boolean(article.fullContent) &&
+    article.extractionConfidence !== 0 &&
+    toPlainText(article.fullContent).length >= MIN_CONTENT_CHARS
+  );
+}
+
+/**
+ * @param {object} article - Article document
+ * @returns {boolean} - Whether the stored summary matches the current content
+ */
+function isSummaryCurrent(article) {
+  const summary = article.summary;
+  return Boolean(
+    summary &&
+      summary.promptVersion === SUMMARY_PROMPT_VERSION &&
+      summary.contentHash === hashContent(article.fullContent)
+  );
+}
+
+/**
+ * Asks the model for a summary of one article.
+ * @param {object} article - { title, fullContent }
+ * @returns {Promise<object>} - The summary object to store
+ */
+async function generateSummary(article) {
+  const text = toPlainText(article.fullContent).substring(0, MAX_INPUT_CHARS);
+  const llm = getLlm("summary");
+  const answer = await llm.generate({
+    system: SYSTEM_PROMPT,
+    messages: [
+      { role: "user", content: `Title: ${article.title}\n\nArticle:\n${text}` },
+    ],
+    json: true,
+    schema: {
+      type: "object",
+      properties: {
+        summary: { type: "string" },
+        keyPoints: {
+          type: "array",
+          items: { type: "string" },
+          minItems: 3,
+          maxItems: 5,
+        },
+      },
+      required: ["summary", "keyPoints"],
+    },
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(answer);
+  } catch (error) {
+    throw new Error("AI model returned an unreadable summary");
+  }
+
+  const keyPoints = (Array.isArray(parsed.keyPoints) ? parsed.keyPoints : [])
+    .map((point) => String(point).trim())
+    .filter(Boolean)
+    .slice(0, 5);
+  if (!parsed.summary || keyPoints.length < 3) {
+    throw new Error("AI model returned an incomplete summary");
+  }
+
+  return {
+    text: String(parsed.summary).trim(),
+    keyPoints,
+    model: llm.model,
+    provider: llm.provider,
+    promptVersion: SUMMARY_PROMPT_VERSION,
+    contentHash: hashContent(article.fullContent),
+    generatedAt: new Date(),
+  };
+}
+
+/**
+ * Returns the article's summary, generating and storing it first if it
+ * is missing or out of date. Concurrent calls for the same article share
+ * one model request.
+ * @param {object} article - Article document (with fullContent)
+ * @param {object} articlesCollection - MongoDB articles collection
+ * @returns {Promise<object|null>} - The summary, or null if the article
+ *   has no scraped text to summarize
+ */
+function ensureSummary(article, articlesCollection) {
+  if (!canSummarize(article)) return Promise.resolve(null);
+  if (isSummaryCurrent(article)) return Promise.resolve(article.summary);
+
+  const key = `${article.url}#${hashContent(article.fullContent)}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = generateSummary(article)
+    .then(async (summary) => {
+      // Only store it if the content hasn't changed in the meantime
+      await articlesCollection.updateOne(
+        { url: article.url, fullContent: article.fullContent },
+        { $set: { summary } }
+      );
+      console.log(`[SUMMARY] Generated summary for ${article.url}`);
+      return summary;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+module.exports = {
+  SUMMARY_PROMPT_VERSION,
+  hashContent,
+  canSummarize,
+  isSummaryCurrent,
+  ensureSummary,
+};
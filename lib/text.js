@@ -0,0 +1,133 @@
+/*
+=========================================
+ AI News Hub - Text Helpers
+=========================================
+Shared tokenizing helpers used by search, related-article
+ranking and story clustering, a rough token estimate for
+AI prompt budgets, and HTML escaping for server-built markup.
+*/
+
+// Common English words that carry no topical meaning
+const STOP_WORDS = new Set([
+  "about",
+  "after",
+  "also",
+  "back",
+  "been",
+  "before",
+  "being",
+  "between",
+  "both",
+  "could",
+  "during",
+  "each",
+  "first",
+  "from",
+  "have",
+  "having",
+  "here",
+  "just",
+  "more",
+  "most",
+  "other",
+  "should",
+  "since",
+  "some",
+  "such",
+  "than",
+  "that",
+  "their",
+  "there",
+  "these",
+  "this",
+  "those",
+  "through",
+  "time",
+  "under",
+  "until",
+  "very",
+  "what",
+  "when",
+  "where",
+  "which",
+  "while",
+  "with",
+  "would",
+  "your",
+  "will",
+  "has",
+  "had",
+  "can",
+  "the",
+  "and",
+  "for",
+  "are",
+  "was",
+  "but",
+  "not",
+  "you",
+  "all",
+  "our",
+]);
+
+/**
+ * Splits text into lowercase word tokens, dropping stop words
+ * and very short or very long words.
+ * @param {string} text - Any plain text
+ * @returns {string[]} - Tokens in their original order (may repeat)
+ */
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(
+      (word) => word.length > 2 && word.length < 25 && !STOP_WORDS.has(word)
+    );
+}
+
+/**
+ * Jaccard similarity of two token sets (0 = disjoint, 1 = identical).
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Rough token count for model budgets (about 4 characters per token
+ * for English text). Good enough to stay under limits, not exact.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Escapes text for safe insertion into HTML, in element content or a
+ * double-quoted attribute.
+ * @param {string} text - Plain text
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  jaccard,
+  estimateTokens,
+  escapeHtml,
+};
@@ -5,8 +5,10 @@
 This file handles global UI elements:
 1. Dark Mode Toggle
 2. Mobile Menu Toggle
-3. "Suggest a Topic" Modal (including API call)
+3. "Suggest a Topic" Modal (including API call, the "already covered"
+   notice and upvoting approved suggestions)
 4. Notification Message Box
+5. Category Navigation (built from /api/categories)
 
 NOTE: All page-specific content loading (news, articles)
 is handled by separate files in the /js/ folder.
@@ -110,8 +112,74 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // === SUGGEST TOPIC MODAL LOGIC (NOW WITH API CALL) ===
+  // Both are added to the modal here so every page's markup stays the same
+  let suggestResult = null; // "Already covered" notice above the form
+  let suggestPopular = null; // Approved suggestions below the form
+
+  if (suggestForm) {
+    suggestResult = document.createElement("div");
+    suggestResult.className = "suggest-result";
+    suggestResult.hidden = true;
+    suggestForm.before(suggestResult);
+
+    suggestPopular = document.createElement("div");
+    suggestPopular.className = "suggest-popular";
+    suggestForm.after(suggestPopular);
+  }
+
+  function clearSuggestResult() {
+    if (!suggestResult) return;
+    suggestResult.hidden = true;
+    suggestResult.innerHTML = "";
+  }
+
+  /**
+   * Loads the approved suggestions readers can upvote
+   */
+  async function loadPopularSuggestions() {
+    if (!suggestPopular) return;
+    try {
+      const response = await fetch("/api/suggestions?sort=top");
+      if (!response.ok) throw new Error("Failed to load suggestions");
+      const { suggestions } = await response.json();
+
+      if (suggestions.length === 0) {
+        suggestPopular.innerHTML = "";
+        return;
+      }
+      suggestPopular.innerHTML = `
+        <h4>Readers are asking for</h4>
+        <ul>
+          ${suggestions
+            .map(
+              (suggestion) => `
+                <li>
+                  <span>${escapeHTML(suggestion.title)}</span>
+                  <button
+                    class="suggest-vote-btn${suggestion.voted ? " voted" : ""}"
+                    data-id="${suggestion.id}"
+                    aria-label="Upvote"
+                    ${suggestion.voted ? "disabled" : ""}
+                  >
+                    <i class="fa-solid fa-arrow-up"></i>
+                    <span>${suggestion.votes}</span>
+                  </button>
+                </li>
+              `
+            )
+            .join("")}
+        </ul>
+      `;
+    } catch (error) {
+      console.error("Error loading suggestions:", error);
+      suggestPopular.innerHTML = "";
+    }
+  }
+
   function openSuggestModal() {
     if (suggestModal) suggestModal.style.display = "flex";
+    clearSuggestResult();
+    loadPopularSuggestions();
   }
 
   function closeSuggestModal() {
@@ -128,42 +196,113 @@ document.addEventListener("DOMContentLoaded", () => {
     suggestCloseBtn.addEventListener("click", closeSuggestModal);
   }
 
-  if (suggestForm) {
-    suggestForm.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      const title = document.getElementById("suggest-topic-title").value;
-      const details = document.getElementById("suggest-topic-details").value;
-      const submitButton = suggestForm.querySelector('button[type="submit"]');
-
-      submitButton.disabled = true;
-      submitButton.textContent = "Sending...";
+  if (suggestPopular) {
+    suggestPopular.addEventListener("click", async (e) => {
+      const button = e.target.closest(".suggest-vote-btn");
+      if (!button) return;
 
+      button.disabled = true;
       try {
-        // Fetch to our backend server (relative URL)
-        const response = await fetch("/api/suggest", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ title, details }),
-        });
-
+        const response = await fetch(
+          `/api/suggestions/${encodeURIComponent(button.dataset.id)}/vote`,
+          { method: "POST" }
+        );
         const result = await response.json();
-
-        if (!response.ok) {
+        // 409: this reader has already voted for it, or their network
+        // has used its votes (limited)
+        if (!response.ok && response.status !== 409) {
           throw new Error(result.error || "Network response was not ok");
         }
-
-        suggestForm.reset();
-        closeSuggestModal();
-        showMessage(result.message || "Suggestion sent. Thank you!");
+        if (result.limited) {
+          showMessage(result.error, true);
+          return;
+        }
+        button.classList.add("voted");
+        if (result.votes !== undefined) {
+          button.querySelector("span").textContent = result.votes;
+        }
       } catch (error) {
-        console.error("Error submitting suggestion:", error);
+        console.error("Error voting:", error);
         showMessage(`Error: ${error.message}`, true);
-      } finally {
-        submitButton.disabled = false;
-        submitButton.textContent = "Send Suggestion";
+        button.disabled = false;
       }
     });
   }
 
+  /**
+   * Tells the reader an article already covers their topic, with a
+   * way to send the suggestion anyway
+   */
+  function showCoveredNotice(article) {
+    suggestResult.innerHTML = `
+      <p><i class="fa-solid fa-circle-check"></i> This is already covered:</p>
+      <a href="article-template.html?id=${encodeURIComponent(article.id)}">
+        ${escapeHTML(article.title)}
+      </a>
+      ${article.source ? `<span>${escapeHTML(article.source)}</span>` : ""}
+      <button type="button" class="suggest-anyway-btn">
+        Not what I meant, suggest it anyway
+      </button>
+    `;
+    suggestResult.hidden = false;
+    suggestResult
+      .querySelector(".suggest-anyway-btn")
+      .addEventListener("click", () => sendSuggestion(true));
+  }
+
+  async function sendSuggestion(force = false) {
+    const title = document.getElementById("suggest-topic-title").value;
+    const details = document.getElementById("suggest-topic-details").value;
+    const submitButton = suggestForm.querySelector('button[type="submit"]');
+
+    submitButton.disabled = true;
+    submitButton.textContent = "Sending...";
+
+    try {
+      // Fetch to our backend server (relative URL)
+      const response = await fetch("/api/suggest", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title, details, force }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || "Network response was not ok");
+      }
+
+      // Response: { status: "received" | "duplicate" | "covered", ... }
+      if (result.status === "covered") {
+        showCoveredNotice(result.article);
+        return;
+      }
+
+      suggestForm.reset();
+      closeSuggestModal();
+      showMessage(result.message || "Suggestion sent. Thank you!");
+    } catch (error) {
+      console.error("Error submitting suggestion:", error);
+      showMessage(`Error: ${error.message}`, true);
+    } finally {
+      submitButton.disabled = false;
+      submitButton.textContent = "Send Suggestion";
+    }
+  }
+
+  if (suggestForm) {
+    suggestForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      clearSuggestResult();
+      sendSuggestion();
+    });
+  }
+
+  // === CATEGORY NAVIGATION ===
+  // renderCategoryNav() lives in js/utils.js, which every page loads
+  if (typeof renderCategoryNav === "function") {
+    renderCategoryNav();
+  }
+
   // NO slideshow logic here. It's now in js/index-loader.js
 });
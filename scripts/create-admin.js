@@ -0,0 +1,86 @@
+/*
+=========================================
+ AI News Hub - Create Admin Account
+=========================================
+Creates an account for the admin console (admin.html), or resets an
+existing account's password and role:
+  npm run create-admin -- <username> [viewer|editor|admin]
+The password is read from ADMIN_PASSWORD, or asked for (not echoed).
+Uses MONGODB_URI and DB_NAME like the server.
+*/
+
+require("dotenv").config();
+const readline = require("readline");
+const { Writable } = require("stream");
+const { MongoClient } = require("mongodb");
+const {
+  ADMIN_ROLES,
+  AdminAccountError,
+  createAdmin,
+} = require("../lib/admin-auth");
+
+function askPassword(prompt) {
+  return new Promise((resolve) => {
+    // readline echoes what is typed to its output; this one drops it
+    // once the prompt has been written
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stdout.write(chunk, encoding);
+        callback();
+      },
+    });
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true,
+    });
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function main() {
+  const [username, role = "admin"] = process.argv.slice(2);
+  if (!username) {
+    console.error(
+      `Usage: npm run create-admin -- <username> [${ADMIN_ROLES.join("|")}]`
+    );
+    process.exit(1);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error("MONGODB_URI is not set.");
+    process.exit(1);
+  }
+
+  const password =
+    process.env.ADMIN_PASSWORD || (await askPassword("Password: "));
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db(process.env.DB_NAME || "ai-news-hub");
+    const name = await createAdmin(
+      username,
+      password,
+      role,
+      db.collection("admins")
+    );
+    console.log(`Admin account "${name}" (${role}) is ready.`);
+  } catch (error) {
+    console.error(
+      error instanceof AdminAccountError
+        ? error.message
+        : `Failed to create admin account: ${error.message}`
+    );
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+main();
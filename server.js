@@ -4,182 +4,427 @@
 =========================================
 This server handles five things:
 1. Serves all static frontend files (HTML, CSS, JS).
-2. Securely proxies requests to the News API (now using newsapi.org).
-3. Caches News API results in MongoDB to avoid rate limits.
-4. Securely proxies requests to the AI Chat Model (Gemini) API.
-5. Saves "Suggest a Topic" submissions to your MongoDB database.
-6. Provides a secure endpoint to clear the cache.
+2. Fetches news for each category in config/categories.json from its
+   configured sources (newsapi.org, RSS/Atom, JSON Feed).
+3. Refreshes every category on a schedule and serves the stored
+   snapshots from MongoDB (stale-while-revalidate), and writes a daily
+   AI briefing of each category's top stories.
+4. Securely proxies requests to the AI model set in config/llm.json
+   (Gemini, an OpenAI-compatible server or an offline mock).
+5. Saves "Suggest a Topic" submissions to your MongoDB database,
+   checks them against earlier suggestions and stored articles, and
+   lists approved ones for readers to upvote. Approved suggestions are
+   drafted into original posts that editors review and publish.
+6. Runs the admin console (admin.html): password sign-in, ingestion
+   status, suggestion moderation, the post review queue and
+   maintenance actions.
+
+`npm run demo` runs all of this offline, on bundled fixtures and an
+in-memory database (see lib/demo.js).
 */
 
 // --- Dependencies ---
 require("dotenv").config(); // Loads .env file variables
+// Demo mode swaps in fixture categories and the mock AI provider, so it
+// has to be set up before the modules that read those settings load
+const {
+  DEMO_MODE,
+  useDemoEnvironment,
+  fetchFixturePage,
+  seedDemoData,
+} = require("./lib/demo");
+useDemoEnvironment();
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios"); // For making HTTP requests
-const { MongoClient } = require("mongodb");
-const cheerio = require("cheerio"); // For web scraping
+const { extractContent } = require("./lib/extractor"); // For web scraping
+const { assertFetchableUrl } = require("./lib/safe-fetch");
+const { politeFetch } = require("./lib/crawler");
+const { createStorage } = require("./lib/storage");
+const { toCoverage } = require("./lib/clustering");
+const { updateRelated, findRelated } = require("./lib/related");
+const {
+  LlmError,
+  getLlm,
+  findMissingApiKeys,
+  getAiUsage,
+  isAiQuotaExceeded,
+  useUsageCollection,
+} = require("./lib/llm");
+const {
+  consume,
+  checkRateLimit,
+  rateLimit,
+  useMongoStore,
+} = require("./lib/rate-limit");
+const { AskQueryError, answerQuestion } = require("./lib/ask");
+const {
+  CHECK_INTERVAL_MS: BRIEFING_CHECK_INTERVAL_MS,
+  isValidBriefingDate,
+  isBriefingDue,
+  ensureBriefingIndexes,
+  runDailyBriefings,
+  listBriefingDates,
+  getBriefings,
+} = require("./lib/briefings");
+const { validateCitations } = require("./lib/citations");
+const {
+  ChatRequestError,
+  validateQuestion,
+  loadChatArticle,
+  buildChatSystemPrompt,
+} = require("./lib/chat-context");
+const {
+  ensureSessionIndexes,
+  isValidConversationId,
+  createConversationId,
+  getSession,
+  buildHistory,
+  appendExchange,
+  toPublicSession,
+} = require("./lib/chat-sessions");
+const {
+  canSummarize,
+  isSummaryCurrent,
+  ensureSummary,
+} = require("./lib/summaries");
+const { createScheduler } = require("./lib/scheduler");
+const {
+  getSnapshotKey,
+  getRefreshIntervalMs,
+  getSnapshot,
+  getRetryDelayMs,
+  describeSnapshot,
+  updateClusterPrimaries,
+  refreshCategory,
+  isRefreshing,
+} = require("./lib/ingest");
+const {
+  listCategories,
+  getCategory,
+  toPublicCategory,
+} = require("./lib/categories");
+const {
+  getArticlesPage,
+  getFeedPage,
+  backfillFeedFields,
+} = require("./lib/feed");
+const { toArticleCard, toPublicArticle } = require("./lib/articles");
+const {
+  ensureEntityIndexes,
+  updateEntities,
+  forgetEntities,
+  backfillEntities,
+  getEntity,
+} = require("./lib/entities");
+const {
+  ensureAdminIndexes,
+  hasPermission,
+  listPermissions,
+  signIn,
+  getRequestSession,
+  hasValidCsrfToken,
+  signOut,
+  sessionCookie,
+} = require("./lib/admin-auth");
+const {
+  SearchQueryError,
+  ensureSearchIndex,
+  searchArticles,
+} = require("./lib/search");
+const {
+  SuggestionError,
+  ensureSuggestionIndexes,
+  getReaderKeys,
+  submitSuggestion,
+  voteForSuggestion,
+  listApprovedSuggestions,
+  getSuggestion,
+  listSuggestions,
+  moderateSuggestion,
+} = require("./lib/suggestions");
+const {
+  PostError,
+  ensurePostIndexes,
+  startDraft,
+  listPosts,
+  getPost,
+  updatePost,
+  setPostStatus,
+} = require("./lib/posts");
 
 // --- Environment Variables ---
 const PORT = process.env.PORT || 3000;
 // This key is now for newsapi.org
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
-const AI_CHAT_API_KEY = process.env.AI_CHAT_API_KEY;
 const MONGODB_URI = process.env.MONGODB_URI;
 const DB_NAME = process.env.DB_NAME || "ai-news-hub";
-const CACHE_CLEAR_KEY =
-  process.env.CACHE_CLEAR_KEY || "replace-this-with-a-real-secret-key";
+// Who may trigger a scrape of a URL that is not in our database:
+// "ingested" (hosts we already have articles from), "any" or "off"
+const DIRECT_SCRAPE_POLICY = process.env.DIRECT_SCRAPE_POLICY || "ingested";
+// After a scrape attempt, the publisher isn't asked again for this long
+const SCRAPE_RETRY_AFTER_MS = 6 * 60 * 60 * 1000;
+// Stored full text older than this is re-checked (with a conditional
+// GET) when someone reads the article
+const SCRAPE_REVALIDATE_AFTER_MS =
+  (Number(process.env.SCRAPE_REVALIDATE_HOURS) || 24) * 60 * 60 * 1000;
+
+// AI keys are only needed for the providers config/llm.json selects
+// (see lib/llm); the mock and local providers need none. Demo mode
+// needs no keys at all.
+const MISSING_API_KEYS = DEMO_MODE
+  ? []
+  : [
+      ...(NEWS_API_KEY ? [] : ["NEWS_API_KEY"]),
+      ...findMissingApiKeys(["chat", "ask", "summary", "briefing", "post"]),
+    ];
 
-if (!NEWS_API_KEY || !AI_CHAT_API_KEY) {
+if (MISSING_API_KEYS.length > 0) {
   console.error(
-    "FATAL ERROR: API keys (NEWS_API_KEY, AI_CHAT_API_KEY) are not defined in your .env file."
+    `FATAL ERROR: API keys (${MISSING_API_KEYS.join(
+      ", "
+    )}) are not defined in your .env file. Run \`npm run demo\` to try the site offline without them.`
   );
   process.exit(1);
 }
 
-if (!MONGODB_URI) {
+if (!MONGODB_URI && !DEMO_MODE) {
   console.warn(
-    "Warning: MONGODB_URI is not set. 'Suggest a Topic' and caching will not work."
+    "Warning: MONGODB_URI is not set. Articles, suggestions and caches are kept in memory and lost on restart."
   );
 }
 
 // --- Initialize Express App ---
 const app = express();
+// Behind a reverse proxy (e.g. Render), the client IP used for rate
+// limits comes from X-Forwarded-For; TRUST_PROXY is the number of proxies
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || 0);
 app.use(cors()); // Allow requests from your frontend
-app.use(express.json()); // Parse JSON request bodies
+// Requests only carry questions and IDs, never article text
+app.use(express.json({ limit: "16kb" })); // Parse JSON request bodies
 
 // --- Serve Static Files ---
 app.use(express.static(__dirname));
 
 // --- Database Connection ---
+// MongoDB when it's reachable, an in-process store while it isn't (see
+// lib/storage.js); the demo always uses the in-process store
+const storage = createStorage({
+  // MONGODB_URI is ignored so the demo never touches real data
+  uri: DEMO_MODE ? null : MONGODB_URI,
+  dbName: DB_NAME,
+  prepare: prepareDatabase,
+  // The demo corpus is small and should last as long as the server
+  memoryLimits: DEMO_MODE ? { maxDocuments: 0, ttlSeconds: 0 } : undefined,
+});
 let db;
-let articlesCollection;
-let suggestionsCollection;
-let cacheCollection;
+const articlesCollection = storage.collection("articles");
+const suggestionsCollection = storage.collection("suggestions");
+const suggestionVotesCollection = storage.collection("suggestionVotes");
+const postsCollection = storage.collection("posts");
+const cacheCollection = storage.collection("cache");
+const chatSessionsCollection = storage.collection("chatSessions");
+const rateLimitsCollection = storage.collection("rateLimits");
+const aiUsageCollection = storage.collection("aiUsage");
+const briefingsCollection = storage.collection("briefings");
+const entitiesCollection = storage.collection("entities");
+const adminsCollection = storage.collection("admins");
+const adminSessionsCollection = storage.collection("adminSessions");
+
+/**
+ * Creates the indexes every feature relies on. Runs for the in-process
+ * store at start-up and each time MongoDB is (re)connected.
+ * @param {string} backend - "mongo" or "memory"
+ */
+async function prepareDatabase(backend) {
+  // Category snapshots are kept until replaced by a newer one, so the
+  // old 1-hour TTL index (if present) has to go.
+  await cacheCollection.dropIndex("createdAt_1").catch(() => {});
+  await cacheCollection.createIndex({ key: 1 });
+  // Create index for fast article lookups
+  await articlesCollection.createIndex({ url: 1 }, { unique: true });
+  // Paginated category feeds (see lib/feed.js)
+  await articlesCollection.createIndex({
+    categories: 1,
+    isPrimary: 1,
+    publishedDate: -1,
+    url: -1,
+  });
+  await backfillFeedFields(articlesCollection);
+  // Full-text index for /api/search
+  await ensureSearchIndex(articlesCollection);
+  // Idle chat sessions expire
+  await ensureSessionIndexes(chatSessionsCollection);
+  // Rate-limit buckets and the daily AI quota survive restarts (until
+  // MongoDB is reachable, buckets stay in the rate limiter's own memory)
+  if (backend === "mongo") await useMongoStore(rateLimitsCollection);
+  await useUsageCollection(aiUsageCollection);
+  await ensureBriefingIndexes(briefingsCollection);
+  // Topic pages; articles stored before entity extraction (or under
+  // older rules) are caught up in the background
+  await ensureEntityIndexes(articlesCollection);
+  // Admin sessions expire
+  await ensureAdminIndexes(adminSessionsCollection);
+  await ensureSuggestionIndexes(suggestionsCollection);
+  await ensurePostIndexes(postsCollection);
+  if (backend === "mongo") {
+    backfillEntities({
+      articles: articlesCollection,
+      cache: cacheCollection,
+      entities: entitiesCollection,
+    }).catch((error) =>
+      console.error("Error backfilling entities:", error.message)
+    );
+  }
+}
 
 async function connectToDb() {
-  if (!MONGODB_URI) return;
   try {
-    const client = new MongoClient(MONGODB_URI);
-    await client.connect();
-    db = client.db(DB_NAME);
-    articlesCollection = db.collection("articles");
-    suggestionsCollection = db.collection("suggestions");
-    cacheCollection = db.collection("cache");
-
-    // Create index to auto-delete cache items after 1 hour
-    await cacheCollection.createIndex(
-      { createdAt: 1 },
-      { expireAfterSeconds: 3600 }
-    );
-    // Create index for fast article lookups
-    await articlesCollection.createIndex({ url: 1 }, { unique: true });
+    await storage.connect();
+    db = storage;
 
-    console.log("Successfully connected to MongoDB.");
+    if (DEMO_MODE) {
+      await seedDemoData({
+        admins: adminsCollection,
+        suggestions: suggestionsCollection,
+      });
+      console.log("[DEMO] Using an in-memory database; nothing is saved.");
+    }
   } catch (error) {
-    console.error("Failed to connect to MongoDB:", error);
+    console.error("Failed to set up storage:", error);
   }
 }
 
-// --- Helper Functions ---
-function getAuthorInitials(authorName) {
-  if (!authorName) return "NN";
-  const parts = authorName.split(" ");
-  if (parts.length > 1) {
-    return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
+// --- Scheduled Ingestion ---
+const scheduler = createScheduler();
+
+function getIngestCollections() {
+  return db
+    ? {
+        articles: articlesCollection,
+        cache: cacheCollection,
+        entities: entitiesCollection,
+      }
+    : {};
+}
+
+function refreshCategoryNow(category) {
+  return refreshCategory(category, getIngestCollections(), {
+    newsApiKey: NEWS_API_KEY,
+  });
+}
+
+/**
+ * A category's scheduled refresh. Skipped while the category is backing
+ * off after a failed refresh (e.g. one a stale /api/news request
+ * started); refreshes an admin asks for always run.
+ */
+async function runScheduledIngest(category, { manual }) {
+  if (!manual && db) {
+    const retryMs = await getRetryDelayMs(category, cacheCollection);
+    if (retryMs > 0) {
+      console.log(
+        `[INGEST] ${
+          category.slug
+        }: last refresh failed, retrying in ${Math.ceil(retryMs / 60000)} min`
+      );
+      return;
+    }
   }
-  return (authorName.substring(0, 2) || "NN").toUpperCase();
+  await refreshCategoryNow(category);
 }
 
 /**
- * Scrapes full article content from the article URL
- * Uses cheerio to parse HTML and extract main content
+ * Schedules a refresh job per category. Each category's first run is
+ * delayed until its stored snapshot would go stale (or its retry
+ * backoff ends), and categories are staggered so we don't hit every
+ * upstream at the same moment.
  */
-async function scrapeFullArticle(articleUrl) {
-  try {
-    const response = await axios.get(articleUrl, {
-      timeout: 8000,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-      },
-    });
+async function startIngestionSchedule() {
+  const categories = listCategories();
+  for (const [index, category] of categories.entries()) {
+    const intervalMs = getRefreshIntervalMs(category);
+    let initialDelayMs = index * 5000;
+
+    const snapshot = await getSnapshot(category.slug, cacheCollection).catch(
+      () => null
+    );
+    if (snapshot) {
+      const ageMs = Date.now() - new Date(snapshot.updatedAt).getTime();
+      initialDelayMs = Math.max(initialDelayMs, intervalMs - ageMs);
+    }
+    const retryMs = await getRetryDelayMs(category, cacheCollection).catch(
+      () => 0
+    );
+    initialDelayMs = Math.max(initialDelayMs, retryMs);
 
-    const $ = cheerio.load(response.data);
-
-    // Try multiple selectors in order until we find content
-    const selectors = [
-      "article",
-      "[role='main']",
-      "[role='article']",
-      ".article-body",
-      ".post-content",
-      ".entry-content",
-      ".article-content",
-      ".news-content",
-      "main",
-      ".content",
-      ".body",
-    ];
+    scheduler.schedule(
+      `ingest:${category.slug}`,
+      intervalMs,
+      (context) => runScheduledIngest(category, context),
+      { initialDelayMs }
+    );
+  }
+}
 
-    let paragraphs = [];
-
-    for (const selector of selectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        // Extract all paragraphs
-        const paras = element
-          .find("p")
-          .map((_, el) => {
-            const text = $(el).text().trim();
-            return text.length > 20 ? text : null;
-          })
-          .get()
-          .filter((p) => p !== null);
-
-        if (paras.length > 2) {
-          paragraphs = paras;
-          break;
-        }
-      }
-    }
+/**
+ * Checks hourly whether today's briefings are due and writes the missing
+ * ones. The first check waits for the first ingestion runs to finish.
+ */
+function startBriefingSchedule() {
+  scheduler.schedule(
+    "briefings",
+    BRIEFING_CHECK_INTERVAL_MS,
+    async () => {
+      if (!isBriefingDue()) return;
+      await runDailyBriefings(listCategories(), {
+        articles: articlesCollection,
+        briefings: briefingsCollection,
+      });
+    },
+    { initialDelayMs: 2 * 60 * 1000 }
+  );
+}
 
-    // If no paragraphs found, try alternative extraction
-    if (paragraphs.length === 0) {
-      paragraphs = $("p")
-        .map((_, el) => {
-          const text = $(el).text().trim();
-          return text.length > 20 ? text : null;
-        })
-        .get()
-        .filter((p) => p !== null);
-    }
+// --- Helper Functions ---
 
-    // If still no content, use body text split by sentences
-    if (paragraphs.length === 0) {
-      const bodyText = $("body").text();
-      if (bodyText) {
-        paragraphs = bodyText
-          .split(/(?<=[.!?])\s+/)
-          .map((sent) => sent.trim())
-          .filter((sent) => sent.length > 50);
-      }
+/**
+ * Scrapes full article content from the article URL
+ * Fetches politely via lib/crawler.js (robots.txt, per-host throttling,
+ * conditional GETs) and uses lib/extractor.js to find the main content
+ * @param {string} articleUrl - The article URL
+ * @param {object} [validators] - { etag, lastModified } from the last scrape
+ * @returns {Promise<object|null>} - { html, confidence, validators },
+ *   { notModified: true } if unchanged since the last scrape, or null
+ */
+async function scrapeFullArticle(articleUrl, validators) {
+  try {
+    // The demo "scrapes" its bundled pages instead of the network
+    const response = DEMO_MODE
+      ? await fetchFixturePage(articleUrl)
+      : await politeFetch(articleUrl, validators);
+    if (response.notModified) {
+      console.log(`Not modified since last scrape: ${articleUrl}`);
+      return { notModified: true, validators: response.validators };
     }
 
-    // Clean and format paragraphs
-    paragraphs = paragraphs
-      .map((para) => para.replace(/\s+/g, " ").substring(0, 1000))
-      .slice(0, 25) // Max 25 paragraphs
-      .map((para) => `<p>${para}</p>`)
-      .join("");
+    const extracted = extractContent(response.data, response.url);
+    if (!extracted) {
+      console.log(
+        `No article content found at ${articleUrl.substring(0, 50)}...`
+      );
+      return null;
+    }
 
     console.log(
-      `Scraped ${paragraphs.length} paragraphs from ${articleUrl.substring(
-        0,
-        50
-      )}...`
+      `Extracted ${extracted.wordCount} words (confidence ${
+        extracted.confidence
+      }) from ${articleUrl.substring(0, 50)}...`
     );
-
-    return paragraphs.length > 100 ? paragraphs : null;
+    return {
+      html: extracted.html,
+      confidence: extracted.confidence,
+      validators: response.validators,
+    };
   } catch (error) {
     console.error(`Failed to scrape ${articleUrl}:`, error.message);
     return null;
@@ -187,251 +432,310 @@ async function scrapeFullArticle(articleUrl) {
 }
 
 /**
- * Extracts keywords from article title and description
- * @param {string} title - Article title
- * @param {string} description - Article description
- * @returns {string[]} - Array of keywords
- */
-function extractKeywords(title, description) {
-  const text = `${title} ${description || ""}`.toLowerCase();
-  const words = text
-    .split(/[\s\-_.,!?;:()'"]+/)
-    .filter((word) => word.length > 3 && word.length < 25); // Allow shorter keywords
-
-  // Remove common stop words
-  const stopWords = new Set([
-    "about",
-    "after",
-    "also",
-    "back",
-    "been",
-    "before",
-    "being",
-    "between",
-    "both",
-    "could",
-    "during",
-    "each",
-    "first",
-    "from",
-    "have",
-    "having",
-    "here",
-    "just",
-    "more",
-    "most",
-    "other",
-    "should",
-    "since",
-    "some",
-    "such",
-    "than",
-    "that",
-    "their",
-    "there",
-    "these",
-    "this",
-    "those",
-    "through",
-    "time",
-    "under",
-    "until",
-    "very",
-    "what",
-    "when",
-    "where",
-    "which",
-    "while",
-    "with",
-    "would",
-    "your",
-    "will",
-    "has",
-    "had",
-    "can",
-    "the",
-    "and",
-    "for",
-    "are",
-    "was",
-    "but",
-    "not",
-    "you",
-    "all",
-    "our",
-  ]);
-
-  const keywords = [...new Set(words.filter((w) => !stopWords.has(w)))].slice(
-    0,
-    15
-  );
-  console.log(`[KEYWORDS] Extracted: ${keywords.join(", ")}`);
-  return keywords;
-}
-
-/**
- * Finds similar articles based on keyword matching
- * @param {string} articleUrl - URL of current article
- * @param {string} title - Article title
- * @param {string} description - Article description
- * @param {object} collection - MongoDB articles collection
- * @returns {Promise<array>} - Array of related articles
+ * Stores freshly scraped content on an article (for caching). Every
+ * attempt is recorded in 'lastScrapeAttemptAt', so we don't ask the
+ * publisher again for a while; 'scrapedAt' is when the stored content
+ * was last fetched or confirmed unchanged (a 304).
+ * @param {string} articleUrl - The article's URL (its ID)
+ * @param {object|null} scraped - From scrapeFullArticle()
+ * @returns {Promise<boolean>} - Whether new content was stored
  */
-async function findRelatedArticles(articleUrl, title, description, collection) {
-  try {
-    const keywords = extractKeywords(title, description);
-
-    if (keywords.length === 0) {
-      console.log("[RELATED] No keywords extracted");
-      return [];
-    }
+async function storeScrapedContent(articleUrl, scraped) {
+  const now = new Date();
+  if (scraped && scraped.html) {
+    await articlesCollection
+      .updateOne(
+        { url: articleUrl },
+        {
+          $set: {
+            fullContent: scraped.html,
+            extractionConfidence: scraped.confidence,
+            scrapeValidators: scraped.validators,
+            scrapedAt: now,
+            lastScrapeAttemptAt: now,
+            updatedAt: now,
+          },
+        }
+      )
+      .catch((err) => console.error("Error updating article:", err));
+    // The full text changes what this article is similar to and who
+    // it mentions
+    updateRelated([articleUrl], articlesCollection).catch((err) =>
+      console.error("Error updating related articles:", err.message)
+    );
+    updateEntities([articleUrl], getIngestCollections()).catch((err) =>
+      console.error("Error updating entities:", err.message)
+    );
+    return true;
+  }
 
-    console.log(`[RELATED] Searching for keywords: ${keywords.join(", ")}`);
+  const update = { lastScrapeAttemptAt: now };
+  if (scraped && scraped.notModified) {
+    update.scrapedAt = now;
+    if (scraped.validators) update.scrapeValidators = scraped.validators;
+  }
+  await articlesCollection
+    .updateOne({ url: articleUrl }, { $set: update })
+    .catch((err) => console.error("Error updating article:", err));
+  return false;
+}
 
-    // Try to find articles matching ANY of the keywords
-    const searchPattern = keywords.join("|");
+// Articles being re-checked in the background, by URL
+const revalidating = new Set();
 
-    const related = await collection
-      .find({
-        url: { $ne: articleUrl }, // Exclude current article
-        $or: [
-          { title: { $regex: searchPattern, $options: "i" } },
-          { description: { $regex: searchPattern, $options: "i" } },
-        ],
-      })
-      .limit(6)
-      .toArray();
+/**
+ * Re-checks an article's stored full text with a conditional GET, in
+ * the background: readers are served what is stored meanwhile.
+ * @param {object} article - Stored article with fullContent
+ */
+function revalidateScrapedContent(article) {
+  if (revalidating.has(article.url)) return;
+  revalidating.add(article.url);
+  console.log(`[SCRAPING] Revalidating: ${article.url}`);
+  scrapeFullArticle(article.url, article.scrapeValidators)
+    .then((scraped) => storeScrapedContent(article.url, scraped))
+    .catch((err) => console.error("Error revalidating article:", err.message))
+    .finally(() => revalidating.delete(article.url));
+}
 
-    console.log(`[RELATED] Found ${related.length} related articles`);
-    return related.slice(0, 3); // Return max 3 related articles
-  } catch (error) {
-    console.error("Error finding related articles:", error);
-    return [];
-  }
+/**
+ * Checks whether a URL that is not in our database may be scraped
+ * directly, according to DIRECT_SCRAPE_POLICY.
+ * @param {string} articleUrl - The requested article URL
+ * @returns {Promise<boolean>}
+ */
+async function isDirectScrapeAllowed(articleUrl) {
+  if (DIRECT_SCRAPE_POLICY === "off") return false;
+  if (DIRECT_SCRAPE_POLICY === "any") return true;
+
+  // "ingested": only hosts we already have at least one article from
+  const host = new URL(articleUrl).hostname.replace(/^www\./, "");
+  const escapedHost = host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const known = await articlesCollection.findOne(
+    {
+      url: {
+        $regex: `^https?://(www\\.)?${escapedHost}(:\\d+)?/`,
+        $options: "i",
+      },
+    },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(known);
 }
 
 /**
- * [MODIFIED] Formats data from newsapi.org API to match the frontend's expected structure.
+ * Demo mode: ingests every category, scrapes the bundled pages and
+ * writes today's briefings right away, so search, recommendations,
+ * topic pages and briefings have content from the first page view.
  */
-function formatArticle(article, category) {
-  // Use 'author' if it exists, otherwise 'source.name'
-  const author = article.author || article.source.name || "Unknown";
+async function prepareDemoContent() {
+  const categories = listCategories();
+  for (const category of categories) {
+    await refreshCategoryNow(category).catch((error) =>
+      console.error(
+        `Demo ingestion failed for ${category.slug}:`,
+        error.message
+      )
+    );
+  }
 
-  return {
-    // We use the article 'url' as the unique ID
-    id: article.url,
-    title: article.title,
-    description: article.description || "No description available.",
-    // newsapi.org 'content' is often partial, fallback to description
-    content: `<p>${
-      article.content || article.description || "No description available."
-    }</p>`,
-    // Use 'urlToImage' instead of 'image_url'
-    imageUrl:
-      article.urlToImage ||
-      `https://placehold.co/600x400/efeded/363636?text=${encodeURIComponent(
-        article.title.split(" ")[0] || "News"
-      )}`,
-    // Use 'source.name' instead of 'source_id'
-    source: article.source.name || "Unknown Source",
-    // Use 'publishedAt' instead of 'pubDate'
-    publishedAt: new Date(article.publishedAt).toLocaleDateString(),
-    category: category, // Pass through the category we originally requested
-    author: author,
-    authorInitials: getAuthorInitials(author),
-    // The original URL to the article
-    url: article.url,
-  };
+  const urls = (
+    await articlesCollection.find({}).project({ url: 1 }).toArray()
+  ).map((article) => article.url);
+  for (const url of urls) {
+    await storeScrapedContent(url, await scrapeFullArticle(url));
+  }
+  // Each category was ranked before the next one was stored
+  await updateRelated(urls, articlesCollection);
+
+  const report = await runDailyBriefings(categories, {
+    articles: articlesCollection,
+    briefings: briefingsCollection,
+  });
+  console.log(
+    `[DEMO] Ingested ${urls.length} articles, wrote ${report.written.length} briefings`
+  );
 }
 
 // --- API Endpoints ---
 
+/**
+ * [GET] /api/categories
+ * Returns the category registry (slug, label, page) for the nav.
+ */
+app.get("/api/categories", (req, res) => {
+  res.json(listCategories().map(toPublicCategory));
+});
+
 /**
  * [MODIFIED] /api/news
- * Fetches news for a specific category from newsapi.org
- * Caches results in MongoDB for 1 hour.
+ * Serves one page of a category's stored articles right away and
+ * refreshes the category in the background once its snapshot is stale.
+ * Only when nothing is stored yet does the reader wait on a live fetch.
+ * Query: category, cursor (from a previous page's nextCursor), limit
+ * Response: { articles, nextCursor,
+ *   snapshot: { updatedAt, ageSeconds, stale, refreshing } }
  */
 app.get("/api/news", async (req, res) => {
-  const category = req.query.category || "general";
-  // [MODIFIED] Updated cache key
-  const cacheKey = `news_newsapi_${category}`;
-
-  // 1. Try to find a valid cache entry
-  if (db) {
-    const cachedData = await cacheCollection.findOne({ key: cacheKey });
-    if (cachedData) {
-      console.log(`[Cache HIT] /api/news?category=${category}`);
-      return res.json(cachedData.data);
-    }
+  const category = req.query.category || "topstories";
+  const categoryConfig = getCategory(category);
+  if (!categoryConfig) {
+    return res.status(404).json({ error: `Unknown category: ${category}` });
   }
 
-  console.log(`[Cache MISS] /api/news?category=${category}`);
+  try {
+    // Without a database there is nothing to page through
+    if (!db) {
+      const articles = await refreshCategoryNow(categoryConfig);
+      return res.json({
+        articles: articles.map(toArticleCard),
+        nextCursor: null,
+        snapshot: {
+          updatedAt: new Date(),
+          ageSeconds: 0,
+          stale: false,
+          refreshing: false,
+        },
+      });
+    }
+
+    // 1. Check how fresh the category is
+    const snapshot = await getSnapshot(category, cacheCollection);
+
+    if (!snapshot) {
+      // 2. Never ingested - fetch live (shared with any refresh in progress),
+      // unless the last attempt failed too recently to try again
+      const retryMs = isRefreshing(category)
+        ? 0
+        : await getRetryDelayMs(categoryConfig, cacheCollection);
+      if (retryMs > 0) {
+        console.log(
+          `[Cache MISS] /api/news?category=${category} (backing off)`
+        );
+        res.set("Retry-After", String(Math.ceil(retryMs / 1000)));
+        return res.status(503).json({
+          error: `${categoryConfig.label} news is temporarily unavailable. Please try again later.`,
+        });
+      }
+      console.log(`[Cache MISS] /api/news?category=${category}`);
+      await refreshCategoryNow(categoryConfig);
+    } else if (
+      describeSnapshot(snapshot, categoryConfig).stale &&
+      !isRefreshing(category)
+    ) {
+      // Serve the stale snapshot; refresh in the background unless the
+      // last attempt failed too recently to try again
+      if ((await getRetryDelayMs(categoryConfig, cacheCollection)) > 0) {
+        console.log(
+          `[Cache STALE] /api/news?category=${category} (backing off)`
+        );
+      } else {
+        console.log(`[Cache STALE] /api/news?category=${category}`);
+        refreshCategoryNow(categoryConfig).catch((error) =>
+          console.error(
+            `Background refresh failed for ${category}:`,
+            error.message
+          )
+        );
+      }
+    } else {
+      console.log(`[Cache HIT] /api/news?category=${category}`);
+    }
 
-  // 2. [MODIFIED] Map frontend categories to newsapi.org categories
-  // Valid categories: business, entertainment, general, health, science, sports, technology
-  let apiCategory;
-  if (category === "topstories") {
-    apiCategory = "general"; // Map 'topstories' to 'general'
-  } else if (category === "jobs") {
-    apiCategory = "business"; // Map 'jobs' to 'business'
-  } else {
-    apiCategory = category;
+    // 3. Serve the requested page from the stored articles
+    const page = await getFeedPage(
+      category,
+      { cursor: req.query.cursor, limit: req.query.limit },
+      articlesCollection
+    );
+    const info = snapshot
+      ? describeSnapshot(snapshot, categoryConfig)
+      : { updatedAt: new Date(), ageSeconds: 0, stale: false };
+
+    res.json({
+      articles: page.articles.map(toArticleCard),
+      nextCursor: page.nextCursor,
+      snapshot: { ...info, refreshing: isRefreshing(category) },
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error fetching news sources:", error.message);
+    res.status(500).json({ error: "Failed to fetch news" });
   }
+});
 
-  // [MODIFIED] Use newsapi.org endpoint
-  const newsApiUrl = "https://newsapi.org/v2/top-headlines";
+/**
+ * [NEW] /api/search
+ * Full-text search over every stored article.
+ * Query: q, category, from, to (dates), sort ("relevance" | "date"),
+ * page, limit
+ * Response: { query, results, total, page, hasMore } - each result is an
+ * article with a 'snippet' (HTML, query terms wrapped in <mark>)
+ */
+app.get("/api/search", async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+  if (req.query.category && !getCategory(req.query.category)) {
+    return res
+      .status(404)
+      .json({ error: `Unknown category: ${req.query.category}` });
+  }
 
   try {
-    // 3. [MODIFIED] Fetch from newsapi.org API
-    const response = await axios.get(newsApiUrl, {
-      params: {
-        apiKey: NEWS_API_KEY, // Parameter name is 'apiKey' (camelCase)
-        category: apiCategory,
-        country: "us",
-        // 'language' is not a param for top-headlines, 'country=us' implies english
-      },
-    });
+    const results = await searchArticles(req.query, articlesCollection);
+    res.json(results);
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error searching articles:", error);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
 
-    // 4. [MODIFIED] Format the data (response key is 'articles')
-    let formattedArticles = [];
-    if (response.data.articles) {
-      formattedArticles = response.data.articles.map(
-        (article) => formatArticle(article, category) // Pass in the original category
-      );
-    } else {
-      console.warn("No 'articles' field in API response:", response.data);
-    }
-
-    // 5. Save articles and cache the result
-    if (db) {
-      // Save individual articles for later lookup
-      if (formattedArticles.length > 0) {
-        const operations = formattedArticles.map((article) => ({
-          updateOne: {
-            filter: { url: article.url }, // 'url' is the unique ID
-            update: { $set: article },
-            upsert: true,
-          },
-        }));
-        await articlesCollection.bulkWrite(operations);
-      }
+/**
+ * [NEW] /api/entities/:slug
+ * A topic page: a person, organization, place or product and every
+ * stored story that mentions it, newest first.
+ * Query: cursor (from a previous page's nextCursor), limit
+ * Response: { entity: { slug, name, type, aliases, articleCount,
+ *   firstSeenAt, updatedAt }, articles, nextCursor }
+ */
+app.get("/api/entities/:slug", async (req, res) => {
+  const { slug } = req.params;
+  if (!/^[a-z0-9-]+$/.test(slug)) {
+    return res.status(400).json({ error: "Invalid topic" });
+  }
 
-      // Save the entire category response to the cache
-      await cacheCollection.insertOne({
-        key: cacheKey,
-        data: formattedArticles,
-        createdAt: new Date(),
-      });
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const entity = await getEntity(slug, entitiesCollection);
+    if (!entity) {
+      return res.status(404).json({ error: `Unknown topic: ${slug}` });
     }
 
-    // 6. Send response
-    res.json(formattedArticles);
-  } catch (error) {
-    console.error(
-      "Error fetching from News API (newsapi.org):",
-      error.response ? error.response.data : error.message
+    const page = await getArticlesPage(
+      { "entities.slug": slug },
+      { cursor: req.query.cursor, limit: req.query.limit },
+      articlesCollection
     );
-    res.status(500).json({ error: "Failed to fetch news" });
+    res.json({
+      entity,
+      articles: page.articles.map(toArticleCard),
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error loading topic:", error.message);
+    res.status(500).json({ error: "Failed to load topic" });
   }
 });
 
@@ -455,49 +759,126 @@ app.get("/api/article", async (req, res) => {
     let article = await articlesCollection.findOne({ url: articleUrl });
 
     if (article) {
-      // Always try to scrape if we don't have good content
-      if (!article.fullContent || article.fullContent.length < 150) {
+      // Try to scrape if we don't have good content, or re-check good
+      // content once it is old - unless we asked the publisher recently,
+      // so readers don't make us hammer it
+      const recentlyAttempted =
+        article.lastScrapeAttemptAt &&
+        Date.now() - new Date(article.lastScrapeAttemptAt).getTime() <
+          SCRAPE_RETRY_AFTER_MS;
+      const hasFullText =
+        article.fullContent && article.fullContent.length >= 150;
+      // Articles scraped before 'scrapedAt' existed go by their last update
+      const scrapedAt = article.scrapedAt || article.updatedAt;
+
+      // Readers over the scrape limit get what we have stored
+      const needsScrape =
+        !article.original && !hasFullText && !recentlyAttempted;
+      const needsRevalidation =
+        !article.original &&
+        hasFullText &&
+        !recentlyAttempted &&
+        (!scrapedAt ||
+          Date.now() - new Date(scrapedAt).getTime() >
+            SCRAPE_REVALIDATE_AFTER_MS);
+      if (needsRevalidation && (await consume("scrape", req.ip)).allowed) {
+        revalidateScrapedContent(article);
+      }
+      if (needsScrape && !(await consume("scrape", req.ip)).allowed) {
+        console.warn(`[RATE-LIMIT] scrape limit hit by ${req.ip}`);
+      } else if (needsScrape) {
         console.log(
           `[SCRAPING] Attempting to get full content for: ${articleUrl}`
         );
-        const scrapedContent = await scrapeFullArticle(articleUrl);
-
-        if (scrapedContent && scrapedContent.length > 150) {
-          console.log(`[SCRAPING] Success! Got ${scrapedContent.length} chars`);
-          article.fullContent = scrapedContent;
-          // Update DB with scraped content (for caching)
-          await articlesCollection
-            .updateOne(
-              { url: articleUrl },
-              { $set: { fullContent: scrapedContent, updatedAt: new Date() } }
-            )
-            .catch((err) => console.error("Error updating article:", err));
-        } else {
+        const scraped = await scrapeFullArticle(
+          articleUrl,
+          article.fullContent ? article.scrapeValidators : undefined
+        );
+
+        if (await storeScrapedContent(articleUrl, scraped)) {
+          console.log(
+            `[SCRAPING] Success! Got ${scraped.html.length} chars (confidence ${scraped.confidence})`
+          );
+          article.fullContent = scraped.html;
+          article.extractionConfidence = scraped.confidence;
+        } else if (!scraped || !scraped.notModified) {
           console.log(`[SCRAPING] Failed or got too little content`);
-          // If we still don't have good content, use article description as fallback
-          if (!article.fullContent) {
-            article.fullContent =
-              article.description ||
-              article.content ||
-              "Article content not available";
-          }
         }
       }
 
-      res.json(article);
+      // The AI summary is served once it matches the current content;
+      // otherwise it is generated in the background and the page fetches
+      // it from /api/article/summary
+      const aiQuotaExceeded = await isAiQuotaExceeded();
+      if (isSummaryCurrent(article)) {
+        article.summaryStatus = "ready";
+      } else {
+        delete article.summary;
+        article.summaryStatus =
+          canSummarize(article) && !aiQuotaExceeded ? "pending" : "unavailable";
+        if (article.summaryStatus === "pending") {
+          ensureSummary(article, articlesCollection).catch((err) =>
+            console.error("Error generating summary:", err.message)
+          );
+        }
+      }
+
+      // If we still don't have good content, use article description as fallback
+      if (!article.fullContent) {
+        article.fullContent =
+          article.description ||
+          article.content ||
+          "Article content not available";
+        article.extractionConfidence = 0;
+      }
+
+      // Other outlets' versions of the same story
+      article.alsoCoveredBy = [];
+      if (article.clusterId) {
+        const versions = await articlesCollection
+          .find({ clusterId: article.clusterId, url: { $ne: articleUrl } })
+          .limit(10)
+          .toArray();
+        article.alsoCoveredBy = versions
+          .filter((version) => version.source !== article.source)
+          .map(toCoverage);
+      }
+
+      // Chat is switched off for the day once the AI quota is used up
+      article.chatAvailable = !aiQuotaExceeded;
+
+      res.json(toPublicArticle(article));
     } else {
-      // If not in DB, try to scrape directly
+      // If not in DB, try to scrape directly - but only public http(s)
+      // URLs on hosts the scrape policy allows
+      try {
+        assertFetchableUrl(articleUrl);
+      } catch (error) {
+        return res
+          .status(error.statusCode || 400)
+          .json({ error: error.message });
+      }
+      if (!(await isDirectScrapeAllowed(articleUrl))) {
+        return res.status(403).json({
+          error:
+            "Direct scraping is only allowed for sources we already follow.",
+        });
+      }
+      if (!(await checkRateLimit("scrape", req, res))) return;
+
       console.log(
         `[SCRAPING] Article not in DB, attempting direct scrape: ${articleUrl}`
       );
-      const scrapedContent = await scrapeFullArticle(articleUrl);
+      const scraped = await scrapeFullArticle(articleUrl);
 
-      if (scrapedContent) {
+      if (scraped) {
+        const plainText = scraped.html.replace(/<[^>]+>/g, " ").trim();
         res.json({
           id: articleUrl,
           url: articleUrl,
-          fullContent: scrapedContent,
-          description: scrapedContent.substring(0, 200),
+          fullContent: scraped.html,
+          extractionConfidence: scraped.confidence,
+          description: plainText.replace(/\s+/g, " ").substring(0, 200),
           title: "Article",
           author: "Unknown",
           source: "Direct Scrape",
@@ -505,14 +886,14 @@ app.get("/api/article", async (req, res) => {
           category: "general",
           publishedAt: new Date().toLocaleDateString(),
           authorInitials: "UN",
-          content: scrapedContent,
+          content: scraped.html,
+          // Chat answers from stored articles only
+          chatAvailable: false,
         });
       } else {
-        res
-          .status(404)
-          .json({
-            error: "Article not found in database or unable to scrape.",
-          });
+        res.status(404).json({
+          error: "Article not found in database or unable to scrape.",
+        });
       }
     }
   } catch (error) {
@@ -524,18 +905,74 @@ app.get("/api/article", async (req, res) => {
 });
 
 /**
- * [GET] /api/related-articles
- * Finds similar articles based on keywords
+ * [NEW] /api/article/summary
+ * Returns an article's AI summary, waiting for it to be generated if
+ * it is missing or out of date.
+ * Response: { summary: { text, keyPoints, model, promptVersion, generatedAt } }
+ */
+app.get("/api/article/summary", async (req, res) => {
+  const articleUrl = req.query.id;
+  if (!articleUrl) {
+    return res.status(400).json({ error: "No article ID provided" });
+  }
+
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const article = await articlesCollection.findOne(
+      { url: articleUrl },
+      {
+        projection: {
+          url: 1,
+          title: 1,
+          fullContent: 1,
+          extractionConfidence: 1,
+          summary: 1,
+        },
+      }
+    );
+    if (!article) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+    // Only generating a summary costs anything
+    if (
+      canSummarize(article) &&
+      !isSummaryCurrent(article) &&
+      !(await checkRateLimit("summary", req, res))
+    ) {
+      return;
+    }
+
+    const summary = await ensureSummary(article, articlesCollection);
+    if (!summary) {
+      return res
+        .status(404)
+        .json({ error: "This article has no full text to summarize." });
+    }
+
+    const { contentHash, ...publicSummary } = summary;
+    res.json({ summary: publicSummary });
+  } catch (error) {
+    console.error("Error generating summary:", error.message);
+    res.status(502).json({ error: "Failed to generate summary." });
+  }
+});
+
+/**
+ * [MODIFIED] /api/related-articles
+ * Returns the ranked recommendations stored on an article at ingestion.
+ * Articles without stored recommendations (older or not stored at all)
+ * are ranked on demand from the url/title/description given.
+ * Response: [{ id, url, title, description, imageUrl, category, source,
+ *   score, reason }]
  */
 app.get("/api/related-articles", async (req, res) => {
   const articleUrl = req.query.url;
-  const title = req.query.title;
-  const description = req.query.description;
-
-  console.log(`[RELATED-API] Request - URL: ${articleUrl}, Title: ${title}`);
 
-  if (!articleUrl || !title) {
-    return res.status(400).json({ error: "Article URL and title required" });
+  if (!articleUrl) {
+    return res.status(400).json({ error: "Article URL required" });
   }
 
   if (!db) {
@@ -543,15 +980,48 @@ app.get("/api/related-articles", async (req, res) => {
   }
 
   try {
-    const related = await findRelatedArticles(
-      articleUrl,
-      title,
-      description || "",
+    const stored = await articlesCollection.findOne(
+      { url: articleUrl },
+      {
+        projection: {
+          url: 1,
+          title: 1,
+          description: 1,
+          fullContent: 1,
+          clusterId: 1,
+          related: 1,
+        },
+      }
+    );
+
+    if (stored && Array.isArray(stored.related)) {
+      return res.json(stored.related);
+    }
+
+    if (!stored && !req.query.title) {
+      return res.status(400).json({ error: "Article URL and title required" });
+    }
+
+    const related = await findRelated(
+      stored || {
+        url: articleUrl,
+        title: req.query.title,
+        description: req.query.description || "",
+      },
       articlesCollection
     );
 
-    console.log(`[RELATED-API] Returning ${related.length} related articles`);
-    res.json(related || []);
+    if (stored) {
+      await articlesCollection
+        .updateOne(
+          { url: articleUrl },
+          { $set: { related, relatedUpdatedAt: new Date() } }
+        )
+        .catch((err) => console.error("Error storing related articles:", err));
+    }
+
+    console.log(`[RELATED-API] Ranked ${related.length} related articles`);
+    res.json(related);
   } catch (error) {
     console.error("Error finding related articles:", error);
     res
@@ -560,155 +1030,1158 @@ app.get("/api/related-articles", async (req, res) => {
   }
 });
 
+// --- Article Chat ---
+
 /**
- * [POST] /api/chat
- * Sends a prompt and article content to the AI model.
+ * Loads what a chat request needs: the stored article (split into
+ * numbered paragraphs to cite, within the token budget), the system
+ * prompt, the earlier conversation about this article (if the client
+ * passed its ID) and the conversation ID to answer with.
+ * @param {object} body - { userQuery, articleId, conversationId }
+ * @returns {Promise<object>} - { question, articleUrl, systemPrompt,
+ *   paragraphs, history, conversationId }
+ * @throws {ChatRequestError} - For a bad question or unknown article
  */
-app.post("/api/chat", async (req, res) => {
-  const { userQuery, articleContent } = req.body;
-
-  if (!userQuery || !articleContent) {
-    return res
-      .status(400)
-      .json({ error: "Query and article content are required." });
-  }
-
-  const AI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${AI_CHAT_API_KEY}`;
-
-  const systemPrompt = `You are a helpful AI assistant. A user is reading an article. Answer their questions based *only* on the article content provided. Do not use any external knowledge. If the answer is not in the article, say so.
+async function loadChatContext(body) {
+  const question = validateQuestion(body.userQuery);
+  const { article, paragraphs, truncated } = await loadChatArticle(
+    body.articleId,
+    articlesCollection
+  );
 
-Article Content:
-${articleContent}`;
+  const session = body.conversationId
+    ? await getSession(body.conversationId, article.url, chatSessionsCollection)
+    : null;
 
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: {
-      parts: [{ text: systemPrompt }],
-    },
+  return {
+    question,
+    articleUrl: article.url,
+    systemPrompt: buildChatSystemPrompt(article, paragraphs, truncated),
+    paragraphs,
+    history: session ? buildHistory(session.messages) : [],
+    conversationId: session ? session._id : createConversationId(),
   };
+}
 
-  try {
-    const response = await axios.post(AI_API_URL, payload);
-    const aiResponse = response.data.candidates[0].content.parts[0].text;
-    res.json({ response: aiResponse });
-  } catch (error) {
-    console.error(
-      "Error calling AI Chat API:",
-      error.response ? error.response.data : error.message
+/**
+ * Checks an answer's citations and logs answers that aren't grounded.
+ * @returns {object} - { citations, invalidCitations, grounded }
+ */
+function checkCitations(answer, paragraphs) {
+  const { citations, invalid, grounded } = validateCitations(
+    answer,
+    paragraphs
+  );
+  if (!grounded || invalid.length > 0) {
+    console.warn(
+      `[CHAT] Answer ${
+        grounded ? "has invalid citations" : "cites nothing"
+      } (invalid: ${invalid.join(", ") || "none"})`
     );
-    res.status(500).json({ error: "Failed to get response from AI model." });
   }
-});
+  return { citations, invalidCitations: invalid, grounded };
+}
 
 /**
- * [POST] /api/suggest
- * Saves a user's topic suggestion to the database.
+ * Remembers a question and answer for follow-up questions.
+ * @param {object} context - From loadChatContext()
+ * @param {string} answer - The model's reply (possibly partial)
  */
-app.post("/api/suggest", async (req, res) => {
-  if (!db) {
-    return res.status(503).json({ error: "Database not connected" });
-  }
-
-  try {
-    const { title, details } = req.body;
-    if (!title) {
-      return res.status(400).json({ error: "Topic title is required." });
-    }
-
-    await suggestionsCollection.insertOne({
-      title,
-      details,
-      createdAt: new Date(),
-    });
+async function saveChatExchange(context, answer) {
+  if (!context || !answer) return;
+  await appendExchange(
+    context.conversationId,
+    context.articleUrl,
+    context.question,
+    answer,
+    chatSessionsCollection
+  ).catch((err) => console.error("Error saving chat session:", err));
+}
 
-    res.status(201).json({ message: "Suggestion received! Thank you." });
-  } catch (error) {
-    console.error("Error saving suggestion:", error);
-    res.status(500).json({ error: "Failed to save suggestion." });
-  }
-});
+const AI_QUOTA_MESSAGE =
+  "The AI assistant has reached its daily limit. Please try again tomorrow.";
 
-// --- Cache Clear Endpoint ---
 /**
- * [GET] /api/clear-cache
- * Deletes all documents from the 'cache' collection.
- * Requires a secret key to be passed as a query parameter.
+ * Sends the 503 for AI features switched off by the daily quota.
  */
-app.get("/api/clear-cache", async (req, res) => {
-  const { key } = req.query;
+async function sendQuotaExceeded(res) {
+  const { resetsInSeconds } = await getAiUsage();
+  res.set("Retry-After", String(resetsInSeconds));
+  res.status(503).json({ error: AI_QUOTA_MESSAGE, quotaExceeded: true });
+}
 
-  // 1. Check for the secret key
-  if (key !== CACHE_CLEAR_KEY) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Sends the error response for a failed chat request.
+ */
+async function sendChatError(res, error) {
+  if (error instanceof ChatRequestError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof LlmError && error.quotaExceeded) {
+    return sendQuotaExceeded(res);
   }
+  console.error("Error calling AI Chat API:", error.message);
+  res.status(500).json({ error: "Failed to get response from AI model." });
+}
 
-  // 2. Check for database connection
+/**
+ * [POST] /api/chat
+ * Answers a question about a stored article. The server loads the
+ * article itself (by its ID, the article URL); client-supplied article
+ * text is not accepted. Questions, article text and answers are capped
+ * (see lib/chat-context.js and config/llm.json).
+ * Conversations are multi-turn: pass back the 'conversationId' from the
+ * previous answer and the earlier exchange is sent to the model as history.
+ * Answers cite the article's paragraphs as [n] (numbered like the
+ * article page's blocks); the citations are validated before returning.
+ * Body: { userQuery, articleId, conversationId }
+ * Response: { response, citations: [{ index, supported }],
+ *   invalidCitations, grounded, conversationId }
+ */
+app.post("/api/chat", rateLimit("chat"), async (req, res) => {
   if (!db) {
     return res.status(503).json({ error: "Database not connected" });
   }
+  if (await isAiQuotaExceeded()) return sendQuotaExceeded(res);
 
-  // 3. Clear the cache
   try {
-    const deleteResult = await cacheCollection.deleteMany({});
-    console.log(`[CACHE CLEARED] Deleted ${deleteResult.deletedCount} items.`);
-    res.status(200).json({
-      message: "Cache cleared successfully.",
-      deletedCount: deleteResult.deletedCount,
+    const context = await loadChatContext(req.body || {});
+
+    const aiResponse = await getLlm("chat").generate({
+      system: context.systemPrompt,
+      messages: [
+        ...context.history,
+        { role: "user", content: context.question },
+      ],
+    });
+
+    await saveChatExchange(context, aiResponse);
+    res.json({
+      response: aiResponse,
+      ...checkCitations(aiResponse, context.paragraphs),
+      conversationId: context.conversationId,
     });
   } catch (error) {
-    console.error("Error clearing cache:", error);
-    res.status(500).json({ error: "Failed to clear cache." });
+    sendChatError(res, error);
   }
 });
 
 /**
- * [GET] /api/clear-articles
- * Removes fullContent from all articles to force re-scraping.
- * Requires a secret key to be passed as a query parameter.
+ * [POST] /api/chat/stream
+ * Same as /api/chat, but streams the answer as Server-Sent Events:
+ *   event: start  data: { conversationId }
+ *   event: token  data: { text }   (repeated)
+ *   event: done   data: { conversationId, citations, invalidCitations,
+ *                         grounded }
+ *   event: error  data: { error }
+ * Closing the connection cancels the model request; whatever was
+ * answered so far is kept in the conversation.
  */
-app.get("/api/clear-articles", async (req, res) => {
-  const { key } = req.query;
-
-  if (key !== CACHE_CLEAR_KEY) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-
+app.post("/api/chat/stream", rateLimit("chat"), async (req, res) => {
   if (!db) {
     return res.status(503).json({ error: "Database not connected" });
   }
+  if (await isAiQuotaExceeded()) return sendQuotaExceeded(res);
 
-  try {
-    const result = await articlesCollection.updateMany(
-      {},
-      { $unset: { fullContent: "" } }
-    );
-    console.log(`[ARTICLES CLEARED] Updated ${result.modifiedCount} articles.`);
-    res.status(200).json({
-      message: "Articles cleared for re-scraping.",
-      modifiedCount: result.modifiedCount,
-    });
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop asking the model once the reader cancels or leaves
+  const upstream = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  let context = null;
+  let answer = "";
+  try {
+    context = await loadChatContext(req.body || {});
+    const { conversationId } = context;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Don't let proxies buffer the stream
+    });
+    sendEvent("start", { conversationId });
+
+    await getLlm("chat").stream({
+      system: context.systemPrompt,
+      messages: [
+        ...context.history,
+        { role: "user", content: context.question },
+      ],
+      signal: upstream.signal,
+      onText: (text) => {
+        answer += text;
+        sendEvent("token", { text });
+      },
+    });
+
+    sendEvent("done", {
+      conversationId,
+      ...checkCitations(answer, context.paragraphs),
+    });
+    res.end();
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      console.log("[CHAT] Stream cancelled by the reader");
+    } else {
+      if (!res.headersSent) return sendChatError(res, error);
+      if (error instanceof LlmError && error.quotaExceeded) {
+        sendEvent("error", { error: AI_QUOTA_MESSAGE, quotaExceeded: true });
+      } else {
+        console.error("Error streaming AI Chat API:", error.message);
+        sendEvent("error", { error: "Failed to get response from AI model." });
+      }
+      res.end();
+    }
+  } finally {
+    await saveChatExchange(context, answer);
+  }
+});
+
+/**
+ * [POST] /api/ask
+ * "Ask the news": answers a question from the whole archive. The most
+ * relevant stored articles are retrieved and given to the model, which
+ * cites them as [n]; 'sources' lists them in that numbering.
+ * Body: { question }
+ * Response: { question, answer, sources: [{ index, id, title, source,
+ *   publishedAt, category, imageUrl }], citations, invalidCitations,
+ *   grounded }
+ */
+app.post("/api/ask", rateLimit("ask"), async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+  if (await isAiQuotaExceeded()) return sendQuotaExceeded(res);
+
+  try {
+    const { question } = req.body || {};
+    const result = await answerQuestion(question, articlesCollection);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AskQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof LlmError && error.quotaExceeded) {
+      return sendQuotaExceeded(res);
+    }
+    console.error("Error answering question:", error.message);
+    res.status(500).json({ error: "Failed to get response from AI model." });
+  }
+});
+
+/**
+ * [GET] /api/briefings
+ * Daily briefings: one AI-written overview per category of the day's
+ * top stories, citing them as [n] ('stories' lists them in that order).
+ * Query: date ("YYYY-MM-DD", default the latest day), category (optional)
+ * Response: { date, dates: [archive days, newest first],
+ *   briefings: [{ date, category, label, narrative, stories, citations,
+ *   grounded, model, provider, generatedAt }] }
+ */
+app.get("/api/briefings", async (req, res) => {
+  const { date, category } = req.query;
+  if (date && !isValidBriefingDate(date)) {
+    return res.status(400).json({ error: "Dates must look like 2024-05-01" });
+  }
+  if (category && !getCategory(category)) {
+    return res.status(404).json({ error: `Unknown category: ${category}` });
+  }
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const dates = await listBriefingDates(briefingsCollection);
+    const day = date || dates[0];
+    if (!day) return res.json({ date: null, dates, briefings: [] });
+
+    // Same order as the category navigation
+    const order = listCategories().map((c) => c.slug);
+    const briefings = (
+      await getBriefings(day, briefingsCollection, category)
+    ).sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+
+    res.json({ date: day, dates, briefings });
+  } catch (error) {
+    console.error("Error fetching briefings:", error);
+    res.status(500).json({ error: "Failed to fetch briefings" });
+  }
+});
+
+/**
+ * [GET] /api/chat/session
+ * Returns a stored conversation so the chat modal can show it again.
+ * Query: id (conversationId), article (article URL)
+ * Response: { conversationId, articleUrl, messages: [{ role, text, createdAt }] }
+ */
+app.get("/api/chat/session", async (req, res) => {
+  const { id, article } = req.query;
+  if (!isValidConversationId(id) || !article) {
+    return res
+      .status(400)
+      .json({ error: "A conversation ID and article URL are required." });
+  }
+
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const session = await getSession(id, article, chatSessionsCollection);
+    if (!session) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    res.json(toPublicSession(session));
+  } catch (error) {
+    console.error("Error loading chat session:", error);
+    res.status(500).json({ error: "Failed to load conversation." });
+  }
+});
+
+function getSuggestionCollections() {
+  return {
+    suggestions: suggestionsCollection,
+    votes: suggestionVotesCollection,
+    articles: articlesCollection,
+  };
+}
+
+function getPostCollections() {
+  return {
+    posts: postsCollection,
+    suggestions: suggestionsCollection,
+    articles: articlesCollection,
+    entities: entitiesCollection,
+  };
+}
+
+const SUGGESTION_MESSAGES = {
+  received: "Suggestion received! Thank you.",
+  duplicate: "Someone already suggested this, so we counted your vote.",
+  covered: "We've already covered this topic.",
+};
+const NETWORK_LIMIT_MESSAGE =
+  "This suggestion has taken all the votes it can from your network.";
+
+/**
+ * [POST] /api/suggest
+ * Saves a user's topic suggestion to the database, unless an article
+ * already covers it or someone suggested it before.
+ * Body: { title, details, force } (force: save it even if it looks
+ *   covered)
+ * Response: { status: "received" | "duplicate" | "covered", message,
+ *   suggestion?, voted?, awaitingReview?, article?: { id, title, source,
+ *   publishedAt } } - a duplicate only includes the suggestion (and
+ *   counts a vote) once it is approved
+ */
+app.post("/api/suggest", rateLimit("suggest"), async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const result = await submitSuggestion(
+      req.body || {},
+      getReaderKeys(req, res),
+      getSuggestionCollections()
+    );
+    let message = SUGGESTION_MESSAGES[result.status];
+    if (result.status === "duplicate" && !result.suggestion) {
+      message = result.awaitingReview
+        ? "Someone already suggested this, and it's waiting for review."
+        : "Someone already suggested this.";
+    } else if (result.status === "duplicate" && result.limited) {
+      message = "Someone already suggested this. " + NETWORK_LIMIT_MESSAGE;
+    } else if (result.status === "duplicate" && !result.voted) {
+      message = "Someone already suggested this, and you've voted for it.";
+    }
+
+    res
+      .status(result.status === "received" ? 201 : 200)
+      .json({ ...result, message });
+  } catch (error) {
+    if (error instanceof SuggestionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error saving suggestion:", error);
+    res.status(500).json({ error: "Failed to save suggestion." });
+  }
+});
+
+/**
+ * [GET] /api/suggestions
+ * Approved suggestions readers can upvote.
+ * Query: sort ("top" or "new"), page
+ * Response: { suggestions: [{ id, title, details, votes, createdAt,
+ *   voted }], page, hasMore }
+ */
+app.get("/api/suggestions", async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    res.json(
+      await listApprovedSuggestions(
+        req.query,
+        getReaderKeys(req, res),
+        getSuggestionCollections()
+      )
+    );
+  } catch (error) {
+    console.error("Error listing suggestions:", error);
+    res.status(500).json({ error: "Failed to load suggestions." });
+  }
+});
+
+/**
+ * [POST] /api/suggestions/:id/vote
+ * Upvotes an approved suggestion, once per reader.
+ * Response: { votes } (409 { error, limited, votes } if the reader
+ *   already voted, or limited: the suggestion has taken all the votes
+ *   it takes from their address)
+ */
+app.post("/api/suggestions/:id/vote", rateLimit("vote"), async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  try {
+    const { voted, limited, votes } = await voteForSuggestion(
+      req.params.id,
+      getReaderKeys(req, res),
+      getSuggestionCollections()
+    );
+    if (!voted) {
+      const error = limited
+        ? NETWORK_LIMIT_MESSAGE
+        : "You've already voted for this.";
+      return res.status(409).json({ error, limited, votes });
+    }
+    res.json({ votes });
+  } catch (error) {
+    if (error instanceof SuggestionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Error voting for suggestion:", error);
+    res.status(500).json({ error: "Failed to record your vote." });
+  }
+});
+
+// --- Admin Console ---
+// admin.html signs in with a session cookie, so it has to be served by
+// this server rather than from another origin.
+
+/**
+ * Express middleware letting through only signed-in accounts whose
+ * role has a permission. Anything but a GET must also carry the
+ * session's CSRF token. The session is passed on as req.adminSession.
+ * @param {string} permission - e.g. "articles:delete"
+ */
+function adminOnly(permission) {
+  return async (req, res, next) => {
+    if (!db) {
+      return res.status(503).json({ error: "Database not connected" });
+    }
+
+    try {
+      const session = await getRequestSession(req, {
+        admins: adminsCollection,
+        sessions: adminSessionsCollection,
+      });
+      if (!session) {
+        return res.status(401).json({ error: "Please sign in." });
+      }
+      if (req.method !== "GET" && !hasValidCsrfToken(req, session)) {
+        return res.status(403).json({
+          error: "Invalid CSRF token. Reload the page and try again.",
+        });
+      }
+      if (!hasPermission(session.role, permission)) {
+        return res
+          .status(403)
+          .json({ error: "Your role isn't allowed to do this." });
+      }
+      req.adminSession = session;
+      next();
+    } catch (error) {
+      console.error("[ADMIN] Failed to check session:", error.message);
+      res.status(500).json({ error: "Failed to check your session." });
+    }
+  };
+}
+
+function toPublicAdminSession(session) {
+  return {
+    username: session.username,
+    role: session.role,
+    permissions: listPermissions(session.role),
+    csrfToken: session.csrfToken,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * [POST] /api/admin/login
+ * Body: { username, password }
+ * Sets the session cookie.
+ * Response: { username, role, permissions, csrfToken, expiresAt }
+ */
+app.post("/api/admin/login", rateLimit("login"), async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: "Database not connected" });
+  }
+
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res
+      .status(400)
+      .json({ error: "Username and password are required." });
+  }
+
+  try {
+    const result = await signIn(username, password, {
+      admins: adminsCollection,
+      sessions: adminSessionsCollection,
+    });
+    if (!result) {
+      console.warn(`[ADMIN] Failed sign-in from ${req.ip}`);
+      return res.status(401).json({ error: "Wrong username or password." });
+    }
+
+    console.log(`[ADMIN] ${result.session.username} signed in`);
+    res.set("Set-Cookie", sessionCookie(req, result.token));
+    res.json(toPublicAdminSession(result.session));
+  } catch (error) {
+    console.error("[ADMIN] Sign-in failed:", error.message);
+    res.status(500).json({ error: "Failed to sign in." });
+  }
+});
+
+/**
+ * [GET] /api/admin/session
+ * The signed-in account and the CSRF token to send with actions.
+ */
+app.get("/api/admin/session", adminOnly("console:view"), (req, res) => {
+  res.json(toPublicAdminSession(req.adminSession));
+});
+
+/**
+ * [POST] /api/admin/logout
+ * Ends the session and clears the cookie.
+ */
+app.post("/api/admin/logout", adminOnly("console:view"), async (req, res) => {
+  try {
+    await signOut(req, adminSessionsCollection);
+    res.set("Set-Cookie", sessionCookie(req, ""));
+    res.json({ message: "Signed out." });
+  } catch (error) {
+    console.error("[ADMIN] Sign-out failed:", error.message);
+    res.status(500).json({ error: "Failed to sign out." });
+  }
+});
+
+/**
+ * [GET] /api/admin/status
+ * Ingestion jobs, each category's stored snapshot, collection counts,
+ * today's AI usage and which storage backend is serving.
+ * Response: { jobs, categories: [{ slug, label, articleCount,
+ *   refreshing, snapshot: { updatedAt, ageSeconds, stale, lastError,
+ *   storyCount } | null }], counts, aiUsage,
+ *   storage: { backend, mongoConfigured, since, lastError } }
+ */
+app.get("/api/admin/status", adminOnly("console:view"), async (req, res) => {
+  try {
+    const categories = await Promise.all(
+      listCategories().map(async (category) => {
+        const snapshot = await getSnapshot(category.slug, cacheCollection);
+        return {
+          slug: category.slug,
+          label: category.label,
+          articleCount: await articlesCollection.countDocuments({
+            categories: category.slug,
+          }),
+          refreshing: isRefreshing(category.slug),
+          snapshot: snapshot
+            ? {
+                ...describeSnapshot(snapshot, category),
+                storyCount: snapshot.data.length,
+              }
+            : null,
+        };
+      })
+    );
+
+    const [
+      articles,
+      stories,
+      scraped,
+      summarized,
+      suggestions,
+      entities,
+      postsInReview,
+    ] = await Promise.all([
+      articlesCollection.countDocuments({}),
+      articlesCollection.countDocuments({ isPrimary: { $ne: false } }),
+      articlesCollection.countDocuments({
+        extractionConfidence: { $exists: true },
+      }),
+      articlesCollection.countDocuments({ summary: { $exists: true } }),
+      suggestionsCollection.countDocuments({ status: "pending" }),
+      entitiesCollection.countDocuments({}),
+      postsCollection.countDocuments({ status: "review" }),
+    ]);
+
+    res.json({
+      jobs: scheduler.status(),
+      categories,
+      counts: {
+        articles,
+        stories,
+        scraped,
+        summarized,
+        suggestions,
+        entities,
+        postsInReview,
+      },
+      aiUsage: await getAiUsage(),
+      storage: storage.getStatus(),
+    });
+  } catch (error) {
+    console.error("[ADMIN] Failed to load status:", error.message);
+    res.status(500).json({ error: "Failed to load status." });
+  }
+});
+
+/**
+ * [GET] /api/admin/cache/:slug
+ * The stories in a category's stored snapshot.
+ * Response: { key, updatedAt, lastError, stories: [{ id, title, source,
+ *   publishedAt, coverageCount }] }
+ */
+app.get(
+  "/api/admin/cache/:slug",
+  adminOnly("console:view"),
+  async (req, res) => {
+    if (!getCategory(req.params.slug)) {
+      return res
+        .status(404)
+        .json({ error: `Unknown category: ${req.params.slug}` });
+    }
+
+    try {
+      const snapshot = await getSnapshot(req.params.slug, cacheCollection);
+      if (!snapshot) {
+        return res
+          .status(404)
+          .json({ error: "Nothing is stored for this category yet." });
+      }
+      res.json({
+        key: snapshot.key,
+        updatedAt: snapshot.updatedAt,
+        lastError: snapshot.lastError || null,
+        stories: snapshot.data.map((story) => ({
+          id: story.id || story.url,
+          title: story.title,
+          source: story.source,
+          publishedAt: story.publishedAt,
+          coverageCount: (story.alsoCoveredBy || []).length + 1,
+        })),
+      });
+    } catch (error) {
+      console.error("[ADMIN] Failed to load cache:", error.message);
+      res.status(500).json({ error: "Failed to load cache." });
+    }
+  }
+);
+
+/**
+ * [GET] /api/admin/articles
+ * Stored articles, newest first.
+ * Query: q (URL or words of the title), category, page
+ * Response: { articles: [{ url, title, source, publishedAt, categories,
+ *   isPrimary, extractionConfidence, lastScrapeAttemptAt }], total,
+ *   page, hasMore }
+ */
+app.get("/api/admin/articles", adminOnly("console:view"), async (req, res) => {
+  const pageSize = 25;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const filter = {};
+  if (req.query.category) filter.categories = String(req.query.category);
+  if (req.query.q) {
+    const q = String(req.query.q).trim().substring(0, 200);
+    filter.$or = [
+      { url: q },
+      {
+        title: {
+          $regex: q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          $options: "i",
+        },
+      },
+    ];
+  }
+
+  try {
+    const [articles, total] = await Promise.all([
+      articlesCollection
+        .find(filter)
+        .project({
+          _id: 0,
+          url: 1,
+          title: 1,
+          source: 1,
+          publishedAt: 1,
+          categories: 1,
+          isPrimary: 1,
+          extractionConfidence: 1,
+          lastScrapeAttemptAt: 1,
+        })
+        .sort({ publishedDate: -1, url: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .toArray(),
+      articlesCollection.countDocuments(filter),
+    ]);
+    res.json({
+      articles,
+      total,
+      page,
+      hasMore: page * pageSize < total,
+    });
   } catch (error) {
-    console.error("Error clearing articles:", error);
-    res.status(500).json({ error: "Failed to clear articles." });
+    console.error("[ADMIN] Failed to list articles:", error.message);
+    res.status(500).json({ error: "Failed to list articles." });
   }
 });
 
+/**
+ * [POST] /api/admin/articles/rescrape
+ * Body: { url }
+ * Scrapes an article again right away, ignoring earlier failures and
+ * the publisher's "not modified".
+ * Response: { message, extractionConfidence, chars }
+ */
+app.post(
+  "/api/admin/articles/rescrape",
+  adminOnly("articles:rescrape"),
+  async (req, res) => {
+    const articleUrl = req.body && req.body.url;
+    try {
+      const article =
+        typeof articleUrl === "string" &&
+        (await articlesCollection.findOne(
+          { url: articleUrl },
+          { projection: { url: 1, original: 1 } }
+        ));
+      if (!article) {
+        return res.status(404).json({ error: "Article not found" });
+      }
+      if (article.original) {
+        return res
+          .status(400)
+          .json({ error: "Original posts are edited under Posts." });
+      }
+
+      console.log(
+        `[ADMIN] ${req.adminSession.username} re-scraping ${articleUrl}`
+      );
+      const scraped = await scrapeFullArticle(articleUrl);
+      if (!(await storeScrapedContent(articleUrl, scraped))) {
+        return res
+          .status(502)
+          .json({ error: "Couldn't extract the article's content." });
+      }
+      res.json({
+        message: "Article re-scraped.",
+        extractionConfidence: scraped.confidence,
+        chars: scraped.html.length,
+      });
+    } catch (error) {
+      console.error("[ADMIN] Re-scrape failed:", error.message);
+      res.status(500).json({ error: "Failed to re-scrape article." });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/articles/delete
+ * Body: { url }
+ * Deletes an article and its chat conversations. If it was its story's
+ * primary article, another version takes its place.
+ */
+app.post(
+  "/api/admin/articles/delete",
+  adminOnly("articles:delete"),
+  async (req, res) => {
+    const articleUrl = req.body && req.body.url;
+    try {
+      const article =
+        typeof articleUrl === "string" &&
+        (await articlesCollection.findOne(
+          { url: articleUrl },
+          { projection: { url: 1, clusterId: 1, entities: 1, original: 1 } }
+        ));
+      if (!article) {
+        return res.status(404).json({ error: "Article not found" });
+      }
+      if (article.original) {
+        return res.status(400).json({
+          error: "Original posts are taken down by moving them back to draft.",
+        });
+      }
+
+      await articlesCollection.deleteOne({ url: articleUrl });
+      await chatSessionsCollection.deleteMany({ articleUrl });
+      await forgetEntities([article], entitiesCollection);
+      if (article.clusterId) {
+        await updateClusterPrimaries([article.clusterId], articlesCollection);
+      }
+
+      console.log(`[ADMIN] ${req.adminSession.username} deleted ${articleUrl}`);
+      res.json({ message: "Article deleted." });
+    } catch (error) {
+      console.error("[ADMIN] Delete failed:", error.message);
+      res.status(500).json({ error: "Failed to delete article." });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/articles/clear-content
+ * Removes the scraped content of every article to force re-scraping
+ * (original posts have nothing to re-scrape and are left alone).
+ * Response: { message, modifiedCount }
+ */
+app.post(
+  "/api/admin/articles/clear-content",
+  adminOnly("articles:clear"),
+  async (req, res) => {
+    try {
+      const result = await articlesCollection.updateMany(
+        { original: { $ne: true } },
+        {
+          $unset: {
+            fullContent: "",
+            extractionConfidence: "",
+            scrapeValidators: "",
+            lastScrapeAttemptAt: "",
+            scrapedAt: "",
+          },
+        }
+      );
+      console.log(
+        `[ADMIN] ${req.adminSession.username} cleared the content of ${result.modifiedCount} articles`
+      );
+      res.json({
+        message: "Articles cleared for re-scraping.",
+        modifiedCount: result.modifiedCount,
+      });
+    } catch (error) {
+      console.error("[ADMIN] Failed to clear articles:", error.message);
+      res.status(500).json({ error: "Failed to clear articles." });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/categories/:slug/refresh
+ * Fetches a category from its sources now (and restarts its schedule).
+ * Response: { message, job }
+ */
+app.post(
+  "/api/admin/categories/:slug/refresh",
+  adminOnly("categories:refresh"),
+  async (req, res) => {
+    const category = getCategory(req.params.slug);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ error: `Unknown category: ${req.params.slug}` });
+    }
+
+    const jobName = `ingest:${category.slug}`;
+    try {
+      console.log(
+        `[ADMIN] ${req.adminSession.username} refreshing ${category.slug}`
+      );
+      // Before the schedule has started there is no job to run
+      await scheduler.runNow(jobName).catch(() => refreshCategoryNow(category));
+      const job = scheduler.status().find((entry) => entry.name === jobName);
+      if (job && job.lastError) {
+        return res.status(502).json({ error: job.lastError, job });
+      }
+      res.json({ message: `${category.label} refreshed.`, job: job || null });
+    } catch (error) {
+      console.error("[ADMIN] Refresh failed:", error.message);
+      res.status(502).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/cache/clear
+ * Body: { category } (optional - every category if omitted)
+ * Deletes stored category snapshots; the next request fetches live.
+ * Response: { message, deletedCount }
+ */
+app.post(
+  "/api/admin/cache/clear",
+  adminOnly("cache:clear"),
+  async (req, res) => {
+    const slug = req.body && req.body.category;
+    if (slug && !getCategory(slug)) {
+      return res.status(404).json({ error: `Unknown category: ${slug}` });
+    }
+
+    try {
+      const result = await cacheCollection.deleteMany(
+        slug ? { key: getSnapshotKey(slug) } : {}
+      );
+      console.log(
+        `[ADMIN] ${req.adminSession.username} cleared ${result.deletedCount} cache entries`
+      );
+      res.json({
+        message: "Cache cleared successfully.",
+        deletedCount: result.deletedCount,
+      });
+    } catch (error) {
+      console.error("[ADMIN] Failed to clear cache:", error.message);
+      res.status(500).json({ error: "Failed to clear cache." });
+    }
+  }
+);
+
+/**
+ * [GET] /api/admin/suggestions
+ * Reader suggestions, most votes first.
+ * Query: status (pending, approved, rejected, covered), q (words of
+ *   the title), page
+ * Response: { suggestions: [{ id, title, details, votes, createdAt,
+ *   status, updatedAt, moderatedBy, moderatedAt, coveredBy }], total,
+ *   page, hasMore }
+ */
+app.get(
+  "/api/admin/suggestions",
+  adminOnly("suggestions:view"),
+  async (req, res) => {
+    try {
+      res.json(await listSuggestions(req.query, suggestionsCollection));
+    } catch (error) {
+      console.error("[ADMIN] Failed to list suggestions:", error.message);
+      res.status(500).json({ error: "Failed to list suggestions." });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/suggestions/:id/moderate
+ * Body: { status, articleId } (articleId: the covering article's URL,
+ *   for status "covered")
+ * Response: the updated suggestion
+ */
+app.post(
+  "/api/admin/suggestions/:id/moderate",
+  adminOnly("suggestions:moderate"),
+  async (req, res) => {
+    const { status, articleId } = req.body || {};
+    try {
+      const suggestion = await moderateSuggestion(
+        req.params.id,
+        { status, articleId },
+        req.adminSession.username,
+        getSuggestionCollections()
+      );
+      console.log(
+        `[ADMIN] ${req.adminSession.username} marked suggestion ${suggestion.id} ${status}`
+      );
+      // Approved topics get a draft post for editors to review
+      if (status === "approved" && !suggestion.draft) {
+        startDraft(
+          await getSuggestion(req.params.id, suggestionsCollection),
+          getPostCollections()
+        ).catch((error) =>
+          console.error("[POSTS] Failed to start draft:", error.message)
+        );
+      }
+      res.json(suggestion);
+    } catch (error) {
+      if (error instanceof SuggestionError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error("[ADMIN] Failed to moderate suggestion:", error.message);
+      res.status(500).json({ error: "Failed to update suggestion." });
+    }
+  }
+);
+
+/**
+ * [POST] /api/admin/suggestions/:id/draft
+ * Drafts a post for an approved suggestion (again, if drafting failed).
+ * The draft is written in the background; the suggestion's 'draft'
+ * shows its progress.
+ */
+app.post(
+  "/api/admin/suggestions/:id/draft",
+  adminOnly("posts:edit"),
+  async (req, res) => {
+    try {
+      const suggestion = await getSuggestion(
+        req.params.id,
+        suggestionsCollection
+      );
+      if (!suggestion) {
+        return res.status(404).json({ error: "Suggestion not found." });
+      }
+      if (suggestion.status !== "approved") {
+        return res
+          .status(400)
+          .json({ error: "Only approved suggestions are drafted." });
+      }
+      if (await isAiQuotaExceeded()) {
+        return res
+          .status(503)
+          .json({ error: "Today's AI quota is used up. Try again tomorrow." });
+      }
+      if (!(await startDraft(suggestion, getPostCollections()))) {
+        return res.status(409).json({
+          error: "This suggestion already has a post, or one is being drafted.",
+        });
+      }
+      res.status(202).json({ message: "Drafting started." });
+    } catch (error) {
+      console.error("[ADMIN] Failed to start draft:", error.message);
+      res.status(500).json({ error: "Failed to start drafting." });
+    }
+  }
+);
+
+/**
+ * [GET] /api/admin/posts
+ * AI-drafted posts, most recently changed first.
+ * Query: status (draft, review, published), page
+ * Response: { posts: [{ id, title, dek, category, status, grounded,
+ *   sourceCount, topic, createdAt, updatedAt, updatedBy, publishedAt,
+ *   url }], total, page, hasMore }
+ */
+app.get("/api/admin/posts", adminOnly("posts:view"), async (req, res) => {
+  try {
+    res.json(await listPosts(req.query, postsCollection));
+  } catch (error) {
+    console.error("[ADMIN] Failed to list posts:", error.message);
+    res.status(500).json({ error: "Failed to list posts." });
+  }
+});
+
+/**
+ * [GET] /api/admin/posts/:id
+ * One post, with its body, outline, sources and history, for editing.
+ */
+app.get("/api/admin/posts/:id", adminOnly("posts:view"), async (req, res) => {
+  try {
+    const post = await getPost(req.params.id, postsCollection);
+    if (!post) return res.status(404).json({ error: "Post not found." });
+    res.json(post);
+  } catch (error) {
+    console.error("[ADMIN] Failed to load post:", error.message);
+    res.status(500).json({ error: "Failed to load post." });
+  }
+});
+
+/**
+ * [POST] /api/admin/posts/:id
+ * Body: any of { title, dek, body, category }
+ * Saves an editor's changes; a published post is updated in place.
+ * Response: the updated post
+ */
+app.post("/api/admin/posts/:id", adminOnly("posts:edit"), async (req, res) => {
+  try {
+    res.json(
+      await updatePost(
+        req.params.id,
+        req.body,
+        req.adminSession.username,
+        getPostCollections()
+      )
+    );
+  } catch (error) {
+    if (error instanceof PostError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("[ADMIN] Failed to save post:", error.message);
+    res.status(500).json({ error: "Failed to save post." });
+  }
+});
+
+/**
+ * [POST] /api/admin/posts/:id/status
+ * Body: { status } - "review", "published" or "draft"
+ * Publishing puts the post in its category's feed as original content;
+ * moving a published post back to draft takes it down.
+ * Response: the updated post
+ */
+app.post(
+  "/api/admin/posts/:id/status",
+  adminOnly("posts:edit"),
+  async (req, res) => {
+    try {
+      res.json(
+        await setPostStatus(
+          req.params.id,
+          req.body && req.body.status,
+          req.adminSession.username,
+          getPostCollections()
+        )
+      );
+    } catch (error) {
+      if (error instanceof PostError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error("[ADMIN] Failed to change post status:", error.message);
+      res.status(500).json({ error: "Failed to change post status." });
+    }
+  }
+);
+
 // --- Health Check Endpoint (for Render to verify service is running) ---
 app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok", timestamp: new Date().toISOString() });
+  res.status(200).json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    storage: storage.getStatus().backend,
+  });
 });
 
 // --- Start Server ---
 const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`[${new Date().toISOString()}] Server listening on port ${PORT}`);
-  connectToDb(); // Connect to DB on server start
+  // Connect to DB on server start, then keep categories fresh
+  connectToDb()
+    .then(async () => {
+      if (!db) return;
+      if (DEMO_MODE) await prepareDemoContent();
+      startIngestionSchedule();
+      startBriefingSchedule();
+    })
+    .catch((error) => {
+      // Without the database or the schedules the site can't work
+      console.error("FATAL ERROR: Server start-up failed:", error);
+      process.exit(1);
+    });
 });
 
 // Handle graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM signal received: closing HTTP server");
-  server.close(() => {
+  scheduler.stop();
+  server.close(async () => {
     console.log("HTTP server closed");
+    await storage.close();
     process.exit(0);
   });
 });
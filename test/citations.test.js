@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  splitParagraphs,
+  numberParagraphs,
+  validateCitations,
+} = require("../lib/citations");
+
+const paragraphs = [
+  "The city council approved a new budget for public transport on Monday.",
+  "Bus fares will fall by ten percent from January, officials said.",
+  "Opposition members criticised the plan as too expensive.",
+];
+
+describe("splitParagraphs", () => {
+  it("splits plain text on blank lines and drops short fragments", () => {
+    assert.deepEqual(
+      splitParagraphs(`${paragraphs[0]}\n\nShort.\n\n\n${paragraphs[1]}`),
+      [paragraphs[0], paragraphs[1]]
+    );
+  });
+
+  it("uses the top-level blocks of HTML", () => {
+    assert.deepEqual(
+      splitParagraphs(
+        "<h2>Budget</h2><p>First  <b>bold</b>\n paragraph.</p><ul><li>One</li><li>Two</li></ul>"
+      ),
+      ["Budget", "First bold paragraph.", "OneTwo"]
+    );
+  });
+});
+
+describe("numberParagraphs", () => {
+  it("numbers paragraphs from 1", () => {
+    assert.equal(numberParagraphs(["a", "b"]), "[1] a\n\n[2] b");
+  });
+});
+
+describe("validateCitations", () => {
+  it("accepts citations whose sentence shares wording with the paragraph", () => {
+    const result = validateCitations(
+      "The council approved a transport budget [1]. Fares fall in January [2].",
+      paragraphs
+    );
+    assert.deepEqual(result, {
+      citations: [
+        { index: 1, supported: true },
+        { index: 2, supported: true },
+      ],
+      invalid: [],
+      grounded: true,
+    });
+  });
+
+  it("flags citations of paragraphs that don't exist", () => {
+    const result = validateCitations(
+      "Transport budget approved [0]. Council budget [1, 7].",
+      paragraphs
+    );
+    assert.deepEqual(result.invalid, [0, 7]);
+    assert.deepEqual(result.citations, [{ index: 1, supported: true }]);
+  });
+
+  it("marks citations the sentence doesn't back up as unsupported", () => {
+    const result = validateCitations("Weather will be sunny [3].", paragraphs);
+    assert.deepEqual(result.citations, [{ index: 3, supported: false }]);
+    assert.equal(result.grounded, true);
+  });
+
+  it("counts a paragraph as supported if any sentence backs it up", () => {
+    const result = validateCitations(
+      "Weather will be sunny [3].\nOpposition members criticised it [3].",
+      paragraphs
+    );
+    assert.deepEqual(result.citations, [{ index: 3, supported: true }]);
+  });
+
+  it("treats an answer without citations as ungrounded", () => {
+    assert.deepEqual(validateCitations("Fares fall in January.", paragraphs), {
+      citations: [],
+      invalid: [],
+      grounded: false,
+    });
+    assert.equal(validateCitations(undefined, paragraphs).grounded, false);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USER_AGENT,
+  parseRobots,
+  selectRules,
+  isPathAllowed,
+} = require("../lib/crawler");
+
+const ourToken = USER_AGENT.split(/[/\s]/)[0];
+
+describe("parseRobots", () => {
+  it("groups consecutive user-agent lines and skips comments", () => {
+    const groups = parseRobots(
+      [
+        "# comment",
+        "User-agent: A",
+        "User-agent: B # both",
+        "Disallow: /private",
+        "Allow: /private/open",
+        "Crawl-delay: 2.5",
+        "",
+        "User-agent: *",
+        "Disallow:",
+      ].join("\r\n")
+    );
+    assert.deepEqual(groups, [
+      {
+        agents: ["a", "b"],
+        rules: [
+          { allow: false, path: "/private" },
+          { allow: true, path: "/private/open" },
+        ],
+        crawlDelay: 2.5,
+      },
+      // An empty Disallow allows everything
+      { agents: ["*"], rules: [], crawlDelay: null },
+    ]);
+  });
+
+  it("ignores rules before the first user-agent line", () => {
+    assert.deepEqual(parseRobots("Disallow: /\nUser-agent: *"), [
+      { agents: ["*"], rules: [], crawlDelay: null },
+    ]);
+  });
+});
+
+describe("selectRules", () => {
+  const robots = [
+    `User-agent: ${ourToken}`,
+    "Disallow: /ours",
+    "Crawl-delay: 5",
+    "",
+    "User-agent: *",
+    "Disallow: /everyone",
+  ].join("\n");
+
+  it("uses the groups naming our product token, case-insensitively", () => {
+    const selected = selectRules(parseRobots(robots.toUpperCase()));
+    assert.deepEqual(selected.rules, [{ allow: false, path: "/OURS" }]);
+    assert.equal(selected.crawlDelay, 5);
+  });
+
+  it("falls back to the * groups", () => {
+    const selected = selectRules(
+      parseRobots(
+        "User-agent: otherbot\nDisallow: /\n\nUser-agent: *\nDisallow: /x"
+      )
+    );
+    assert.deepEqual(selected, {
+      rules: [{ allow: false, path: "/x" }],
+      crawlDelay: 0,
+    });
+  });
+
+  it("doesn't treat a group for part of our name as ours", () => {
+    const selected = selectRules(
+      parseRobots("User-agent: bot\nDisallow: /\n\nUser-agent: *\nAllow: /")
+    );
+    assert.deepEqual(selected.rules, [{ allow: true, path: "/" }]);
+  });
+});
+
+describe("isPathAllowed", () => {
+  const robots = selectRules(
+    parseRobots(
+      [
+        "User-agent: *",
+        "Disallow: /private",
+        "Allow: /private/press",
+        "Disallow: /*.pdf$",
+        "Disallow: /tmp/*/cache",
+        "Allow: /same",
+        "Disallow: /same",
+      ].join("\n")
+    )
+  );
+
+  it("allows paths no rule matches", () => {
+    assert.equal(isPathAllowed(robots, "/news/story"), true);
+    assert.equal(isPathAllowed({ rules: [] }, "/anything"), true);
+  });
+
+  it("matches rules as path prefixes", () => {
+    assert.equal(isPathAllowed(robots, "/private"), false);
+    assert.equal(isPathAllowed(robots, "/private-notes/1"), false);
+  });
+
+  it("lets the longest matching rule win", () => {
+    assert.equal(isPathAllowed(robots, "/private/press/release"), true);
+    assert.equal(isPathAllowed(robots, "/private/other"), false);
+  });
+
+  it("supports * wildcards and the $ end anchor", () => {
+    assert.equal(isPathAllowed(robots, "/files/report.pdf"), false);
+    assert.equal(isPathAllowed(robots, "/files/report.pdf?download=1"), true);
+    assert.equal(isPathAllowed(robots, "/tmp/a/b/cache/x"), false);
+    assert.equal(isPathAllowed(robots, "/tmp/cache"), true);
+  });
+
+  it("prefers Allow when equally long rules conflict", () => {
+    assert.equal(isPathAllowed(robots, "/same/page"), true);
+  });
+});
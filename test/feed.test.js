@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageSize,
+} = require("../lib/feed");
+
+describe("page cursors", () => {
+  it("round-trip the last article's date and URL", () => {
+    const cursor = encodeCursor({
+      publishedDate: new Date("2026-10-01T08:30:00Z"),
+      url: "https://example.com/story?id=1",
+      title: "Not part of the cursor",
+    });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), {
+      publishedDate: new Date("2026-10-01T08:30:00Z"),
+      url: "https://example.com/story?id=1",
+    });
+  });
+
+  it("accept a date string", () => {
+    const cursor = encodeCursor({
+      publishedDate: "2026-10-01T08:30:00.000Z",
+      url: "https://example.com/a",
+    });
+    assert.equal(
+      decodeCursor(cursor).publishedDate.toISOString(),
+      "2026-10-01T08:30:00.000Z"
+    );
+  });
+
+  it("decode to null when garbled or tampered with", () => {
+    const encode = (payload) =>
+      Buffer.from(JSON.stringify(payload)).toString("base64url");
+    [
+      "",
+      "not-a-cursor",
+      Buffer.from("{broken json").toString("base64url"),
+      encode({ d: "yesterday", u: "https://example.com/a" }),
+      encode({ d: "2026-10-01T08:30:00Z", u: { $gt: "" } }),
+      encode({ d: "2026-10-01T08:30:00Z" }),
+      encode(null),
+    ].forEach((cursor) => assert.equal(decodeCursor(cursor), null, cursor));
+  });
+});
+
+describe("parsePageSize", () => {
+  it("falls back to the default for missing or invalid sizes", () => {
+    [undefined, "", "abc", "0", "-5"].forEach((value) =>
+      assert.equal(parsePageSize(value), DEFAULT_PAGE_SIZE)
+    );
+  });
+
+  it("clamps large sizes", () => {
+    assert.equal(parsePageSize("20"), 20);
+    assert.equal(parsePageSize(1000), 50);
+  });
+});
@@ -0,0 +1,321 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { MemoryDbError, createMemoryDb } = require("../lib/memory-db");
+
+const articles = [
+  {
+    _id: 1,
+    title: "Heat pumps in winter",
+    views: 10,
+    tags: ["energy", "homes"],
+    source: { name: "Daily" },
+    publishedAt: new Date("2026-10-01"),
+  },
+  {
+    _id: 2,
+    title: "Election results",
+    views: 50,
+    tags: ["politics"],
+    source: { name: "Herald" },
+    publishedAt: new Date("2026-10-02"),
+  },
+  {
+    _id: 3,
+    title: "School budgets",
+    views: 30,
+    tags: [],
+    source: { name: "Daily" },
+    summary: null,
+    publishedAt: new Date("2026-10-03"),
+  },
+];
+
+async function ids(cursor) {
+  return (await cursor.toArray()).map((document) => document._id);
+}
+
+describe("memory-db queries", () => {
+  let collection;
+  beforeEach(async () => {
+    collection = createMemoryDb().collection("articles");
+    for (const article of articles) await collection.insertOne(article);
+  });
+
+  it("matches equality, dotted paths and array elements", async () => {
+    assert.deepEqual(
+      await ids(collection.find({ "source.name": "Daily" })),
+      [1, 3]
+    );
+    assert.deepEqual(await ids(collection.find({ tags: "politics" })), [2]);
+    assert.deepEqual(await ids(collection.find({ summary: null })), [1, 2, 3]);
+  });
+
+  it("supports comparison and set operators", async () => {
+    const find = (filter) => ids(collection.find(filter));
+    assert.deepEqual(await find({ views: { $gt: 10, $lte: 30 } }), [3]);
+    assert.deepEqual(await find({ views: { $gte: 30 } }), [2, 3]);
+    assert.deepEqual(await find({ views: { $lt: 30 } }), [1]);
+    assert.deepEqual(await find({ views: { $ne: 50 } }), [1, 3]);
+    assert.deepEqual(await find({ _id: { $in: [3, 1, 9] } }), [1, 3]);
+    assert.deepEqual(await find({ tags: { $nin: ["energy"] } }), [2, 3]);
+    assert.deepEqual(
+      await find({ publishedAt: { $gte: new Date("2026-10-02") } }),
+      [2, 3]
+    );
+  });
+
+  it("supports $exists and $regex", async () => {
+    const find = (filter) => ids(collection.find(filter));
+    assert.deepEqual(await find({ summary: { $exists: true } }), [3]);
+    assert.deepEqual(await find({ summary: { $exists: false } }), [1, 2]);
+    assert.deepEqual(
+      await find({ title: { $regex: "^(heat|school)", $options: "i" } }),
+      [1, 3]
+    );
+    assert.deepEqual(await find({ title: /results$/ }), [2]);
+  });
+
+  it("supports $or, $and and $nor", async () => {
+    const find = (filter) => ids(collection.find(filter));
+    assert.deepEqual(await find({ $or: [{ _id: 1 }, { views: 50 }] }), [1, 2]);
+    assert.deepEqual(
+      await find({ $and: [{ "source.name": "Daily" }, { views: 30 }] }),
+      [3]
+    );
+    assert.deepEqual(await find({ $nor: [{ _id: 1 }, { _id: 2 }] }), [3]);
+  });
+
+  it("sorts, skips, limits and projects", async () => {
+    const page = await collection
+      .find({})
+      .sort({ "source.name": 1, views: -1 })
+      .skip(1)
+      .limit(2)
+      .project({ title: 1 })
+      .toArray();
+    assert.deepEqual(page, [
+      { _id: 1, title: "Heat pumps in winter" },
+      { _id: 2, title: "Election results" },
+    ]);
+    assert.deepEqual(
+      await collection.findOne(
+        { _id: 2 },
+        { projection: { _id: 0, views: 1 } }
+      ),
+      { views: 50 }
+    );
+    assert.equal(await collection.countDocuments({ views: { $gt: 10 } }), 2);
+  });
+
+  it("returns copies, not the stored documents", async () => {
+    const found = await collection.findOne({ _id: 1 });
+    found.title = "Changed";
+    found.tags.push("changed");
+    assert.deepEqual(await collection.findOne({ _id: 1 }), articles[0]);
+  });
+
+  it("ranks $text matches by score", async () => {
+    await collection.createIndex(
+      { title: "text", tags: "text" },
+      { weights: { title: 2 } }
+    );
+    const results = await collection
+      .find(
+        { $text: { $search: "winter energy" } },
+        { projection: { score: { $meta: "textScore" } } }
+      )
+      .sort({ score: { $meta: "textScore" } })
+      .toArray();
+    assert.deepEqual(
+      results.map((document) => document._id),
+      [1]
+    );
+    assert.ok(results[0].score > 0);
+  });
+});
+
+describe("memory-db updates", () => {
+  let collection;
+  beforeEach(async () => {
+    collection = createMemoryDb().collection("docs");
+    await collection.insertOne({ _id: "a", count: 1, tags: ["x"], old: true });
+  });
+
+  it("applies $set, $unset, $inc, $push and $addToSet", async () => {
+    const result = await collection.updateOne(
+      { _id: "a" },
+      {
+        $set: { "meta.seen": true },
+        $unset: { old: "" },
+        $inc: { count: 2 },
+        $push: { history: { $each: [1, 2, 3], $slice: -2 } },
+        $addToSet: { tags: { $each: ["x", "y"] } },
+      }
+    );
+    assert.equal(result.matchedCount, 1);
+    assert.equal(result.modifiedCount, 1);
+    assert.deepEqual(await collection.findOne({ _id: "a" }), {
+      _id: "a",
+      count: 3,
+      tags: ["x", "y"],
+      meta: { seen: true },
+      history: [2, 3],
+    });
+  });
+
+  it("counts an update that changes nothing as matched, not modified", async () => {
+    const result = await collection.updateOne(
+      { _id: "a" },
+      { $set: { count: 1 } }
+    );
+    assert.equal(result.matchedCount, 1);
+    assert.equal(result.modifiedCount, 0);
+  });
+
+  it("upserts from the filter's equality fields and $setOnInsert", async () => {
+    const result = await collection.updateOne(
+      { _id: "b", kind: "new", count: { $gt: 5 } },
+      { $inc: { count: 1 }, $setOnInsert: { createdAt: "now" } },
+      { upsert: true }
+    );
+    assert.equal(result.upsertedCount, 1);
+    assert.equal(result.upsertedId, "b");
+    assert.deepEqual(await collection.findOne({ _id: "b" }), {
+      _id: "b",
+      kind: "new",
+      count: 1,
+      createdAt: "now",
+    });
+
+    // $setOnInsert is skipped when the document exists
+    await collection.updateOne(
+      { _id: "b" },
+      { $setOnInsert: { createdAt: "later" } },
+      { upsert: true }
+    );
+    assert.equal((await collection.findOne({ _id: "b" })).createdAt, "now");
+  });
+
+  it("refuses to change _id", async () => {
+    await assert.rejects(
+      collection.updateOne({ _id: "a" }, { $set: { _id: "z" } }),
+      MemoryDbError
+    );
+  });
+
+  it("gives new documents an ObjectId", async () => {
+    const document = { title: "No id" };
+    const { insertedId } = await collection.insertOne(document);
+    assert.ok(insertedId instanceof ObjectId);
+    assert.equal(document._id, insertedId);
+  });
+
+  it("deletes one or many", async () => {
+    await collection.insertOne({ _id: "b", count: 1 });
+    await collection.insertOne({ _id: "c", count: 2 });
+    assert.equal((await collection.deleteOne({ count: 1 })).deletedCount, 1);
+    assert.equal(
+      (await collection.deleteMany({ count: { $gte: 1 } })).deletedCount,
+      2
+    );
+    assert.equal(await collection.countDocuments({}), 0);
+  });
+
+  it("runs bulkWrite operations in order", async () => {
+    const result = await collection.bulkWrite([
+      { insertOne: { document: { _id: "b", count: 0 } } },
+      {
+        updateMany: {
+          filter: { count: { $gte: 0 } },
+          update: { $inc: { count: 1 } },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: "c" },
+          update: { $set: { count: 9 } },
+          upsert: true,
+        },
+      },
+      { deleteOne: { filter: { _id: "a" } } },
+    ]);
+    assert.equal(result.insertedCount, 1);
+    assert.equal(result.modifiedCount, 2);
+    assert.equal(result.upsertedCount, 1);
+    assert.equal(result.deletedCount, 1);
+    assert.deepEqual(await ids(collection.find({}).sort({ _id: 1 })), [
+      "b",
+      "c",
+    ]);
+  });
+});
+
+describe("memory-db indexes and limits", () => {
+  it("enforces unique indexes with the server's duplicate key code", async () => {
+    const collection = createMemoryDb().collection("articles");
+    await collection.createIndex({ url: 1 }, { unique: true });
+    await collection.insertOne({ url: "https://example.com/a" });
+    await assert.rejects(
+      collection.insertOne({ url: "https://example.com/a" }),
+      (error) => error instanceof MemoryDbError && error.code === 11000
+    );
+    await assert.rejects(
+      collection.updateOne(
+        { _id: "other" },
+        { $set: { url: "https://example.com/a" } },
+        { upsert: true }
+      ),
+      (error) => error.code === 11000
+    );
+  });
+
+  it("won't create a unique index the data already breaks", async () => {
+    const collection = createMemoryDb().collection("articles");
+    await collection.insertOne({ url: "same" });
+    await collection.insertOne({ url: "same" });
+    await assert.rejects(
+      collection.createIndex({ url: 1 }, { unique: true }),
+      (error) => error.code === 11000
+    );
+    // ...and doesn't keep it
+    await collection.insertOne({ url: "same" });
+  });
+
+  it("expires documents through TTL indexes", async () => {
+    const collection = createMemoryDb().collection("sessions");
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.insertOne({ _id: "old", expiresAt: new Date(0) });
+    await collection.insertOne({
+      _id: "current",
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    await collection.insertOne({ _id: "forever", expiresAt: null });
+    assert.deepEqual(await ids(collection.find({}).sort({ _id: 1 })), [
+      "current",
+      "forever",
+    ]);
+  });
+
+  it("evicts the least recently used documents past maxDocuments", async () => {
+    const collection = createMemoryDb("t", { maxDocuments: 2 }).collection(
+      "cache"
+    );
+    await collection.insertOne({ _id: "a" });
+    await collection.insertOne({ _id: "b" });
+    await collection.findOne({ _id: "a" });
+    await collection.insertOne({ _id: "c" });
+    assert.deepEqual(await ids(collection.find({}).sort({ _id: 1 })), [
+      "a",
+      "c",
+    ]);
+  });
+
+  it("reports unknown indexes when dropping them", async () => {
+    const collection = createMemoryDb().collection("cache");
+    await assert.rejects(
+      collection.dropIndex("createdAt_1"),
+      (error) => error.code === 27
+    );
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryDb } = require("../lib/memory-db");
+const {
+  getRule,
+  takeToken,
+  createMemoryStore,
+  createMongoStore,
+} = require("../lib/rate-limit");
+
+const rule = { name: "test", capacity: 3, refillPerMinute: 2 };
+const hardCap = { name: "test", capacity: 2, refillPerMinute: 0 };
+// Now, so the memory store's TTL index keeps the buckets written here
+const start = new Date();
+const after = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+describe("takeToken", () => {
+  it("starts a new bucket full and takes one token", () => {
+    assert.deepEqual(takeToken(null, rule, start), {
+      bucket: { tokens: 2, updatedAt: start },
+      allowed: true,
+      remaining: 2,
+      retryAfterSeconds: 0,
+    });
+  });
+
+  it("refuses once empty and says when a token is back", () => {
+    const result = takeToken({ tokens: 0.5, updatedAt: start }, rule, start);
+    assert.equal(result.allowed, false);
+    assert.equal(result.remaining, 0);
+    // Half a token at 2 per minute takes 15 seconds
+    assert.equal(result.retryAfterSeconds, 15);
+  });
+
+  it("refills for the time since the bucket was last used", () => {
+    const result = takeToken({ tokens: 0, updatedAt: start }, rule, after(30));
+    assert.equal(result.allowed, true);
+    assert.equal(result.bucket.tokens, 0);
+  });
+
+  it("never refills past capacity", () => {
+    const result = takeToken(
+      { tokens: 1, updatedAt: start },
+      rule,
+      after(3600)
+    );
+    assert.equal(result.bucket.tokens, rule.capacity - 1);
+  });
+
+  it("has no retry time when the bucket never refills", () => {
+    const result = takeToken(
+      { tokens: 0, updatedAt: start },
+      hardCap,
+      after(86400)
+    );
+    assert.equal(result.allowed, false);
+    assert.equal(result.retryAfterSeconds, null);
+  });
+});
+
+describe("stores", () => {
+  it("allow a burst of 'capacity' requests per key", async () => {
+    const store = createMemoryStore();
+    const allowed = [];
+    for (let i = 0; i < 4; i++) {
+      allowed.push((await store.take("test:a", rule, start)).allowed);
+    }
+    assert.deepEqual(allowed, [true, true, true, false]);
+    assert.equal((await store.take("test:b", rule, start)).allowed, true);
+  });
+
+  it("expire MongoDB buckets once they are full again", async () => {
+    const collection = createMemoryDb().collection("rateLimits");
+    const store = createMongoStore(collection);
+
+    await store.take("test:a", rule, start);
+    await store.take("hard:a", hardCap, start);
+    // One token short, refilled at 2 per minute: full in 30 seconds
+    const refilling = await collection.findOne({ _id: "test:a" });
+    assert.deepEqual(refilling.expiresAt, after(30));
+    const capped = await collection.findOne({ _id: "hard:a" });
+    assert.equal(capped.expiresAt, null);
+
+    assert.equal((await store.take("hard:a", hardCap, start)).allowed, true);
+    assert.equal((await store.take("hard:a", hardCap, start)).allowed, false);
+  });
+});
+
+describe("getRule", () => {
+  it("reads rules from the config file", () => {
+    assert.deepEqual(getRule("chat"), {
+      name: "chat",
+      capacity: 10,
+      refillPerMinute: 4,
+    });
+  });
+
+  it("lets environment variables override a rule", () => {
+    process.env.RATE_LIMIT_TESTRULE_CAPACITY = "7";
+    process.env.RATE_LIMIT_TESTRULE_REFILL_PER_MINUTE = "0";
+    assert.deepEqual(getRule("testrule"), {
+      name: "testrule",
+      capacity: 7,
+      refillPerMinute: 0,
+    });
+  });
+
+  it("returns null for rules that aren't configured", () => {
+    assert.equal(getRule("not-configured"), null);
+  });
+});